@@ -0,0 +1,100 @@
+// src/avellaneda.js
+
+/**
+ * Avellaneda–Stoikov (2008) market making quotes, in price units:
+ *
+ *   reservation price  r = s - q * γ * σ² * τ
+ *   optimal spread     δ = γ * σ² * τ + (2 / γ) * ln(1 + γ / k)
+ *
+ * s: mid price, q: inventory (in order lots), γ: risk aversion, σ²: variance of the mid price
+ * per second, τ: remaining horizon in seconds, k: decay of order arrival intensity with the
+ * distance from mid, λ(δ) = A * exp(-k * δ).
+ */
+
+/**
+ * @param {number} midPrice
+ * @param {number} inventory Signed inventory q
+ * @param {number} riskAversion γ
+ * @param {number} priceVariancePerSecond σ² in price units
+ * @param {number} horizonSeconds τ
+ * @returns {number}
+ */
+export function reservationPrice(midPrice, inventory, riskAversion, priceVariancePerSecond, horizonSeconds) {
+    return midPrice - inventory * riskAversion * priceVariancePerSecond * horizonSeconds;
+}
+
+/**
+ * @param {number} riskAversion γ
+ * @param {number} priceVariancePerSecond σ² in price units
+ * @param {number} horizonSeconds τ
+ * @param {number} arrivalDecay k, per price unit
+ * @returns {number} Total bid-ask spread δ
+ */
+export function optimalSpread(riskAversion, priceVariancePerSecond, horizonSeconds, arrivalDecay) {
+    return riskAversion * priceVariancePerSecond * horizonSeconds
+        + (2 / riskAversion) * Math.log(1 + riskAversion / arrivalDecay);
+}
+
+/**
+ * Estimates k from our own maker fills. Under λ(δ) = A * exp(-k * δ) the distances of filled
+ * quotes from mid are exponentially distributed, so the maximum likelihood estimate is
+ * k = 1 / mean(δ), where δ is the fill's distance from the last mid seen before the fill.
+ */
+export class ArrivalIntensityEstimator {
+    /** @type {number} */
+    maxFills;
+    /** @type {number} */
+    minFills;
+    /** @type {Array<{ timestamp: number, price: number }>} Recent mids, oldest first */
+    mids = [];
+    /** @type {number[]} Distances from mid of recent fills, oldest first */
+    distances = [];
+
+    /**
+     * @param {object} options
+     * @param {number} [options.maxFills=50] Fills kept in the rolling estimate
+     * @param {number} [options.minFills=10] Fills required before an estimate is reported
+     */
+    constructor({ maxFills = 50, minFills = 10 } = {}) {
+        this.maxFills = maxFills;
+        this.minFills = minFills;
+    }
+
+    /**
+     * @param {number} timestamp Milliseconds
+     * @param {number} midPrice
+     */
+    recordMid(timestamp, midPrice) {
+        this.mids.push({ timestamp, price: midPrice });
+        // Fills are fetched once per cycle, so a short history is enough to look them up
+        if (this.mids.length > 100) this.mids.shift();
+    }
+
+    /**
+     * @param {{ timestamp: number, price: number, takerOrMaker?: string }} trade One of our fills (ccxt format)
+     * @returns {boolean} True when the fill was used
+     */
+    addFill(trade) {
+        if (trade.takerOrMaker === 'taker') return false;
+        let mid;
+        for (let i = this.mids.length - 1; i >= 0; i--) {
+            if (this.mids[i].timestamp <= trade.timestamp) {
+                mid = this.mids[i].price;
+                break;
+            }
+        }
+        if (mid === undefined) return false;
+        this.distances.push(Math.abs(trade.price - mid));
+        if (this.distances.length > this.maxFills) this.distances.shift();
+        return true;
+    }
+
+    /**
+     * @returns {number | undefined} k per price unit, or undefined while there are too few fills
+     */
+    estimate() {
+        if (this.distances.length < this.minFills) return undefined;
+        const meanDistance = this.distances.reduce((sum, distance) => sum + distance, 0) / this.distances.length;
+        return meanDistance > 0 ? 1 / meanDistance : undefined;
+    }
+}
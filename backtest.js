@@ -0,0 +1,318 @@
+// src/backtest.js
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { OrderBookAnalyzer } from './orderbook.js';
+import { MarketMakerStrategy } from './strategy.js';
+import { SimulatedClock, SimulatedExchangeService } from './simulator.js';
+import { readMarketEvents, readRecordedEvents } from './recorder.js';
+import { log } from './utils.js';
+
+/**
+ * @typedef {object} InventoryPoint
+ * @property {number} timestamp
+ * @property {number} position Signed position in base currency
+ * @property {number | undefined} midPrice
+ * @property {number} equity Quote balance plus position marked to mid
+ */
+
+/**
+ * @typedef {object} BacktestReport
+ * @property {number} startTime
+ * @property {number} endTime
+ * @property {number} cycles
+ * @property {number} initialEquity
+ * @property {number} finalEquity
+ * @property {number} pnl finalEquity - initialEquity (includes fees)
+ * @property {number} feesPaid Quote fees paid (negative = net rebates)
+ * @property {number} fillCount
+ * @property {number} makerFillCount
+ * @property {number} tradedBaseVolume
+ * @property {number} finalPosition
+ * @property {number} lateEvents Events dropped for arriving too far out of time order
+ * @property {{ bid: number, ask: number, twoSided: number }} quotedUptime Fraction of replayed time with resting orders
+ * @property {ReturnType<import('./markout.js').MarkoutTracker['getSummary']> | undefined} markouts Fill markouts by side, ladder level and hour of day
+ * @property {InventoryPoint[]} inventoryPath One point per strategy cycle
+ */
+
+/**
+ * How far back in time an event may arrive and still be replayed in order. Recorded data is only
+ * roughly sorted: trades fetched in one poll can predate the book snapshot taken with them, and
+ * merged files interleave polls. One minute covers any usual poll interval.
+ */
+export const EVENT_REORDER_WINDOW_MS = 60_000;
+
+/**
+ * Yields timestamped events in timestamp order, buffering up to windowMs of data time. Events with equal
+ * timestamps keep their input order. An event older than one already yielded cannot be replayed in
+ * order any more; it is dropped and reported through onLate.
+ * @template {{ timestamp: number }} T
+ * @param {AsyncIterable<T> | Iterable<T>} events
+ * @param {number} [windowMs]
+ * @param {(event: T) => void} [onLate]
+ * @returns {AsyncGenerator<T>}
+ */
+export async function* inTimeOrder(events, windowMs = EVENT_REORDER_WINDOW_MS, onLate = () => {}) {
+    /** @type {T[]} Sorted by timestamp */
+    const buffer = [];
+    let released = -Infinity;
+    for await (const event of events) {
+        if (typeof event?.timestamp !== 'number') continue;
+        if (event.timestamp < released) {
+            onLate(event);
+            continue;
+        }
+        // Insert after every buffered event with the same or an earlier timestamp
+        let low = 0;
+        let high = buffer.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (buffer[mid].timestamp <= event.timestamp) low = mid + 1;
+            else high = mid;
+        }
+        buffer.splice(low, 0, event);
+
+        const releaseBefore = buffer[buffer.length - 1].timestamp - windowMs;
+        while (buffer.length > 0 && buffer[0].timestamp < releaseBefore) {
+            const next = buffer.shift();
+            released = next.timestamp;
+            yield next;
+        }
+    }
+    yield* buffer;
+}
+
+/**
+ * Replays recorded market data through an unchanged MarketMakerStrategy on a
+ * SimulatedExchangeService, one strategy cycle every config.interval seconds of data time.
+ */
+export class BacktestEngine {
+    /** @type {import('./config.js').Config} */
+    config;
+    /** @type {SimulatedClock} */
+    clock;
+    /** @type {SimulatedExchangeService} */
+    exchangeService;
+    /** @type {MarketMakerStrategy | undefined} */
+    strategy = undefined;
+
+    /** @type {InventoryPoint[]} */
+    inventoryPath = [];
+    cycles = 0;
+    startTime = undefined;
+    lateEvents = 0;
+    quotedMs = { bid: 0, ask: 0, twoSided: 0 };
+
+    /**
+     * @param {import('./config.js').Config} config Strategy configuration
+     * @param {object} [simOptions] Options forwarded to SimulatedExchangeService (market, fees, initial balance)
+     */
+    constructor(config, simOptions = {}) {
+        this.config = config;
+        this.clock = new SimulatedClock();
+        this.exchangeService = new SimulatedExchangeService(config, { ...simOptions, clock: this.clock });
+    }
+
+    /**
+     * @param {AsyncIterable<import('./recorder.js').MarketEvent> | Iterable<import('./recorder.js').MarketEvent>} events Market events, roughly in time order (see inTimeOrder)
+     * @returns {Promise<BacktestReport>}
+     */
+    async run(events) {
+        await this.exchangeService.initialize();
+        const intervalMs = this.config.interval * 1000;
+        let nextCycleAt;
+        let initialEquity;
+
+        for await (const event of inTimeOrder(events, EVENT_REORDER_WINDOW_MS, () => this.lateEvents++)) {
+            if (this.startTime === undefined) {
+                this.startTime = event.timestamp;
+                this.clock.set(event.timestamp);
+                nextCycleAt = event.timestamp;
+            }
+
+            // Run every cycle that is due before this event, on the book as it stood then
+            while (this.exchangeService.orderBook && nextCycleAt <= event.timestamp) {
+                this.advanceTo(nextCycleAt);
+                initialEquity ??= this.exchangeService.getEquity();
+                await this.runStrategyCycle();
+                nextCycleAt += intervalMs;
+            }
+            if (nextCycleAt < event.timestamp && !this.exchangeService.orderBook) {
+                nextCycleAt = event.timestamp;
+            }
+
+            this.advanceTo(event.timestamp);
+            this.applyEvent(event);
+        }
+
+        if (this.startTime === undefined) {
+            throw new Error('Backtest data contained no timestamped events.');
+        }
+        if (this.lateEvents > 0) {
+            log('WARN', `Dropped ${this.lateEvents} event(s) that arrived more than ${EVENT_REORDER_WINDOW_MS / 1000}s out of time order.`);
+        }
+        return this.buildReport(initialEquity ?? this.exchangeService.getEquity());
+    }
+
+    async runStrategyCycle() {
+        if (!this.strategy) {
+            // The strategy reads market precision in its constructor, so create it lazily
+            this.strategy = new MarketMakerStrategy(this.config, this.exchangeService, new OrderBookAnalyzer());
+        }
+        await this.strategy.runCycle();
+        this.cycles++;
+        this.inventoryPath.push({
+            timestamp: this.clock.now(),
+            position: this.exchangeService.positionSize,
+            midPrice: this.exchangeService.getMidPrice(),
+            equity: this.exchangeService.getEquity(),
+        });
+    }
+
+    /**
+     * @param {import('./recorder.js').MarketEvent} event
+     */
+    applyEvent(event) {
+        switch (event.type) {
+            case 'orderbook':
+                this.exchangeService.setOrderBook(event);
+                break;
+            case 'trade':
+                this.exchangeService.processMarketTrade(event);
+                break;
+            case 'ticker':
+                if (typeof event.last === 'number') this.exchangeService.setLastPrice(event.last);
+                break;
+            default:
+                log('DEBUG', `Ignoring unknown backtest event type: ${event.type}`);
+        }
+    }
+
+    /**
+     * Moves the clock forward, attributing the elapsed time to quoted uptime.
+     * @param {number} timestamp
+     */
+    advanceTo(timestamp) {
+        const elapsed = timestamp - this.clock.now();
+        if (elapsed > 0) {
+            const openOrders = this.exchangeService.getOpenOrders();
+            const hasBid = openOrders.some(order => order.side === 'buy');
+            const hasAsk = openOrders.some(order => order.side === 'sell');
+            if (hasBid) this.quotedMs.bid += elapsed;
+            if (hasAsk) this.quotedMs.ask += elapsed;
+            if (hasBid && hasAsk) this.quotedMs.twoSided += elapsed;
+        }
+        this.clock.set(timestamp);
+    }
+
+    /**
+     * @param {number} initialEquity
+     * @returns {BacktestReport}
+     */
+    buildReport(initialEquity) {
+        const fills = this.exchangeService.fills;
+        const endTime = this.clock.now();
+        const duration = endTime - this.startTime;
+        const finalEquity = this.exchangeService.getEquity();
+        const uptime = (ms) => (duration > 0 ? ms / duration : 0);
+        return {
+            startTime: this.startTime,
+            endTime,
+            cycles: this.cycles,
+            initialEquity,
+            finalEquity,
+            pnl: finalEquity - initialEquity,
+            feesPaid: fills.reduce((sum, fill) => sum + fill.fee, 0),
+            fillCount: fills.length,
+            makerFillCount: fills.filter(fill => fill.takerOrMaker === 'maker').length,
+            tradedBaseVolume: fills.reduce((sum, fill) => sum + fill.amount, 0),
+            finalPosition: this.exchangeService.positionSize,
+            lateEvents: this.lateEvents,
+            quotedUptime: {
+                bid: uptime(this.quotedMs.bid),
+                ask: uptime(this.quotedMs.ask),
+                twoSided: uptime(this.quotedMs.twoSided),
+            },
+            markouts: this.strategy?.markoutTracker.getSummary(),
+            inventoryPath: this.inventoryPath,
+        };
+    }
+}
+
+/**
+ * CLI: node backtest.js (--data <file.jsonl[.gz]> | --dir <recording dir> [--from <ISO date>] [--to <ISO date>]) [--tick-size 0.1] [--step-size 0.001] [--min-amount 0.001]
+ *      [--balance 10000] [--position 0] [--maker-fee 0.0002] [--taker-fee 0.0005] [--output report.json]
+ *      [--config config.yaml] [--profile name] [--set KEY=VALUE ...]
+ * Strategy parameters come from the same config file, env vars / .env and --set overrides as the live bot.
+ */
+async function runCli() {
+    const { values } = parseArgs({
+        options: {
+            data: { type: 'string' },
+            dir: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            'tick-size': { type: 'string' },
+            'step-size': { type: 'string' },
+            'min-amount': { type: 'string' },
+            balance: { type: 'string', default: '10000' },
+            position: { type: 'string', default: '0' },
+            'maker-fee': { type: 'string', default: '0.0002' },
+            'taker-fee': { type: 'string', default: '0.0005' },
+            output: { type: 'string' },
+            // Read by config.js: config file, profile and --set KEY=VALUE overrides
+            config: { type: 'string' },
+            profile: { type: 'string' },
+            set: { type: 'string', multiple: true },
+        },
+    });
+    if (!values.data && !values.dir) {
+        throw new Error('Usage: node backtest.js (--data <file.jsonl[.gz]> | --dir <recording dir> [--from <date>] [--to <date>]) [--output report.json]');
+    }
+
+    // No exchange credentials are needed to replay data
+    process.env.EXECUTION_MODE = 'backtest';
+    const { config, printValidationReport, validateMarketConfig } = await import('./config.js');
+
+    const market = { precision: {}, limits: { amount: {} } };
+    if (values['tick-size']) market.precision.price = Number(values['tick-size']);
+    if (values['step-size']) market.precision.amount = Number(values['step-size']);
+    if (values['min-amount']) market.limits.amount.min = Number(values['min-amount']);
+
+    const simulatedMarket = {
+        precision: { price: 0.01, amount: 0.001, ...market.precision },
+        limits: { amount: { min: 0.001, ...market.limits.amount }, cost: { min: config.minNotionalValue } },
+    };
+    printValidationReport({ errors: validateMarketConfig(config, simulatedMarket), warnings: [] });
+
+    const engine = new BacktestEngine(config, {
+        market: simulatedMarket,
+        initialQuoteBalance: Number(values.balance),
+        initialPosition: Number(values.position),
+        makerFee: Number(values['maker-fee']),
+        takerFee: Number(values['taker-fee']),
+    });
+    const events = values.data
+        ? readMarketEvents(values.data)
+        : readRecordedEvents({
+            dir: values.dir,
+            symbol: config.symbol,
+            from: values.from ? Date.parse(values.from) : undefined,
+            to: values.to ? Date.parse(values.to) : undefined,
+        });
+    const report = await engine.run(events);
+
+    const { inventoryPath, ...summary } = report;
+    log('INFO', 'Backtest finished:', summary);
+    if (values.output) {
+        fs.writeFileSync(values.output, JSON.stringify(report, null, 2));
+        log('INFO', `Full report (including inventory path) written to ${values.output}`);
+    }
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === fs.realpathSync(process.argv[1])) {
+    runCli().catch(err => {
+        log('ERROR', 'Backtest failed:', err);
+        process.exit(1);
+    });
+}
@@ -1,8 +1,12 @@
 // src/config.js
 import dotenv from 'dotenv';
+import fs from 'fs';
 import path from 'path'; // 导入 path 用于构建路径
+import { parseArgs } from 'util';
 import { fileURLToPath } from 'url'; // 导入 url 用于 ES Modules 路径
+import YAML from 'yaml';
 import { log } from './utils.js'; // 导入 log 函数
+import { configureLogger, LOG_LEVELS } from './logger.js';
 
 // --- 改进 .env 加载 ---
 // 获取当前文件的目录路径 (适用于 ES Modules)
@@ -12,34 +16,136 @@ const __dirname = path.dirname(__filename);
 // 构建 .env 文件的路径 (通常在项目根目录, 即上一级目录)
 const envPath = path.resolve(__dirname, '..', '.env');
 
-// 加载 .env 文件
+// 进程启动时的环境变量 (不含 .env)，重新加载配置时与重新读取的 .env 合并
+const startupEnv = { ...process.env };
+
+// 加载 .env 文件 (结果在日志配置生效后再记录)
 const result = dotenv.config({ path: envPath });
+// --- 结束 .env 加载改进 ---
+
+
+// --- 配置来源 (优先级从低到高): 配置文件 defaults -> 配置文件 profile -> 环境变量 (含 .env) -> 命令行 --set ---
+
+/**
+ * 合并后的配置值 (均为字符串，与环境变量相同) 及每个值的来源，每次加载配置时重建
+ * @type {{ values: Record<string, string | undefined>, origins: Record<string, string>, fileKeys: string[] }}
+ */
+let settingSources = { values: {}, origins: {}, fileKeys: [] };
 
-if (result.error) {
-    // 如果 .env 文件不存在，这不算严重错误，但最好提示一下
-    log('WARN', `.env 文件 (${envPath}) 加载失败或不存在。将依赖已存在的环境变量或默认值。错误: ${result.error.message}`);
-} else {
-    log('INFO', `.env 文件 (${envPath}) 加载成功。`);
+/**
+ * 将配置文件中的值转换为环境变量形式的字符串
+ * @param {string} key 键名
+ * @param {unknown} value 配置文件中的值
+ * @returns {string | undefined}
+ */
+function toSettingString(key, value) {
+    if (value === null || value === undefined) return undefined;
+    if (Array.isArray(value)) return value.join(',');
+    if (typeof value === 'object') {
+        throw new Error(`配置文件中的 ${key} 必须是字符串、数字、布尔值或列表。`);
+    }
+    return String(value);
 }
-// --- 结束 .env 加载改进 ---
 
+/**
+ * 读取配置文件 (JSON 或 YAML) 中的 defaults 和所选 profile (支持 extends 继承其他 profile)
+ * @param {string} filePath 配置文件路径
+ * @param {string | undefined} profileName profile 名称
+ * @returns {Array<{ origin: string, settings: Record<string, unknown> }>} 按优先级从低到高排列
+ */
+function readConfigFile(filePath, profileName) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const document = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+    const { defaults = {}, profiles = {} } = document ?? {};
+    const layers = [{ origin: `${filePath} (defaults)`, settings: defaults }];
+    if (!profileName) return layers;
+
+    const profileLayers = [];
+    const visited = new Set();
+    for (let name = profileName; name !== undefined;) {
+        const profile = profiles[name];
+        if (!profile) {
+            throw new Error(`配置文件 ${filePath} 中没有 profile "${name}"。可用的 profile: ${Object.keys(profiles).join(', ') || '无'}`);
+        }
+        if (visited.has(name)) {
+            throw new Error(`配置文件 ${filePath} 中 profile "${name}" 的 extends 形成了循环。`);
+        }
+        visited.add(name);
+        const { extends: parent, ...settings } = profile;
+        profileLayers.unshift({ origin: `${filePath} (profile ${name})`, settings });
+        name = parent;
+    }
+    return [...layers, ...profileLayers];
+}
 
 /**
- * 获取环境变量，并进行类型转换和验证
+ * 按优先级合并所有配置来源。命令行参数:
+ *   --config <文件>     配置文件 (也可用环境变量 CONFIG_FILE)
+ *   --profile <名称>    使用的 profile (也可用环境变量 CONFIG_PROFILE)
+ *   --set KEY=VALUE     覆盖单个配置项，可重复
+ */
+function loadSettingSources() {
+    settingSources = { values: {}, origins: {}, fileKeys: [] };
+    const { values: args } = parseArgs({
+        strict: false, // 其他脚本 (如 backtest.js) 的参数由它们自己解析
+        options: {
+            config: { type: 'string' },
+            profile: { type: 'string' },
+            set: { type: 'string', multiple: true },
+        },
+    });
+    const configFile = typeof args.config === 'string' ? args.config : process.env.CONFIG_FILE;
+    const profileName = typeof args.profile === 'string' ? args.profile : process.env.CONFIG_PROFILE;
+    if (profileName && !configFile) {
+        throw new Error(`指定了 profile "${profileName}"，但没有通过 --config 或 CONFIG_FILE 指定配置文件。`);
+    }
+
+    const layers = configFile ? readConfigFile(configFile, profileName) : [];
+    for (const { origin, settings } of layers) {
+        for (const [key, value] of Object.entries(settings)) {
+            settingSources.values[key] = toSettingString(key, value);
+            settingSources.origins[key] = origin;
+            settingSources.fileKeys.push(key);
+        }
+    }
+    // 与 dotenv 相同，.env 不覆盖已存在的环境变量；重新读取 .env 以便重新加载时生效
+    const dotenvValues = fs.existsSync(envPath) ? dotenv.parse(fs.readFileSync(envPath)) : {};
+    for (const [key, value] of Object.entries({ ...dotenvValues, ...startupEnv })) {
+        if (value === undefined) continue;
+        settingSources.values[key] = value;
+        settingSources.origins[key] = '环境变量';
+    }
+    const cliKeys = [];
+    for (const assignment of Array.isArray(args.set) ? args.set : []) {
+        const separator = assignment.indexOf('=');
+        if (separator <= 0) {
+            throw new Error(`--set 参数 "${assignment}" 必须是 KEY=VALUE 的形式。`);
+        }
+        const key = assignment.slice(0, separator).trim();
+        settingSources.values[key] = assignment.slice(separator + 1);
+        settingSources.origins[key] = '命令行 --set';
+        cliKeys.push(key);
+    }
+    return { configFile, profileName, explicitKeys: [...new Set([...settingSources.fileKeys, ...cliKeys])] };
+}
+
+
+/**
+ * 获取配置值 (来自配置文件、环境变量或命令行)，并进行类型转换和验证
  * @template T
  * @param {string} key 环境变量键名
- * @param {'string' | 'number' | 'boolean'} type 期望的类型 ('string', 'number', 'boolean')
+ * @param {'string' | 'number' | 'boolean' | 'numbers'} type 期望的类型 ('string', 'number', 'boolean', 'numbers' 为逗号分隔的数字列表)
  * @param {boolean} [required=true] 是否必需
  * @param {T} [defaultValue] 默认值 (类型应与 type 匹配)
  * @returns {T} 转换后的环境变量值
  * @throws {Error} 如果必需但未找到，或类型转换失败
  */
 function getEnvVar(key, type, required = true, defaultValue) {
-    const value = process.env[key];
+    const value = settingSources.values[key];
 
     if (value === undefined) {
         if (required && defaultValue === undefined) {
-            throw new Error(`缺少必需的环境变量: ${key}`);
+            throw new Error(`缺少必需的配置项: ${key}`);
         }
         log('DEBUG', `环境变量 ${key} 未设置，使用默认值: ${defaultValue}`);
         return defaultValue;
@@ -50,19 +156,27 @@ function getEnvVar(key, type, required = true, defaultValue) {
             case 'string':
                 return value;
             case 'number':
-                const num = parseFloat(value);
-                if (isNaN(num)) {
+                const num = Number(value.trim());
+                if (value.trim() === '' || isNaN(num)) {
                     throw new Error(`无法将值 "${value}" 解析为数字`);
                 }
                 return num;
             case 'boolean':
                 const lowerValue = value.toLowerCase();
                 return lowerValue === 'true' || lowerValue === '1';
+            case 'numbers':
+                return value.split(',').map(part => part.trim()).filter(part => part !== '').map(part => {
+                    const item = Number(part);
+                    if (isNaN(item)) {
+                        throw new Error(`无法将列表项 "${part}" 解析为数字`);
+                    }
+                    return item;
+                });
             default:
                 throw new Error(`不支持的类型: ${type}`);
         }
     } catch (error) {
-        throw new Error(`处理环境变量 ${key} 时出错: ${error.message}`);
+        throw new Error(`处理配置项 ${key} 时出错: ${error.message}`);
     }
 }
 
@@ -70,78 +184,767 @@ function getEnvVar(key, type, required = true, defaultValue) {
 // --- 类型定义（更新） ---
 /**
  * @typedef {object} Config
+ * @property {string} [configFile] 使用的配置文件
+ * @property {string} [configProfile] 使用的 profile
+ * @property {'live' | 'paper' | 'backtest' | 'record'} executionMode 运行模式
+ * @property {import('./logger.js').LogLevel} logLevel 最低日志级别
+ * @property {'text' | 'json'} logFormat 日志格式：文本或每行一个 JSON 对象
+ * @property {string} [logFile] 日志文件 (未设置则只输出到控制台)
+ * @property {number} logMaxFileMb 日志文件超过此大小 (MB) 时切分，0 表示不按大小切分
+ * @property {boolean} logRotateDaily 日志文件是否按天 (UTC) 切分
+ * @property {number} logMaxFiles 保留的已切分日志文件数
+ * @property {boolean} logConsole 是否输出到控制台
  * @property {string} apiKey
  * @property {string} secretKey
  * @property {boolean} useTestnet
  * @property {string} symbol
+ * @property {string[]} symbols 本进程做市的所有交易对 (SYMBOLS，未设置时只有 symbol)
+ * @property {number} portfolioMaxNotional 所有交易对持仓名义价值绝对值之和的上限 (计价货币，0 表示不限制)
  * @property {string} [exchangeId='binance']
  * @property {string} [defaultMarketType='future']
  * @property {number} orderBookDepthLevels
+ * @property {import('./orderbook.js').FairValueMethod} fairValueMethod 参考价格计算方法
+ * @property {number} imbalanceLevels 计算订单簿不平衡度的深度层数
+ * @property {number} imbalanceSensitivity 不平衡度调整中间价的敏感度
  * @property {number} targetSpreadPct
  * @property {number} minSpread
  * @property {number} maxSpread
+ * @property {'none' | 'ewma' | 'parkinson'} volatilityModel 波动率模型，none 表示使用固定的 targetSpreadPct
+ * @property {number} volatilityWindowSeconds 波动率估计使用的中间价滚动窗口 (秒)
+ * @property {number} volatilityEwmaLambda EWMA 衰减系数 (每个样本)
+ * @property {number} volatilityBucketSeconds Parkinson 模型的高低价分桶长度 (秒)
+ * @property {number} volatilityMinSamples 开始使用波动率价差前所需的最少样本数
+ * @property {number} volatilityHorizonSeconds 波动率换算的时间跨度 (秒)
+ * @property {number} volatilitySpreadMultiplier 目标价差百分比 = 倍数 × 波动率
+ * @property {number} volatilitySpreadFloorPct 波动率价差百分比下限
+ * @property {number} volatilitySpreadCapPct 波动率价差百分比上限
  * @property {number} baseAmount
  * @property {number} liquidityVolumeThreshold
  * @property {number} positionLimit
  * @property {number} interval
  * @property {number} inventorySkewIntensity // 新增
+ * @property {'linear-skew' | 'avellaneda-stoikov'} pricingModel 报价模型
+ * @property {number} asRiskAversion Avellaneda-Stoikov 风险厌恶系数 γ
+ * @property {number} asHorizonSeconds Avellaneda-Stoikov 滚动时间跨度 τ (秒)
+ * @property {number} [asArrivalK] 固定的订单到达强度衰减 k (每单位价格)，未设置则由成交历史估计
+ * @property {number} asKWindowFills 估计 k 使用的最近成交笔数
+ * @property {number} asKMinFills 估计 k 所需的最少成交笔数
  * @property {number} rangeTicksForLiquidity // 新增
  * @property {number} minNotionalValue // 新增
+ * @property {boolean} orderPostOnly 报价订单只做 Maker (post-only / GTX)，会吃单时被交易所拒绝
+ * @property {number} orderPostOnlyRetries post-only 订单因会吃单被拒绝后，同一周期内远离一个 tick 重试的次数
+ * @property {boolean} orderReduceOnlyAtLimit 达到持仓限制时，减仓一侧的报价订单设为 reduce-only (仅合约)
+ * @property {'market' | 'IOC' | 'FOK'} unwindTimeInForce 风控平仓的订单类型：市价单，或 IOC / FOK 限价单
+ * @property {number} unwindSlippageTicks IOC / FOK 平仓限价相对对手方最优价的 tick 数
+ * @property {boolean} hedgeEnabled 是否在第二个交易场所对冲库存
+ * @property {string} hedgeExchangeId 对冲交易所 (默认与 exchangeId 相同)
+ * @property {string} hedgeMarketType 对冲市场类型 (spot / future / swap)
+ * @property {string} [hedgeSymbol] 对冲交易对 (默认与报价交易对相同)
+ * @property {string} [hedgeApiKey] 对冲账户 API Key (默认与报价账户相同)
+ * @property {string} [hedgeSecretKey]
+ * @property {string} [hedgePassword]
+ * @property {boolean} hedgeUseTestnet 对冲交易所是否使用测试网
+ * @property {number} [hedgeThreshold] 两个场所合计持仓绝对值超过此值 (基础货币) 时对冲
+ * @property {number} hedgeRatio 对冲目标 = -报价场所持仓 × 比例
+ * @property {number} hedgeSlippageBps 对冲 IOC 限价相对对手方最优价的最大滑点 (基点)
+ * @property {number} hedgeMinAmount 小于此数量 (基础货币) 的对冲不下单
+ * @property {boolean} fundingAware 永续合约按资金费率调整目标库存和报价倾斜
+ * @property {number} fundingMaxInventoryShift 资金费率目标库存绝对值的上限 (基础货币)
+ * @property {number} fundingFullShiftRate 资金费率 (每个结算周期) 达到此值时目标库存达到上限
+ * @property {number} fundingPredictedWeight 预测资金费率相对当前费率的权重 (0-1)
+ * @property {number} fundingLeadMinutes 结算前多少分钟开始线性建立目标库存
+ * @property {number} fundingRefreshSeconds 资金费率和资金费流水的刷新间隔 (秒)
+ * @property {import('./reference.js').ReferenceSource[]} [referenceSources] 外部参考价格来源 (未设置则只用本交易所订单簿)
+ * @property {boolean} referenceUseTestnet 参考价格交易所是否使用测试网
+ * @property {number} referenceWeight 参考价格在公允价格中的权重 (0-1，1 表示完全锚定参考价格)
+ * @property {number} referenceBasisBps 参考价格的基差调整 (基点，加到加权中位数上)
+ * @property {number} referenceMaxAgeMs 参考来源价格的最大允许延迟 (毫秒)
+ * @property {number} referenceMinSources 计算参考价格所需的最少新鲜来源数
+ * @property {number} referenceMaxDeviationBps 本交易所价格偏离参考价格超过此值 (基点) 时停止报价，0 表示不检查
+ * @property {'pause' | 'local'} referenceStaleAction 参考价格不可用时：停止报价，或只用本交易所订单簿
+ * @property {boolean} markoutWiden 按成交后的 markout 加宽持续被逆向选择的一侧报价
+ * @property {1 | 5 | 30 | 60} markoutWidenHorizonSeconds 加宽依据的 markout 时间点 (成交后秒数)
+ * @property {number} markoutWindowFills 每侧参与滚动平均 markout 的最近成交数
+ * @property {number} markoutWidenMinFills 开始加宽所需的最少成交数
+ * @property {number} markoutWidenMultiplier 加宽幅度 = 负的平均 markout (基点) × 此倍数
+ * @property {number} markoutWidenMaxBps 单侧加宽的上限 (基点)
+ * @property {string} botInstanceId 机器人实例 ID，用作 clientOrderId 前缀以识别本实例的订单
+ * @property {'adopt' | 'cancel'} orphanOrderPolicy 启动时对上次运行遗留订单的处理方式
+ * @property {string} stateDir 本地状态文件目录 (盈亏账本等)
+ * @property {number} riskMaxSessionLoss 本次运行的最大亏损 (计价货币，0 表示不检查)
+ * @property {number} riskMaxDrawdown 本次运行盈亏从峰值的最大回撤 (计价货币，0 表示不检查)
+ * @property {number} riskMaxFillsPerMinute 每分钟最大成交笔数 (0 表示不检查)
+ * @property {number} riskMaxConsecutiveSameSideFills 连续同方向成交的最大笔数 (0 表示不检查)
+ * @property {number} riskMaxPositionGrowthPerMinute 一分钟内持仓绝对值的最大增长 (基础货币，0 表示不检查)
+ * @property {'halt' | 'cooldown'} riskAction 触发风控后的动作：熔断停止报价，或冷却期内加宽价差
+ * @property {boolean} riskFlattenOnTrip 熔断时是否用市价单平仓
+ * @property {number} riskCooldownSeconds 冷却时长 (秒)
+ * @property {number} riskCooldownSpreadMultiplier 冷却期内的价差倍数
+ * @property {number} controlApiPort 本地控制 API 端口 (只监听 127.0.0.1，0 表示不启动)
+ * @property {string} [controlApiToken] 控制 API 的 Bearer 令牌
+ * @property {number} metricsPort Prometheus /metrics 端口 (0 表示不启动)
+ * @property {string} metricsHost /metrics 监听的地址
+ * @property {boolean} streamingEnabled 是否启用 WebSocket 流式行情和账户数据
+ * @property {number} streamStaleMs 流式订单簿/行情的最大允许延迟 (毫秒)
+ * @property {string} [wsUrl] 覆盖 WebSocket 地址
+ * @property {number} paperInitialBalance 模拟盘初始计价货币余额
+ * @property {number} paperInitialPosition 模拟盘初始持仓 (基础货币, 带符号)
+ * @property {number} paperMakerFee 模拟盘 Maker 费率 (负数为返佣)
+ * @property {number} paperTakerFee 模拟盘 Taker 费率
+ * @property {string} [paperDataFile] 模拟盘使用的录制行情文件，未设置则使用实时行情
+ * @property {string} recordDir 行情录制根目录
+ * @property {number} recordInterval 行情录制间隔 (秒)
+ * @property {number} recordDepth 录制的订单簿深度
+ * @property {number} recordMaxFileMb 单个录制文件的压缩后大小上限 (MB)，0 表示只按天切分
+ * @property {number} ladderLevels 每侧挂单层数
+ * @property {number} ladderLevelSpacingTicks 未配置 LADDER_TICK_OFFSETS 时相邻两层的 tick 间距
+ * @property {number[]} ladderTickOffsets 每层相对目标价的 tick 偏移 (向远离中间价方向)
+ * @property {number[]} ladderSizeMultipliers 每层相对基础数量的倍数
  * @property {string} [password]
  */
 
+/**
+ * 单个配置项的声明。default 和 required 可以是函数，根据已读取的配置计算 (按声明顺序读取)。
+ * @typedef {object} SettingSchema
+ * @property {string} key 环境变量 / 配置文件中的键名
+ * @property {keyof Config} field 配置字段
+ * @property {'string' | 'number' | 'boolean' | 'numbers'} type 类型
+ * @property {unknown | ((config: Config) => unknown)} [default] 默认值
+ * @property {boolean | ((config: Config) => boolean)} [required] 是否必需
+ * @property {string[]} [enum] 允许的取值
+ * @property {boolean} [integer] 必须是整数
+ * @property {number} [min] 最小值 (含)
+ * @property {number} [max] 最大值 (含)
+ * @property {number} [gt] 必须大于此值
+ * @property {number} [lt] 必须小于此值
+ * @property {number} [itemMin] 列表中每一项的最小值 (含)
+ * @property {number} [itemGt] 列表中每一项必须大于此值
+ * @property {RegExp} [pattern] 字符串格式
+ * @property {string} [patternHint] 格式不符时的说明
+ * @property {(value: any) => any} [transform] 读取后的转换
+ * @property {boolean} [perSymbol] 可按交易对覆盖 (`<交易对>__<键名>`)
+ * @property {boolean} [hotReload] 策略每个周期重新读取，可在运行时重新加载 (其他配置项需要重启)
+ * @property {boolean} [secret] 验证报告中不显示值
+ */
+
+/**
+ * 解析 REFERENCE_SOURCES：逗号分隔的 `交易所:市场类型[:权重[:交易对]]`，
+ * 例如 `binance:spot:2,okx:swap:1:BTC/USDT:USDT` (交易对本身可以包含 ':')。
+ * @param {string} value
+ * @returns {import('./reference.js').ReferenceSource[]}
+ */
+function parseReferenceSources(value) {
+    return value.split(',').map(entry => entry.trim()).filter(entry => entry !== '').map(entry => {
+        const [exchangeId, marketType, weight, ...symbolParts] = entry.split(':');
+        if (!exchangeId || !['spot', 'future', 'swap'].includes(marketType)) {
+            throw new Error(`来源 "${entry}" 的格式应为 交易所:市场类型[:权重[:交易对]]，市场类型为 spot、future 或 swap。`);
+        }
+        const parsedWeight = weight === undefined || weight === '' ? 1 : Number(weight);
+        if (!(parsedWeight > 0)) {
+            throw new Error(`来源 "${entry}" 的权重必须是正数。`);
+        }
+        return { exchangeId, marketType, weight: parsedWeight, symbol: symbolParts.join(':') || undefined };
+    });
+}
+
+/**
+ * 所有配置项的声明 (类型、默认值和取值范围)。跨字段的规则见 CROSS_FIELD_RULES。
+ * @type {SettingSchema[]}
+ */
+const CONFIG_SCHEMA = [
+    // --- 日志 (最先读取，之后的日志都按此输出) ---
+    { key: 'LOG_LEVEL', field: 'logLevel', type: 'string', default: 'INFO', enum: Object.keys(LOG_LEVELS), transform: value => value.toUpperCase() },
+    { key: 'LOG_FORMAT', field: 'logFormat', type: 'string', default: 'text', enum: ['text', 'json'] },
+    { key: 'LOG_FILE', field: 'logFile', type: 'string' }, // 可选：同时写入文件
+    { key: 'LOG_MAX_FILE_MB', field: 'logMaxFileMb', type: 'number', default: 100, min: 0 }, // 0 表示不按大小切分
+    { key: 'LOG_ROTATE_DAILY', field: 'logRotateDaily', type: 'boolean', default: true },
+    { key: 'LOG_MAX_FILES', field: 'logMaxFiles', type: 'number', default: 10, integer: true, min: 1 },
+    { key: 'LOG_CONSOLE', field: 'logConsole', type: 'boolean', default: true },
+
+    // --- 运行模式和交易所 ---
+    { key: 'EXECUTION_MODE', field: 'executionMode', type: 'string', default: 'live', enum: ['live', 'paper', 'backtest', 'record'] },
+    // 模拟盘、回测和行情录制只使用公开行情或本地数据，不需要 API 密钥
+    { key: 'BINANCE_API_KEY', field: 'apiKey', type: 'string', required: config => config.executionMode === 'live', secret: true },
+    { key: 'BINANCE_SECRET_KEY', field: 'secretKey', type: 'string', required: config => config.executionMode === 'live', secret: true },
+    { key: 'BINANCE_PASSWORD', field: 'password', type: 'string', secret: true }, // 可选密码
+    { key: 'USE_TESTNET', field: 'useTestnet', type: 'boolean', default: true }, // 默认使用测试网
+    { key: 'SYMBOL', field: 'symbol', type: 'string', default: 'BTC/USDT' },
+    // 可选：逗号分隔的多个交易对，在同一进程中并行做市 (未设置时只做 SYMBOL)
+    {
+        key: 'SYMBOLS', field: 'symbols', type: 'string', default: config => config.symbol,
+        transform: value => [...new Set(value.split(',').map(symbol => symbol.trim()).filter(symbol => symbol !== ''))],
+    },
+    { key: 'PORTFOLIO_MAX_NOTIONAL', field: 'portfolioMaxNotional', type: 'number', default: 0, min: 0 }, // 0 表示不限制
+    { key: 'EXCHANGE_ID', field: 'exchangeId', type: 'string', default: 'binance' },
+    { key: 'DEFAULT_MARKET_TYPE', field: 'defaultMarketType', type: 'string', default: 'future' },
+
+    // --- 报价 ---
+    { key: 'INTERVAL', field: 'interval', type: 'number', default: 5, gt: 0, perSymbol: true, hotReload: true }, // 秒
+    { key: 'ORDER_BOOK_DEPTH_LEVELS', field: 'orderBookDepthLevels', type: 'number', default: 10, integer: true, min: 1, perSymbol: true, hotReload: true },
+    { key: 'FAIR_VALUE_METHOD', field: 'fairValueMethod', type: 'string', default: 'depth-mid', enum: ['depth-mid', 'microprice', 'imbalance-mid'], perSymbol: true, hotReload: true },
+    { key: 'IMBALANCE_LEVELS', field: 'imbalanceLevels', type: 'number', default: 5, integer: true, min: 1, hotReload: true },
+    { key: 'IMBALANCE_SENSITIVITY', field: 'imbalanceSensitivity', type: 'number', default: 1, min: 0, hotReload: true },
+    { key: 'TARGET_SPREAD_PCT', field: 'targetSpreadPct', type: 'number', default: 0.0005, gt: 0, perSymbol: true, hotReload: true }, // 默认 0.05%
+    { key: 'MIN_SPREAD', field: 'minSpread', type: 'number', default: 1, min: 0, perSymbol: true, hotReload: true },
+    { key: 'MAX_SPREAD', field: 'maxSpread', type: 'number', default: 50, min: 0, perSymbol: true, hotReload: true },
+    { key: 'BASE_AMOUNT', field: 'baseAmount', type: 'number', default: 0.01, gt: 0, perSymbol: true, hotReload: true },
+    { key: 'LIQUIDITY_VOLUME_THRESHOLD', field: 'liquidityVolumeThreshold', type: 'number', default: 0.1, gt: 0, perSymbol: true, hotReload: true },
+    { key: 'POSITION_LIMIT', field: 'positionLimit', type: 'number', default: 0.1, min: 0, perSymbol: true, hotReload: true },
+    { key: 'INVENTORY_SKEW_INTENSITY', field: 'inventorySkewIntensity', type: 'number', default: 0, min: 0, perSymbol: true, hotReload: true }, // 默认 0 (禁用)
+    { key: 'RANGE_TICKS_FOR_LIQUIDITY', field: 'rangeTicksForLiquidity', type: 'number', default: 30, min: 0, perSymbol: true, hotReload: true },
+    { key: 'MIN_NOTIONAL_VALUE', field: 'minNotionalValue', type: 'number', default: 10, min: 0, perSymbol: true, hotReload: true },
+
+    // --- 下单参数 (按交易所映射，见 ExchangeService.mapOrderParams) ---
+    { key: 'ORDER_POST_ONLY', field: 'orderPostOnly', type: 'boolean', default: false, perSymbol: true, hotReload: true },
+    { key: 'ORDER_POST_ONLY_RETRIES', field: 'orderPostOnlyRetries', type: 'number', default: 2, integer: true, min: 0, hotReload: true },
+    { key: 'ORDER_REDUCE_ONLY_AT_LIMIT', field: 'orderReduceOnlyAtLimit', type: 'boolean', default: false, perSymbol: true, hotReload: true },
+    { key: 'UNWIND_TIME_IN_FORCE', field: 'unwindTimeInForce', type: 'string', default: 'market', enum: ['market', 'IOC', 'FOK'], transform: value => value.toLowerCase() === 'market' ? 'market' : value.toUpperCase(), hotReload: true },
+    { key: 'UNWIND_SLIPPAGE_TICKS', field: 'unwindSlippageTicks', type: 'number', default: 10, min: 0, hotReload: true },
+
+    // --- 跨场所库存对冲 ---
+    { key: 'HEDGE_ENABLED', field: 'hedgeEnabled', type: 'boolean', default: false, perSymbol: true },
+    { key: 'HEDGE_EXCHANGE_ID', field: 'hedgeExchangeId', type: 'string', default: config => config.exchangeId },
+    { key: 'HEDGE_MARKET_TYPE', field: 'hedgeMarketType', type: 'string', default: 'spot', enum: ['spot', 'future', 'swap'] },
+    { key: 'HEDGE_SYMBOL', field: 'hedgeSymbol', type: 'string', perSymbol: true }, // 默认与报价交易对相同
+    { key: 'HEDGE_API_KEY', field: 'hedgeApiKey', type: 'string', default: config => config.apiKey, secret: true },
+    { key: 'HEDGE_SECRET_KEY', field: 'hedgeSecretKey', type: 'string', default: config => config.secretKey, secret: true },
+    { key: 'HEDGE_PASSWORD', field: 'hedgePassword', type: 'string', default: config => config.password, secret: true },
+    { key: 'HEDGE_USE_TESTNET', field: 'hedgeUseTestnet', type: 'boolean', default: config => config.useTestnet },
+    { key: 'HEDGE_THRESHOLD', field: 'hedgeThreshold', type: 'number', gt: 0, perSymbol: true, hotReload: true },
+    { key: 'HEDGE_RATIO', field: 'hedgeRatio', type: 'number', default: 1, gt: 0, max: 1, perSymbol: true, hotReload: true },
+    { key: 'HEDGE_SLIPPAGE_BPS', field: 'hedgeSlippageBps', type: 'number', default: 10, min: 0, perSymbol: true, hotReload: true },
+    { key: 'HEDGE_MIN_AMOUNT', field: 'hedgeMinAmount', type: 'number', default: 0, min: 0, perSymbol: true, hotReload: true },
+
+    // --- 资金费率 (永续合约) ---
+    { key: 'FUNDING_AWARE', field: 'fundingAware', type: 'boolean', default: false, perSymbol: true, hotReload: true },
+    { key: 'FUNDING_MAX_INVENTORY_SHIFT', field: 'fundingMaxInventoryShift', type: 'number', default: config => config.positionLimit / 2, min: 0, perSymbol: true, hotReload: true }, // 默认持仓限制的一半
+    { key: 'FUNDING_FULL_SHIFT_RATE', field: 'fundingFullShiftRate', type: 'number', default: 0.0005, gt: 0, perSymbol: true, hotReload: true }, // 默认 0.05%
+    { key: 'FUNDING_PREDICTED_WEIGHT', field: 'fundingPredictedWeight', type: 'number', default: 0.5, min: 0, max: 1, hotReload: true },
+    { key: 'FUNDING_LEAD_MINUTES', field: 'fundingLeadMinutes', type: 'number', default: 240, gt: 0, hotReload: true },
+    { key: 'FUNDING_REFRESH_SECONDS', field: 'fundingRefreshSeconds', type: 'number', default: 60, gt: 0, hotReload: true },
+
+    // --- 外部参考价格 (其他交易所订单簿的加权中位数) ---
+    { key: 'REFERENCE_SOURCES', field: 'referenceSources', type: 'string', transform: parseReferenceSources, perSymbol: true }, // 例如 binance:spot:2,okx:swap:1
+    { key: 'REFERENCE_USE_TESTNET', field: 'referenceUseTestnet', type: 'boolean', default: false }, // 默认取主网行情，测试网订单簿太薄
+    { key: 'REFERENCE_WEIGHT', field: 'referenceWeight', type: 'number', default: 1, min: 0, max: 1, perSymbol: true, hotReload: true },
+    { key: 'REFERENCE_BASIS_BPS', field: 'referenceBasisBps', type: 'number', default: 0, perSymbol: true, hotReload: true },
+    { key: 'REFERENCE_MAX_AGE_MS', field: 'referenceMaxAgeMs', type: 'number', default: 10000, gt: 0, hotReload: true },
+    { key: 'REFERENCE_MIN_SOURCES', field: 'referenceMinSources', type: 'number', default: 1, integer: true, min: 1, hotReload: true },
+    { key: 'REFERENCE_MAX_DEVIATION_BPS', field: 'referenceMaxDeviationBps', type: 'number', default: 100, min: 0, perSymbol: true, hotReload: true }, // 0 表示不检查
+    { key: 'REFERENCE_STALE_ACTION', field: 'referenceStaleAction', type: 'string', default: 'pause', enum: ['pause', 'local'], hotReload: true },
+
+    // --- 成交 markout (逆向选择分析) ---
+    { key: 'MARKOUT_WIDEN', field: 'markoutWiden', type: 'boolean', default: false, perSymbol: true, hotReload: true },
+    { key: 'MARKOUT_WIDEN_HORIZON_SECONDS', field: 'markoutWidenHorizonSeconds', type: 'number', default: 5, enum: [1, 5, 30, 60], hotReload: true },
+    { key: 'MARKOUT_WINDOW_FILLS', field: 'markoutWindowFills', type: 'number', default: 50, integer: true, min: 1, hotReload: true },
+    { key: 'MARKOUT_WIDEN_MIN_FILLS', field: 'markoutWidenMinFills', type: 'number', default: 20, integer: true, min: 1, hotReload: true },
+    { key: 'MARKOUT_WIDEN_MULTIPLIER', field: 'markoutWidenMultiplier', type: 'number', default: 1, gt: 0, perSymbol: true, hotReload: true },
+    { key: 'MARKOUT_WIDEN_MAX_BPS', field: 'markoutWidenMaxBps', type: 'number', default: 20, min: 0, perSymbol: true, hotReload: true },
+
+    // --- 报价模型 ---
+    { key: 'PRICING_MODEL', field: 'pricingModel', type: 'string', default: 'linear-skew', enum: ['linear-skew', 'avellaneda-stoikov'], perSymbol: true },
+    { key: 'AS_RISK_AVERSION', field: 'asRiskAversion', type: 'number', default: 0.1, gt: 0, perSymbol: true, hotReload: true },
+    { key: 'AS_HORIZON_SECONDS', field: 'asHorizonSeconds', type: 'number', default: 60, gt: 0, hotReload: true },
+    { key: 'AS_ARRIVAL_K', field: 'asArrivalK', type: 'number', gt: 0, hotReload: true }, // 可选：固定 k，覆盖成交历史估计
+    { key: 'AS_K_WINDOW_FILLS', field: 'asKWindowFills', type: 'number', default: 50, integer: true, min: 1 },
+    { key: 'AS_K_MIN_FILLS', field: 'asKMinFills', type: 'number', default: 10, integer: true, min: 1 },
+
+    // --- 波动率自适应价差 ---
+    { key: 'VOLATILITY_MODEL', field: 'volatilityModel', type: 'string', default: 'none', enum: ['none', 'ewma', 'parkinson'] },
+    { key: 'VOLATILITY_WINDOW_SECONDS', field: 'volatilityWindowSeconds', type: 'number', default: 300, gt: 0 },
+    { key: 'VOLATILITY_EWMA_LAMBDA', field: 'volatilityEwmaLambda', type: 'number', default: 0.94, gt: 0, lt: 1 },
+    { key: 'VOLATILITY_BUCKET_SECONDS', field: 'volatilityBucketSeconds', type: 'number', default: 60, gt: 0 },
+    { key: 'VOLATILITY_MIN_SAMPLES', field: 'volatilityMinSamples', type: 'number', default: 10, integer: true, min: 2 },
+    { key: 'VOLATILITY_HORIZON_SECONDS', field: 'volatilityHorizonSeconds', type: 'number', default: config => config.interval, gt: 0, hotReload: true }, // 默认一个策略周期
+    { key: 'VOLATILITY_SPREAD_MULTIPLIER', field: 'volatilitySpreadMultiplier', type: 'number', default: 2, gt: 0, hotReload: true },
+    { key: 'VOLATILITY_SPREAD_FLOOR_PCT', field: 'volatilitySpreadFloorPct', type: 'number', default: 0.0002, min: 0, hotReload: true },
+    { key: 'VOLATILITY_SPREAD_CAP_PCT', field: 'volatilitySpreadCapPct', type: 'number', default: 0.005, gt: 0, hotReload: true },
+
+    // --- 订单标记与启动对账 ---
+    { key: 'BOT_INSTANCE_ID', field: 'botInstanceId', type: 'string', default: 'lb1', pattern: /^[A-Za-z0-9]{1,12}$/, patternHint: '只能包含 1-12 个字母或数字' }, // 写入每个订单 clientOrderId 的前缀
+    { key: 'ORPHAN_ORDER_POLICY', field: 'orphanOrderPolicy', type: 'string', default: 'cancel', enum: ['adopt', 'cancel'] },
+
+    // --- 本地状态 (盈亏账本等) ---
+    { key: 'STATE_DIR', field: 'stateDir', type: 'string', default: 'state' },
+
+    // --- 风控熔断 (所有阈值为 0 表示不检查) ---
+    { key: 'RISK_MAX_SESSION_LOSS', field: 'riskMaxSessionLoss', type: 'number', default: 0, min: 0 },
+    { key: 'RISK_MAX_DRAWDOWN', field: 'riskMaxDrawdown', type: 'number', default: 0, min: 0 },
+    { key: 'RISK_MAX_FILLS_PER_MINUTE', field: 'riskMaxFillsPerMinute', type: 'number', default: 0, min: 0 },
+    { key: 'RISK_MAX_CONSECUTIVE_SAME_SIDE_FILLS', field: 'riskMaxConsecutiveSameSideFills', type: 'number', default: 0, min: 0 },
+    { key: 'RISK_MAX_POSITION_GROWTH_PER_MINUTE', field: 'riskMaxPositionGrowthPerMinute', type: 'number', default: 0, min: 0 },
+    { key: 'RISK_ACTION', field: 'riskAction', type: 'string', default: 'halt', enum: ['halt', 'cooldown'] },
+    { key: 'RISK_FLATTEN_ON_TRIP', field: 'riskFlattenOnTrip', type: 'boolean', default: false },
+    { key: 'RISK_COOLDOWN_SECONDS', field: 'riskCooldownSeconds', type: 'number', default: 300, min: 0 },
+    { key: 'RISK_COOLDOWN_SPREAD_MULTIPLIER', field: 'riskCooldownSpreadMultiplier', type: 'number', default: 3, min: 1 },
+
+    // --- 本地控制 API 和 Prometheus 指标 (端口 0 表示不启动) ---
+    { key: 'CONTROL_API_PORT', field: 'controlApiPort', type: 'number', default: 0, integer: true, min: 0, max: 65535 },
+    { key: 'CONTROL_API_TOKEN', field: 'controlApiToken', type: 'string', secret: true },
+    { key: 'METRICS_PORT', field: 'metricsPort', type: 'number', default: 0, integer: true, min: 0, max: 65535 },
+    { key: 'METRICS_HOST', field: 'metricsHost', type: 'string', default: '127.0.0.1' }, // 由其他主机抓取时设为 0.0.0.0
+
+    // --- WebSocket 流式行情 (ccxt pro) ---
+    { key: 'STREAMING_ENABLED', field: 'streamingEnabled', type: 'boolean', default: false }, // 默认关闭，仅使用 REST
+    { key: 'STREAM_STALE_MS', field: 'streamStaleMs', type: 'number', default: 10000, gt: 0 }, // 订单簿/行情超过此时间未更新则回退到 REST
+    { key: 'WS_URL', field: 'wsUrl', type: 'string' }, // 可选：覆盖所有 WebSocket 地址 (例如本地模拟服务)
+
+    // --- 模拟盘 (EXECUTION_MODE=paper) ---
+    { key: 'PAPER_INITIAL_BALANCE', field: 'paperInitialBalance', type: 'number', default: 10000, min: 0 },
+    { key: 'PAPER_INITIAL_POSITION', field: 'paperInitialPosition', type: 'number', default: 0 },
+    { key: 'PAPER_MAKER_FEE', field: 'paperMakerFee', type: 'number', default: 0.0002 }, // 负数为返佣
+    { key: 'PAPER_TAKER_FEE', field: 'paperTakerFee', type: 'number', default: 0.0005 },
+    { key: 'PAPER_DATA_FILE', field: 'paperDataFile', type: 'string' }, // 未设置则使用实时公开行情
+
+    // --- 行情录制 (EXECUTION_MODE=record) ---
+    { key: 'RECORD_DIR', field: 'recordDir', type: 'string', default: 'data' },
+    { key: 'RECORD_INTERVAL', field: 'recordInterval', type: 'number', default: config => config.interval, gt: 0 }, // 默认与策略周期相同
+    { key: 'RECORD_DEPTH', field: 'recordDepth', type: 'number', default: config => Math.max(config.orderBookDepthLevels, 20), integer: true, min: 1 },
+    { key: 'RECORD_MAX_FILE_MB', field: 'recordMaxFileMb', type: 'number', default: 0, min: 0 }, // 0 表示只按天切分
+
+    // --- 多层报价 (Ladder) ---
+    { key: 'LADDER_LEVELS', field: 'ladderLevels', type: 'number', default: 1, integer: true, min: 1, hotReload: true }, // 默认 1 层 (单笔挂单)
+    { key: 'LADDER_LEVEL_SPACING_TICKS', field: 'ladderLevelSpacingTicks', type: 'number', default: 5, min: 0, hotReload: true },
+    // 未显式配置时，第 i 层偏移 i * LADDER_LEVEL_SPACING_TICKS，数量倍数均为 1
+    {
+        key: 'LADDER_TICK_OFFSETS', field: 'ladderTickOffsets', type: 'numbers', hotReload: true, itemMin: 0,
+        default: config => Array.from({ length: Math.max(1, config.ladderLevels) }, (_, i) => i * config.ladderLevelSpacingTicks),
+    },
+    {
+        key: 'LADDER_SIZE_MULTIPLIERS', field: 'ladderSizeMultipliers', type: 'numbers', hotReload: true, itemGt: 0,
+        default: config => Array.from({ length: Math.max(1, config.ladderLevels) }, () => 1),
+    },
+];
+
+/**
+ * 跨字段规则。severity 为 warning 的规则只提示，不阻止启动。
+ * @type {Array<{ keys: string[], check: (config: Config) => boolean, message: (config: Config) => string, severity?: 'error' | 'warning' }>}
+ */
+const CROSS_FIELD_RULES = [
+    {
+        keys: ['MIN_SPREAD', 'MAX_SPREAD'],
+        check: config => config.minSpread <= config.maxSpread,
+        message: config => `MIN_SPREAD (${config.minSpread}) 不能大于 MAX_SPREAD (${config.maxSpread})。`,
+    },
+    {
+        keys: ['POSITION_LIMIT', 'INVENTORY_SKEW_INTENSITY'],
+        check: config => !(config.inventorySkewIntensity > 0) || config.positionLimit > 0,
+        message: config => `库存倾斜 (INVENTORY_SKEW_INTENSITY=${config.inventorySkewIntensity}) 要求 POSITION_LIMIT (${config.positionLimit}) 为正数。`,
+    },
+    {
+        keys: ['VOLATILITY_SPREAD_FLOOR_PCT', 'VOLATILITY_SPREAD_CAP_PCT'],
+        check: config => config.volatilitySpreadFloorPct <= config.volatilitySpreadCapPct,
+        message: config => `VOLATILITY_SPREAD_FLOOR_PCT (${config.volatilitySpreadFloorPct}) 不能大于 VOLATILITY_SPREAD_CAP_PCT (${config.volatilitySpreadCapPct})。`,
+    },
+    {
+        keys: ['VOLATILITY_MODEL', 'VOLATILITY_WINDOW_SECONDS', 'INTERVAL'],
+        check: config => config.volatilityModel === 'none' || config.volatilityWindowSeconds >= config.interval * 2,
+        message: config => `VOLATILITY_WINDOW_SECONDS (${config.volatilityWindowSeconds}) 小于两个策略周期，波动率估计将一直无法预热。`,
+        severity: 'warning',
+    },
+    {
+        keys: ['LADDER_LEVELS', 'LADDER_TICK_OFFSETS', 'LADDER_SIZE_MULTIPLIERS'],
+        check: config => config.ladderTickOffsets.length >= config.ladderLevels && config.ladderSizeMultipliers.length >= config.ladderLevels,
+        message: config => `LADDER_TICK_OFFSETS (${config.ladderTickOffsets.length} 项) 和 LADDER_SIZE_MULTIPLIERS (${config.ladderSizeMultipliers.length} 项) 都至少需要 LADDER_LEVELS (${config.ladderLevels}) 项。`,
+    },
+    {
+        keys: ['HEDGE_ENABLED', 'HEDGE_THRESHOLD'],
+        check: config => !config.hedgeEnabled || config.hedgeThreshold > 0,
+        message: () => '启用 HEDGE_ENABLED 时必须设置 HEDGE_THRESHOLD (合计持仓超过多少基础货币时对冲)。',
+    },
+    {
+        keys: ['HEDGE_ENABLED', 'EXECUTION_MODE'],
+        check: config => !config.hedgeEnabled || config.executionMode !== 'backtest',
+        message: () => '回测只回放一个交易场所的行情，不执行对冲 (HEDGE_ENABLED 被忽略)。',
+        severity: 'warning',
+    },
+    {
+        keys: ['RISK_FLATTEN_ON_TRIP', 'DEFAULT_MARKET_TYPE'],
+        check: config => !config.riskFlattenOnTrip || config.defaultMarketType !== 'spot',
+        message: () => '现货没有持仓可平 (余额不视为持仓)，RISK_FLATTEN_ON_TRIP 只支持合约。',
+    },
+    {
+        keys: ['FUNDING_AWARE', 'FUNDING_MAX_INVENTORY_SHIFT', 'POSITION_LIMIT'],
+        check: config => !config.fundingAware || config.fundingMaxInventoryShift <= config.positionLimit,
+        message: config => `FUNDING_MAX_INVENTORY_SHIFT (${config.fundingMaxInventoryShift}) 不能大于 POSITION_LIMIT (${config.positionLimit})。`,
+    },
+    {
+        keys: ['FUNDING_AWARE', 'PRICING_MODEL', 'INVENTORY_SKEW_INTENSITY'],
+        check: config => !config.fundingAware || config.pricingModel === 'avellaneda-stoikov' || config.inventorySkewIntensity > 0,
+        message: () => '目标库存通过库存倾斜影响报价：INVENTORY_SKEW_INTENSITY 为 0 时 FUNDING_AWARE 不改变报价价格。',
+        severity: 'warning',
+    },
+    {
+        keys: ['FUNDING_AWARE', 'DEFAULT_MARKET_TYPE', 'EXECUTION_MODE'],
+        check: config => !config.fundingAware || (config.defaultMarketType !== 'spot' && config.executionMode !== 'backtest'),
+        message: () => '资金费率只适用于永续合约，回测数据也不含资金费率 (FUNDING_AWARE 被忽略)。',
+        severity: 'warning',
+    },
+    {
+        keys: ['REFERENCE_SOURCES', 'REFERENCE_MIN_SOURCES'],
+        check: config => !config.referenceSources?.length || config.referenceMinSources <= config.referenceSources.length,
+        message: config => `REFERENCE_MIN_SOURCES (${config.referenceMinSources}) 大于 REFERENCE_SOURCES 中的来源数 (${config.referenceSources.length})，参考价格永远不可用。`,
+    },
+    {
+        keys: ['REFERENCE_SOURCES', 'EXECUTION_MODE', 'PAPER_DATA_FILE'],
+        check: config => !config.referenceSources?.length || (config.executionMode !== 'backtest' && !(config.executionMode === 'paper' && config.paperDataFile)),
+        message: () => '回测和回放录制文件的模拟盘没有其他交易所的同期行情，不使用外部参考价格 (REFERENCE_SOURCES 被忽略)。',
+        severity: 'warning',
+    },
+    {
+        keys: ['MARKOUT_WIDEN', 'MARKOUT_WIDEN_MIN_FILLS', 'MARKOUT_WINDOW_FILLS'],
+        check: config => !config.markoutWiden || config.markoutWidenMinFills <= config.markoutWindowFills,
+        message: config => `MARKOUT_WIDEN_MIN_FILLS (${config.markoutWidenMinFills}) 大于 MARKOUT_WINDOW_FILLS (${config.markoutWindowFills})，报价永远不会加宽。`,
+    },
+    {
+        keys: ['SYMBOLS'],
+        check: config => config.symbols.length > 0,
+        message: () => 'SYMBOLS 至少需要包含一个交易对。',
+    },
+    {
+        keys: ['CONTROL_API_PORT', 'CONTROL_API_TOKEN'],
+        check: config => !(config.controlApiPort > 0) || config.controlApiToken?.length >= 16,
+        message: () => '启用 CONTROL_API_PORT 时必须设置至少 16 个字符的 CONTROL_API_TOKEN。',
+    },
+];
+
+/**
+ * 运行时可修改的报价参数 (控制 API 的 POST /params): 配置字段 -> 环境变量名。
+ * @type {Record<string, string>}
+ */
+export const RUNTIME_QUOTE_PARAMS = {
+    targetSpreadPct: 'TARGET_SPREAD_PCT',
+    minSpread: 'MIN_SPREAD',
+    maxSpread: 'MAX_SPREAD',
+    baseAmount: 'BASE_AMOUNT',
+    positionLimit: 'POSITION_LIMIT',
+    inventorySkewIntensity: 'INVENTORY_SKEW_INTENSITY',
+};
+
+/**
+ * @typedef {object} ValidationIssue
+ * @property {string} key 配置项 (跨字段规则为多个键名，以 / 连接)
+ * @property {string} message
+ */
+
+/**
+ * 按声明检查单个值的类型和取值范围
+ * @param {SettingSchema} setting
+ * @param {unknown} value
+ * @returns {string | undefined} 错误信息
+ */
+function checkSettingValue(setting, value) {
+    if (value === undefined) return undefined;
+    if (setting.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) return '必须是数字。';
+    if (setting.enum && !setting.enum.includes(value)) return `必须是 ${setting.enum.join('、')} 之一。`;
+    if (setting.pattern && !setting.pattern.test(value)) return `${setting.patternHint ?? '格式无效'}。`;
+    if (setting.integer && !Number.isInteger(value)) return '必须是整数。';
+    if (setting.min !== undefined && value < setting.min) return `不能小于 ${setting.min}。`;
+    if (setting.max !== undefined && value > setting.max) return `不能大于 ${setting.max}。`;
+    if (setting.gt !== undefined && !(value > setting.gt)) return `必须大于 ${setting.gt}。`;
+    if (setting.lt !== undefined && !(value < setting.lt)) return `必须小于 ${setting.lt}。`;
+    if (setting.itemMin !== undefined && value.some(item => item < setting.itemMin)) return `每一项都不能小于 ${setting.itemMin}。`;
+    if (setting.itemGt !== undefined && value.some(item => !(item > setting.itemGt))) return `每一项都必须大于 ${setting.itemGt}。`;
+    return undefined;
+}
+
+/**
+ * @param {string} key 配置项键名 (可带交易对前缀)
+ * @param {SettingSchema} setting
+ * @param {unknown} value
+ * @returns {string} 例如 "BASE_AMOUNT = -1 [命令行 --set]"
+ */
+function describeSetting(key, setting, value) {
+    const shown = setting.secret ? '***' : JSON.stringify(value);
+    return `${key} = ${shown} [${settingSources.origins[key] ?? '默认值'}]`;
+}
+
+/**
+ * 读取、转换并检查一个配置项，结果写入 target[setting.field]
+ * @param {Config} target
+ * @param {SettingSchema} setting
+ * @param {string} prefix 交易对前缀 ('' 表示全局)
+ * @param {unknown} fallback 未设置时的值
+ * @param {{ errors: string[], warnings: string[] }} report
+ */
+function readSetting(target, setting, prefix, fallback, report) {
+    const key = `${prefix}${setting.key}`;
+    const required = typeof setting.required === 'function' ? setting.required(target) : setting.required ?? false;
+    try {
+        const raw = getEnvVar(key, setting.type, required, fallback);
+        target[setting.field] = setting.transform && typeof raw === 'string' ? setting.transform(raw) : raw;
+    } catch (error) {
+        report.errors.push(`${key}: ${error.message}`);
+        target[setting.field] = fallback;
+        return;
+    }
+    const problem = checkSettingValue(setting, target[setting.field]);
+    if (problem) report.errors.push(`${describeSetting(key, setting, target[setting.field])}: ${problem}`);
+}
+
+/**
+ * 对配置应用跨字段规则
+ * @param {Config} target
+ * @param {{ errors: string[], warnings: string[] }} report
+ * @param {string} [label] 报告中的前缀，例如交易对
+ * @param {(rule: typeof CROSS_FIELD_RULES[number]) => boolean} [filter]
+ */
+function applyCrossFieldRules(target, report, label = '', filter = () => true) {
+    for (const rule of CROSS_FIELD_RULES.filter(filter)) {
+        if (rule.check(target)) continue;
+        const line = `${label}${rule.keys.join(' / ')}: ${rule.message(target)}`;
+        (rule.severity === 'warning' ? report.warnings : report.errors).push(line);
+    }
+}
+
+/**
+ * 验证价差、数量和库存倾斜参数。控制 API 的运行时修改与启动时使用同一套声明和规则。
+ * @param {Pick<Config, 'targetSpreadPct' | 'minSpread' | 'maxSpread' | 'baseAmount' | 'positionLimit' | 'inventorySkewIntensity'>} params
+ * @returns {string[]} 错误信息，为空表示有效
+ */
+export function validateQuoteParams(params) {
+    const errors = [];
+    for (const [field, key] of Object.entries(RUNTIME_QUOTE_PARAMS)) {
+        const setting = CONFIG_SCHEMA.find(entry => entry.key === key);
+        const problem = params[field] === undefined ? '必须是数字。' : checkSettingValue(setting, params[field]);
+        if (problem) errors.push(`${key} (${params[field]}) ${problem}`);
+    }
+    if (errors.length > 0) return errors;
+    const runtimeKeys = new Set(Object.values(RUNTIME_QUOTE_PARAMS));
+    const report = { errors, warnings: [] };
+    applyCrossFieldRules(/** @type {Config} */ (params), report, '', rule => rule.keys.every(key => runtimeKeys.has(key)));
+    return errors;
+}
+
+/**
+ * 验证运行中的单个交易对配置，例如热重载的新值叠加在控制 API 修改过的当前值上之后：
+ * 报价参数的取值范围和全部跨字段规则 (只返回错误，警告在加载配置时已经报告)。
+ * @param {Config} symbolConfig
+ * @returns {string[]} 错误信息，为空表示有效
+ */
+export function validateRuntimeConfig(symbolConfig) {
+    const errors = validateQuoteParams(symbolConfig);
+    if (errors.length > 0) return errors;
+    applyCrossFieldRules(symbolConfig, { errors, warnings: [] });
+    return errors;
+}
+
+/**
+ * 需要交易所市场信息的规则 (例如 BASE_AMOUNT 不能低于交易所的最小下单量)，在加载市场后调用。
+ * @param {Config} symbolConfig 单个交易对的配置
+ * @param {{ limits?: { amount?: { min?: number } } } | undefined} market ccxt 市场
+ * @returns {string[]} 错误信息，为空表示有效
+ */
+export function validateMarketConfig(symbolConfig, market) {
+    const errors = [];
+    const minAmount = market?.limits?.amount?.min;
+    if (minAmount > 0) {
+        const smallestMultiplier = Math.min(...symbolConfig.ladderSizeMultipliers.slice(0, symbolConfig.ladderLevels));
+        if (symbolConfig.baseAmount < minAmount) {
+            errors.push(`[${symbolConfig.symbol}] BASE_AMOUNT (${symbolConfig.baseAmount}) 低于交易所最小下单量 ${minAmount}。`);
+        } else if (symbolConfig.baseAmount * smallestMultiplier < minAmount) {
+            errors.push(`[${symbolConfig.symbol}] BASE_AMOUNT × LADDER_SIZE_MULTIPLIERS 的最小值 (${symbolConfig.baseAmount * smallestMultiplier}) 低于交易所最小下单量 ${minAmount}。`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * 打印验证报告。有错误时抛出异常，拒绝启动。
+ * @param {{ errors: string[], warnings: string[] }} report
+ */
+export function printValidationReport(report) {
+    if (report.warnings.length > 0) {
+        log('WARN', `配置警告 (${report.warnings.length} 项):\n${report.warnings.map(line => `  ! ${line}`).join('\n')}`);
+    }
+    if (report.errors.length > 0) {
+        log('ERROR', `配置验证失败 (${report.errors.length} 个错误):\n${report.errors.map(line => `  ✗ ${line}`).join('\n')}`);
+        throw new Error(`配置中有 ${report.errors.length} 个错误，拒绝启动。`);
+    }
+}
+
+/**
+ * @param {string} symbol 交易对，例如 "ETH/USDT"
+ * @returns {string} 环境变量前缀，例如 "ETH_USDT__"
+ */
+function symbolEnvPrefix(symbol) {
+    return `${symbol.replace(/[^A-Za-z0-9]+/g, '_').toUpperCase()}__`;
+}
+
+/**
+ * 构建单个交易对的配置：全局配置 + 该交易对的覆盖项 (`<交易对>__<键名>`)，覆盖项按相同的声明验证。
+ * @param {Config} baseConfig 全局配置
+ * @param {string} symbol 交易对
+ * @param {{ errors: string[], warnings: string[] }} report
+ * @returns {Config}
+ */
+function buildSymbolConfig(baseConfig, symbol, report) {
+    const symbolConfig = { ...baseConfig, symbol };
+    const prefix = symbolEnvPrefix(symbol);
+    const overriddenKeys = new Set();
+    for (const setting of CONFIG_SCHEMA.filter(entry => entry.perSymbol)) {
+        if (settingSources.values[`${prefix}${setting.key}`] === undefined) continue;
+        overriddenKeys.add(setting.key);
+        readSetting(symbolConfig, setting, prefix, baseConfig[setting.field], report);
+    }
+    // 全局配置已检查过的规则不重复报告
+    applyCrossFieldRules(symbolConfig, report, `[${symbol}] `, rule => rule.keys.some(key => overriddenKeys.has(key)));
+    return symbolConfig;
+}
+
+/**
+ * 配置文件和 --set 中的键名必须是已声明的配置项 (或其按交易对覆盖的形式)，以发现拼写错误
+ * @param {string[]} keys
+ * @param {{ errors: string[], warnings: string[] }} report
+ */
+function checkUnknownKeys(keys, report) {
+    const known = new Set(CONFIG_SCHEMA.map(setting => setting.key));
+    const perSymbol = new Set(CONFIG_SCHEMA.filter(setting => setting.perSymbol).map(setting => setting.key));
+    for (const key of keys) {
+        const [, overriddenKey] = /^[A-Z0-9_]+?__([A-Z0-9_]+)$/.exec(key) ?? [];
+        if (known.has(key) || perSymbol.has(overriddenKey)) continue;
+        report.errors.push(`${key} [${settingSources.origins[key]}]: 未知的配置项。`);
+    }
+}
+
+/**
+ * 从所有来源读取并验证完整配置 (包括每个交易对的配置)，不修改已导出的配置对象
+ * @returns {{ config: Config, symbolConfigs: Config[], report: { errors: string[], warnings: string[] } }}
+ */
+function loadConfig() {
+    const { configFile, profileName, explicitKeys } = loadSettingSources();
+    /** @type {Config} */
+    const loaded = { configFile, configProfile: profileName };
+
+    /** @type {{ errors: string[], warnings: string[] }} */
+    const report = { errors: [], warnings: [] };
+    checkUnknownKeys(explicitKeys, report);
+    for (const setting of CONFIG_SCHEMA) {
+        const fallback = typeof setting.default === 'function' ? setting.default(loaded) : setting.default;
+        readSetting(loaded, setting, '', fallback, report);
+    }
+    loaded.symbol = loaded.symbols?.[0] ?? loaded.symbol; // 单交易对代码路径 (回测、日志) 使用第一个
+    applyCrossFieldRules(loaded, report);
+
+    const loadedSymbolConfigs = loaded.symbols.map(symbol => buildSymbolConfig(loaded, symbol, report));
+    return { config: loaded, symbolConfigs: loadedSymbolConfigs, report };
+}
+
+/**
+ * 重新读取配置文件、.env 和命令行覆盖项 (热重载)。读取失败时作为错误写入报告，不抛出异常。
+ * @returns {{ config?: Config, symbolConfigs: Config[], report: { errors: string[], warnings: string[] } }}
+ */
+export function reloadConfig() {
+    try {
+        return loadConfig();
+    } catch (error) {
+        return { symbolConfigs: [], report: { errors: [error.message], warnings: [] } };
+    }
+}
+
+/**
+ * @typedef {object} ConfigChange
+ * @property {string} key 配置项键名
+ * @property {keyof Config} field 配置字段
+ * @property {unknown} from 原值 (密钥为 ***)
+ * @property {unknown} to 新值 (密钥为 ***)
+ */
+
+/**
+ * 比较两份配置 (热重载): 可在运行时应用的变更，以及需要重启才能生效的变更
+ * @param {Config} previous
+ * @param {Config} next
+ * @returns {{ reloadable: ConfigChange[], restartRequired: ConfigChange[], updates: Partial<Config> }} updates 为可应用的新值
+ */
+export function diffConfigs(previous, next) {
+    const diff = { reloadable: [], restartRequired: [], updates: {} };
+    for (const setting of CONFIG_SCHEMA) {
+        const from = previous[setting.field];
+        const to = next[setting.field];
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+        const change = {
+            key: setting.key,
+            field: setting.field,
+            from: setting.secret ? '***' : from,
+            to: setting.secret ? '***' : to,
+        };
+        if (setting.hotReload) {
+            diff.reloadable.push(change);
+            diff.updates[setting.field] = to;
+        } else {
+            diff.restartRequired.push(change);
+        }
+    }
+    return diff;
+}
+
 // --- 配置对象构建（更新） ---
 /** @type {Config} */
 export const config = {}; // 先创建一个空对象
 
+/**
+ * 每个交易对一份配置 (与 config.symbols 顺序相同)，共享同一个交易所连接。
+ * @type {Config[]}
+ */
+export const symbolConfigs = [];
+
 try {
-    config.apiKey = getEnvVar('BINANCE_API_KEY', 'string', true);
-    config.secretKey = getEnvVar('BINANCE_SECRET_KEY', 'string', true);
-    config.useTestnet = getEnvVar('USE_TESTNET', 'boolean', false, true); // 默认使用测试网
-    config.symbol = getEnvVar('SYMBOL', 'string', true, 'BTC/USDT'); // 默认 BTC/USDT
-    config.exchangeId = getEnvVar('EXCHANGE_ID', 'string', false, 'binance'); // 可选，默认 binance
-    config.defaultMarketType = getEnvVar('DEFAULT_MARKET_TYPE', 'string', false, 'future'); // 可选，默认 future
-    config.password = getEnvVar('BINANCE_PASSWORD', 'string', false); // 可选密码
-
-    // 数值类型
-    config.orderBookDepthLevels = getEnvVar('ORDER_BOOK_DEPTH_LEVELS', 'number', false, 10);
-    config.targetSpreadPct = getEnvVar('TARGET_SPREAD_PCT', 'number', false, 0.0005); // 默认 0.05%
-    config.minSpread = getEnvVar('MIN_SPREAD', 'number', false, 1);
-    config.maxSpread = getEnvVar('MAX_SPREAD', 'number', false, 50);
-    config.baseAmount = getEnvVar('BASE_AMOUNT', 'number', false, 0.01);
-    config.liquidityVolumeThreshold = getEnvVar('LIQUIDITY_VOLUME_THRESHOLD', 'number', false, 0.1);
-    config.positionLimit = getEnvVar('POSITION_LIMIT', 'number', false, 0.1); // 默认 0.1
-    config.interval = getEnvVar('INTERVAL', 'number', false, 5); // 默认 5 秒
-
-    // --- 新增配置项的读取 ---
-    config.inventorySkewIntensity = getEnvVar('INVENTORY_SKEW_INTENSITY', 'number', false, 0); // 默认 0 (禁用)
-    config.rangeTicksForLiquidity = getEnvVar('RANGE_TICKS_FOR_LIQUIDITY', 'number', false, 30);
-    config.minNotionalValue = getEnvVar('MIN_NOTIONAL_VALUE', 'number', false, 10); // 默认 10
-
-    // --- 配置后验证 ---
-    if (config.targetSpreadPct <= 0) {
-        log('WARN', `TARGET_SPREAD_PCT (${config.targetSpreadPct}) 必须是正数。`);
-        // 可以考虑设置一个安全值或抛出错误
-    }
-    if (config.inventorySkewIntensity < 0) {
-        log('WARN', `INVENTORY_SKEW_INTENSITY (${config.inventorySkewIntensity}) 不能为负数，已设为 0。`);
-        config.inventorySkewIntensity = 0;
-    }
-    if (config.positionLimit <= 0 && config.inventorySkewIntensity > 0) {
-        log('WARN', `库存倾斜要求 positionLimit (${config.positionLimit}) 为正数。已禁用倾斜。`);
-        config.inventorySkewIntensity = 0;
-    }
-    // ... 可以添加更多验证 ...
+    const loaded = loadConfig();
+    Object.assign(config, loaded.config);
+    symbolConfigs.push(...loaded.symbolConfigs);
+
+    // 日志配置无效时保持默认输出，以便显示验证报告
+    configureLogger({
+        level: config.logLevel in LOG_LEVELS ? config.logLevel : 'INFO',
+        format: ['text', 'json'].includes(config.logFormat) ? config.logFormat : 'text',
+        console: config.logConsole,
+        file: config.logFile,
+        maxFileBytes: config.logMaxFileMb * 1024 * 1024,
+        rotateDaily: config.logRotateDaily,
+        maxFiles: config.logMaxFiles,
+    });
+    if (result.error) {
+        // 如果 .env 文件不存在，这不算严重错误，但最好提示一下
+        log('WARN', `.env 文件 (${envPath}) 加载失败或不存在。将依赖已存在的环境变量或默认值。错误: ${result.error.message}`);
+    } else {
+        log('INFO', `.env 文件 (${envPath}) 加载成功。`);
+    }
+    if (config.configFile) {
+        log('INFO', `配置文件: ${config.configFile}${config.configProfile ? `，profile: ${config.configProfile}` : ''}`);
+    }
+    printValidationReport(loaded.report);
 
     log('INFO', '配置加载完成:', {
-        symbol: config.symbol,
+        executionMode: config.executionMode,
+        configFile: config.configFile,
+        configProfile: config.configProfile,
+        logLevel: config.logLevel,
+        logFormat: config.logFormat,
+        symbols: config.symbols,
+        portfolioMaxNotional: config.portfolioMaxNotional,
+        riskAction: config.riskAction,
+        hedgeEnabled: config.hedgeEnabled,
+        fundingAware: config.fundingAware,
+        referenceSources: config.referenceSources?.map(source => `${source.exchangeId}:${source.marketType}`),
+        markoutWiden: config.markoutWiden,
         useTestnet: config.useTestnet,
         exchangeId: config.exchangeId,
         interval: config.interval,
+        streamingEnabled: config.streamingEnabled,
+        controlApiPort: config.controlApiPort,
+        metricsPort: config.metricsPort,
+        botInstanceId: config.botInstanceId,
+        orphanOrderPolicy: config.orphanOrderPolicy,
+        fairValueMethod: config.fairValueMethod,
         targetSpreadPct: config.targetSpreadPct,
+        volatilityModel: config.volatilityModel,
+        pricingModel: config.pricingModel,
         positionLimit: config.positionLimit,
         inventorySkewIntensity: config.inventorySkewIntensity,
         minNotionalValue: config.minNotionalValue,
+        ladderLevels: config.ladderLevels,
+        ladderTickOffsets: config.ladderTickOffsets.slice(0, config.ladderLevels),
+        ladderSizeMultipliers: config.ladderSizeMultipliers.slice(0, config.ladderLevels),
         // 避免记录敏感信息如 API Keys
     });
 
@@ -149,4 +952,4 @@ try {
     log('ERROR', `加载配置时发生致命错误: ${error.message}`);
     // 在发生严重配置错误时退出程序可能更安全
     process.exit(1);
-}
\ No newline at end of file
+}
@@ -0,0 +1,236 @@
+// src/control.js
+import http from 'http';
+import crypto from 'crypto';
+import { RUNTIME_QUOTE_PARAMS, validateQuoteParams } from './config.js';
+import { log } from './utils.js';
+
+const CONTROL_API_HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Error answered with its HTTP status instead of 500.
+ */
+class ControlApiError extends Error {
+    /**
+     * @param {number} statusCode
+     * @param {string} message
+     */
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Local HTTP API for on-call control of the running strategies, bound to 127.0.0.1 only.
+ * Every request needs `Authorization: Bearer <CONTROL_API_TOKEN>`.
+ *
+ *   GET  /status      quotes, position, balance, PnL, risk state and last cycle timing
+ *   POST /pause       cancel this bot's orders and stop quoting
+ *   POST /resume      quote again from the next cycle
+ *   POST /cancel-all  cancel this bot's orders now and pause quoting
+ *   POST /params      JSON body with any of RUNTIME_QUOTE_PARAMS; applied from the next cycle
+ *
+ * Every endpoint takes an optional `?symbol=ETH/USDT`; without it, it applies to all symbols.
+ * Nothing changed here is written back to .env, so a restart returns to the configured values.
+ */
+export class ControlServer {
+    /** @type {import('./strategy.js').MarketMakerStrategy[]} */
+    strategies;
+    /** @type {number} */
+    port;
+    /** @type {Buffer} */
+    tokenDigest;
+    /** @type {http.Server | undefined} */
+    server = undefined;
+
+    /**
+     * @param {import('./strategy.js').MarketMakerStrategy[]} strategies
+     * @param {object} options
+     * @param {number} options.port
+     * @param {string} options.token
+     */
+    constructor(strategies, { port, token }) {
+        this.strategies = strategies;
+        this.port = port;
+        this.tokenDigest = digest(token);
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves once the server is listening
+     */
+    start() {
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch((error) => {
+                const statusCode = error instanceof ControlApiError ? error.statusCode : 500;
+                if (statusCode === 500) log('ERROR', `Control API ${req.method} ${req.url} failed:`, error);
+                sendJson(res, statusCode, { error: error.message });
+            });
+        });
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, CONTROL_API_HOST, () => {
+                this.server.off('error', reject);
+                log('INFO', `Control API listening on http://${CONTROL_API_HOST}:${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    close() {
+        if (!this.server) return Promise.resolve();
+        const server = this.server;
+        this.server = undefined;
+        server.closeAllConnections?.();
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    /**
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    async handle(req, res) {
+        if (!this.isAuthorized(req.headers.authorization)) {
+            log('WARN', `Control API rejected unauthorized ${req.method} ${req.url}`);
+            throw new ControlApiError(401, 'unauthorized');
+        }
+        const url = new URL(req.url ?? '/', `http://${CONTROL_API_HOST}`);
+        const route = `${req.method} ${url.pathname}`;
+        const strategies = this.selectStrategies(url.searchParams.get('symbol'));
+
+        switch (route) {
+            case 'GET /status':
+                sendJson(res, 200, { symbols: strategies.map(strategy => ({ ...strategy.getStatus(), params: quoteParams(strategy.config) })) });
+                return;
+            case 'POST /pause':
+            case 'POST /resume': {
+                const paused = url.pathname === '/pause';
+                for (const strategy of strategies) {
+                    if (strategy.paused !== paused) {
+                        log('WARN', `[${strategy.config.symbol}] Quoting ${paused ? 'paused' : 'resumed'} through the control API.`);
+                    }
+                    strategy.paused = paused;
+                }
+                sendJson(res, 200, { symbols: strategies.map(strategy => ({ symbol: strategy.config.symbol, paused: strategy.paused })) });
+                return;
+            }
+            case 'POST /cancel-all':
+                // Pause first so the next cycle does not put the orders straight back; an order placed
+                // by a cycle already in flight is cancelled by the next (paused) cycle
+                for (const strategy of strategies) {
+                    strategy.paused = true;
+                    log('WARN', `[${strategy.config.symbol}] Cancelling all orders and pausing quoting through the control API.`);
+                }
+                await Promise.all(strategies.map(strategy => strategy.cancelOwnOrders()));
+                sendJson(res, 200, { symbols: strategies.map(strategy => ({ symbol: strategy.config.symbol, paused: true })) });
+                return;
+            case 'POST /params': {
+                const updates = parseParamUpdates(await readJsonBody(req));
+                // Validate every symbol before changing any, so a request is applied entirely or not at all
+                for (const strategy of strategies) {
+                    const errors = validateQuoteParams({ ...strategy.config, ...updates });
+                    if (errors.length > 0) {
+                        throw new ControlApiError(400, `[${strategy.config.symbol}] ${errors.join(' ')}`);
+                    }
+                }
+                for (const strategy of strategies) {
+                    log('WARN', `[${strategy.config.symbol}] Quote parameters changed through the control API:`, updates);
+                    Object.assign(strategy.config, updates);
+                }
+                sendJson(res, 200, { symbols: strategies.map(strategy => ({ symbol: strategy.config.symbol, params: quoteParams(strategy.config) })) });
+                return;
+            }
+            default:
+                throw new ControlApiError(404, `unknown endpoint ${route}`);
+        }
+    }
+
+    /**
+     * @param {string | undefined} header Authorization header
+     * @returns {boolean}
+     */
+    isAuthorized(header) {
+        const match = /^Bearer (.+)$/.exec(header ?? '');
+        // Compare fixed-length digests so the check takes the same time for any token
+        return match !== null && crypto.timingSafeEqual(digest(match[1]), this.tokenDigest);
+    }
+
+    /**
+     * @param {string | null} symbol
+     * @returns {import('./strategy.js').MarketMakerStrategy[]}
+     */
+    selectStrategies(symbol) {
+        if (!symbol) return this.strategies;
+        const selected = this.strategies.filter(strategy => strategy.config.symbol === symbol);
+        if (selected.length === 0) {
+            throw new ControlApiError(404, `unknown symbol ${symbol}`);
+        }
+        return selected;
+    }
+}
+
+/**
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * @param {import('./config.js').Config} config
+ * @returns {Record<string, number>}
+ */
+function quoteParams(config) {
+    return Object.fromEntries(Object.keys(RUNTIME_QUOTE_PARAMS).map(field => [field, config[field]]));
+}
+
+/**
+ * @param {unknown} body Parsed JSON body, e.g. { "targetSpreadPct": 0.001, "baseAmount": 0.02 }
+ * @returns {Record<string, number>}
+ */
+function parseParamUpdates(body) {
+    if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+        throw new ControlApiError(400, 'body must be a JSON object');
+    }
+    const unknown = Object.keys(body).filter(field => !(field in RUNTIME_QUOTE_PARAMS));
+    if (unknown.length > 0) {
+        throw new ControlApiError(400, `unknown parameter(s) ${unknown.join(', ')}; allowed: ${Object.keys(RUNTIME_QUOTE_PARAMS).join(', ')}`);
+    }
+    if (Object.keys(body).length === 0) {
+        throw new ControlApiError(400, 'no parameters given');
+    }
+    return /** @type {Record<string, number>} */ (body);
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<unknown>}
+ */
+async function readJsonBody(req) {
+    let body = '';
+    for await (const chunk of req) {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+            throw new ControlApiError(413, 'request body too large');
+        }
+    }
+    try {
+        return JSON.parse(body);
+    } catch {
+        throw new ControlApiError(400, 'body is not valid JSON');
+    }
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} statusCode
+ * @param {object} payload
+ */
+function sendJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
@@ -1,11 +1,20 @@
 // src/exchange.js
 import ccxt from 'ccxt';
-import { log } from './utils.js';
+import { sleep } from './utils.js';
+import { logger as rootLogger } from './logger.js';
+import { StreamState } from './stream.js';
+import { metrics, errorClassName } from './metrics.js';
 // --- ADDED: Import proxy agents ---
 import { HttpsProxyAgent } from 'https-proxy-agent';
 import { SocksProxyAgent } from 'socks-proxy-agent';
 // --- END ADDED ---
 
+const logger = rootLogger.child({ module: 'exchange' });
+const log = logger.log;
+
+/** Closed orders remembered from the orders stream so fetchOrder can report their final state. */
+const MAX_CLOSED_ORDER_UPDATES = 500;
+
 export class ExchangeService {
     /** @type {ccxt.Exchange} */
     exchange;
@@ -16,11 +25,43 @@ export class ExchangeService {
     /** @type {import('./config.js').Config} */
     config; // JSDoc for type hint
 
+    // --- Streaming (ccxt pro) ---
+    /** @type {object} Options used to create the REST instance, reused for the WebSocket instance */
+    exchangeOptions;
+    /** @type {ccxt.pro.Exchange | undefined} */
+    wsExchange;
+    /** @type {StreamState | undefined} */
+    streamState = undefined;
+    /** @type {boolean} */
+    streaming = false;
+    /** @type {Promise<void>[]} */
+    streamTasks = [];
+    /** @type {Map<string, ccxt.Order>} Latest streamed update of recently closed orders, served by fetchOrder */
+    closedOrderUpdates = new Map();
+    /** @type {Array<(orderBook: ccxt.OrderBook) => void>} Called with every streamed order book update */
+    orderBookListeners = [];
+    /** @type {ExchangeService | undefined} Service whose REST/WebSocket connection this one reuses */
+    sharedConnection = undefined;
+
     /**
      * @param {import('./config.js').Config} config Configuration object
+     * @param {object} [options]
+     * @param {object} [options.wsExchange] WebSocket exchange to use for streaming instead of ccxt.pro (e.g. a local stand-in)
+     * @param {ExchangeService} [options.shared] Another symbol's service whose connection, rate limiter and
+     *        loaded markets are reused instead of creating a new ccxt instance
      */
-    constructor(config) {
+    constructor(config, options = {}) {
         this.config = config;
+        this.wsExchange = options.wsExchange;
+        if (options.shared) {
+            this.sharedConnection = options.shared;
+            this.exchange = options.shared.exchange;
+            this.exchangeOptions = options.shared.exchangeOptions;
+            this.marketSymbol = config.symbol;
+            this.market = undefined;
+            log('INFO', `Sharing the ${options.shared.exchange.id} connection for ${config.symbol}`);
+            return;
+        }
         const exchangeId = config.exchangeId || 'binance'; // Default to binance if not specified
         log('INFO', `Initializing exchange: ${exchangeId}`);
 
@@ -90,6 +131,7 @@ export class ExchangeService {
         }
         // @ts-ignore - CCXT types might not perfectly align with dynamic instantiation
         this.exchange = new ccxt[exchangeId](exchangeOptions);
+        this.exchangeOptions = exchangeOptions;
 
 
         // Handle testnet configuration using setSandboxMode (preferred)
@@ -124,8 +166,8 @@ export class ExchangeService {
     async initialize() {
         try {
             log('INFO', 'Loading markets...');
-            // loadMarkets fetches exchange info and sets up market data
-            await this.exchange.loadMarkets();
+            // loadMarkets fetches exchange info and sets up market data (cached when the connection is shared)
+            await this.callApi('loadMarkets');
             this.market = this.exchange.market(this.marketSymbol);
 
             if (!this.market) {
@@ -160,6 +202,59 @@ export class ExchangeService {
         }
     }
 
+    /**
+     * Calls a ccxt REST method, recording its latency and, on failure, the error class.
+     * @param {string} method ccxt method name, e.g. 'fetchOrderBook'
+     * @param {...any} args
+     * @returns {Promise<any>}
+     */
+    async callApi(method, ...args) {
+        const startedAt = performance.now();
+        try {
+            return await this.exchange[method](...args);
+        } catch (error) {
+            metrics.errors.inc({ symbol: this.marketSymbol, source: method, error: errorClassName(error) });
+            throw error;
+        } finally {
+            metrics.apiLatency.observe({ symbol: this.marketSymbol, method }, (performance.now() - startedAt) / 1000);
+        }
+    }
+
+    /**
+     * Translates the unified order flags the strategy uses to what this exchange and market accept:
+     * - postOnly: Binance futures take timeInForce GTX (Good-Till-Crossing); elsewhere ccxt maps
+     *   { postOnly: true } itself (e.g. LIMIT_MAKER on Binance spot)
+     * - timeInForce: GTC / IOC / FOK, passed through (ignored together with postOnly)
+     * - reduceOnly: contracts only; spot markets have no such flag
+     * Binance futures order modification only accepts price and amount; the order keeps its flags.
+     * @param {{ postOnly?: boolean, timeInForce?: 'GTC' | 'IOC' | 'FOK', reduceOnly?: boolean } & Record<string, any>} params
+     * @param {object} [options]
+     * @param {boolean} [options.edit=false] Parameters for editOrder
+     * @returns {Record<string, any>} ccxt params
+     */
+    mapOrderParams({ postOnly, timeInForce, reduceOnly, ...params }, { edit = false } = {}) {
+        const isBinanceContract = this.exchange.id.startsWith('binance') && Boolean(this.market?.contract);
+        if (edit && isBinanceContract) return params;
+        const mapped = { ...params };
+        if (postOnly) {
+            if (isBinanceContract) {
+                mapped.timeInForce = 'GTX';
+            } else {
+                mapped.postOnly = true;
+            }
+        } else if (timeInForce) {
+            mapped.timeInForce = timeInForce;
+        }
+        if (reduceOnly) {
+            if (this.market?.contract) {
+                mapped.reduceOnly = true;
+            } else {
+                log('DEBUG', `reduceOnly ignored: ${this.marketSymbol} is not a contract market.`);
+            }
+        }
+        return mapped;
+    }
+
     getMarket() {
         if (!this.market) {
             log('WARN', 'getMarket() called before market was successfully initialized.');
@@ -169,8 +264,11 @@ export class ExchangeService {
 
     async fetchTicker() {
         if (!this.market) throw new Error('Market not initialized');
+        if (this.streamState?.isUsable('ticker')) {
+            return this.streamState.channels.ticker.data;
+        }
         try {
-            return await this.exchange.fetchTicker(this.marketSymbol);
+            return await this.callApi('fetchTicker', this.marketSymbol);
         } catch (error) {
             log('ERROR', `Failed to fetch ticker for ${this.marketSymbol}:`, error);
             // Re-throw or return undefined based on how critical this is
@@ -184,8 +282,12 @@ export class ExchangeService {
      */
     async fetchOrderBook(limit = 20) {
         if (!this.market) throw new Error('Market not initialized');
+        if (this.streamState?.isUsable('orderBook')) {
+            const orderBook = this.streamState.channels.orderBook.data;
+            return { ...orderBook, bids: orderBook.bids.slice(0, limit), asks: orderBook.asks.slice(0, limit) };
+        }
         try {
-            return await this.exchange.fetchOrderBook(this.marketSymbol, limit);
+            return await this.callApi('fetchOrderBook', this.marketSymbol, limit);
         } catch (error) {
             log('ERROR', `Failed to fetch order book for ${this.marketSymbol}:`, error);
             throw error; // Or return undefined;
@@ -194,26 +296,37 @@ export class ExchangeService {
 
     async fetchQuoteBalance() {
         if (!this.market) throw new Error('Market not initialized');
+        if (this.streamState?.isUsable('balance')) {
+            return this.extractQuoteBalance(this.streamState.channels.balance.data);
+        }
         try {
             const balanceParams = this.market.contract ? { type: this.market.type } : {}; // Specify type for futures/swap
-            const balance = await this.exchange.fetchBalance(balanceParams);
-            const quoteCurrency = this.market?.quote;
-            if (!quoteCurrency) {
-                log('ERROR', 'Could not determine quote currency from market');
-                return 0;
-            }
-            // Check different balance structures (total, free, used) based on needs
-            // 'free' is usually what's available for placing new orders
-            // For futures margin, 'total' might be more relevant sometimes
-            const quoteBalance = balance?.[quoteCurrency]?.free ?? balance?.info?.[quoteCurrency]?.availableBalance ?? balance?.free?.[quoteCurrency] ?? 0;
-            log('DEBUG', `Fetched balance for ${quoteCurrency}: Free=${quoteBalance}`);
-            return quoteBalance;
+            const balance = await this.callApi('fetchBalance', balanceParams);
+            return this.extractQuoteBalance(balance);
         } catch (error) {
             log('ERROR', 'Failed to fetch balance:', error);
             throw error; // Or return 0;
         }
     }
 
+    /**
+     * @param {ccxt.Balances} balance Balance structure from fetchBalance / watchBalance
+     * @returns {number} Free quote currency balance
+     */
+    extractQuoteBalance(balance) {
+        const quoteCurrency = this.market?.quote;
+        if (!quoteCurrency) {
+            log('ERROR', 'Could not determine quote currency from market');
+            return 0;
+        }
+        // Check different balance structures (total, free, used) based on needs
+        // 'free' is usually what's available for placing new orders
+        // For futures margin, 'total' might be more relevant sometimes
+        const quoteBalance = balance?.[quoteCurrency]?.free ?? balance?.info?.[quoteCurrency]?.availableBalance ?? balance?.free?.[quoteCurrency] ?? 0;
+        log('DEBUG', `Fetched balance for ${quoteCurrency}: Free=${quoteBalance}`);
+        return quoteBalance;
+    }
+
     async fetchPosition() {
         if (!this.market) throw new Error('Market not initialized');
         // 检查是否是合约市场，只有合约市场才有持仓概念
@@ -221,6 +334,10 @@ export class ExchangeService {
             log('INFO', 'fetchPosition called for non-contract market. Returning undefined.');
             return undefined; // Positions only relevant for derivatives
         }
+        if (this.streamState?.isUsable('positions')) {
+            const streamedPosition = this.streamState.channels.positions.data.get(this.marketSymbol);
+            return streamedPosition && Number(streamedPosition.contracts) !== 0 ? streamedPosition : undefined;
+        }
         try {
             log('DEBUG', `Fetching positions, requesting symbol: ${this.marketSymbol}`);
             // 始终使用 fetchPositions() 获取所有持仓或指定列表的持仓
@@ -229,12 +346,12 @@ export class ExchangeService {
             let positions;
             try {
                 // 尝试只获取目标 symbol 的持仓（复数方法，传入数组）
-                positions = await this.exchange.fetchPositions([this.marketSymbol]);
+                positions = await this.callApi('fetchPositions', [this.marketSymbol]);
             } catch (fetchError) {
                 // 如果只获取单个失败 (有些交易所不支持)，尝试获取全部
                 log('WARN', `Failed to fetch positions for specific symbol [${this.marketSymbol}], attempting to fetch all positions. Error: ${fetchError.message}`);
                 if (this.exchange.has?.['fetchPositions']) { // 确保支持复数形式
-                    positions = await this.exchange.fetchPositions(); // 获取全部
+                    positions = await this.callApi('fetchPositions'); // 获取全部
                 } else {
                     log('ERROR', 'Exchange does not support fetchPositions either.');
                     throw fetchError; // 如果连复数形式都不支持，则抛出原始错误
@@ -277,15 +394,15 @@ export class ExchangeService {
     /**
      * @param {number} amount Quantity
      * @param {number} price Price
-     * @param {object} [params={}] Additional parameters for the order
+     * @param {object} [params={}] Additional parameters for the order, including the unified flags of mapOrderParams
      * @returns {Promise<ccxt.Order | undefined>}
      */
     async createLimitBuyOrder(amount, price, params = {}) {
         if (!this.market) throw new Error('Market not initialized');
-        log('INFO', `Placing BUY order: ${amount} ${this.market?.base} @ ${price} ${this.market?.quote} with params: ${JSON.stringify(params)}`);
+        logger.info('Placing BUY order', { side: 'buy', amount, price, params });
         try {
-            const order = await this.exchange.createLimitBuyOrder(this.marketSymbol, amount, price, params);
-            log('INFO', `BUY order placed successfully. ID: ${order.id}, ClientOrderID: ${order.clientOrderId}`);
+            const order = await this.callApi('createLimitBuyOrder', this.marketSymbol, amount, price, this.mapOrderParams(params));
+            logger.info('BUY order placed', { side: 'buy', orderId: order.id, clientOrderId: order.clientOrderId, amount, price });
             return order;
         } catch (error) {
             log('ERROR', `Failed to place BUY order:`, error);
@@ -296,15 +413,15 @@ export class ExchangeService {
     /**
      * @param {number} amount Quantity
      * @param {number} price Price
-     * @param {object} [params={}] Additional parameters for the order
+     * @param {object} [params={}] Additional parameters for the order, including the unified flags of mapOrderParams
      * @returns {Promise<ccxt.Order | undefined>}
      */
     async createLimitSellOrder(amount, price, params = {}) {
         if (!this.market) throw new Error('Market not initialized');
-        log('INFO', `Placing SELL order: ${amount} ${this.market?.base} @ ${price} ${this.market?.quote} with params: ${JSON.stringify(params)}`);
+        logger.info('Placing SELL order', { side: 'sell', amount, price, params });
         try {
-            const order = await this.exchange.createLimitSellOrder(this.marketSymbol, amount, price, params);
-            log('INFO', `SELL order placed successfully. ID: ${order.id}, ClientOrderID: ${order.clientOrderId}`);
+            const order = await this.callApi('createLimitSellOrder', this.marketSymbol, amount, price, this.mapOrderParams(params));
+            logger.info('SELL order placed', { side: 'sell', orderId: order.id, clientOrderId: order.clientOrderId, amount, price });
             return order;
         } catch (error) {
             log('ERROR', `Failed to place SELL order:`, error);
@@ -312,6 +429,26 @@ export class ExchangeService {
         }
     }
 
+    /**
+     * Places a market order, e.g. to flatten a position when the risk kill switch trips.
+     * @param {'buy' | 'sell'} side Order side
+     * @param {number} amount Quantity
+     * @param {object} [params={}] Additional parameters (e.g. { reduceOnly: true })
+     * @returns {Promise<ccxt.Order | undefined>}
+     */
+    async createMarketOrder(side, amount, params = {}) {
+        if (!this.market) throw new Error('Market not initialized');
+        logger.info(`Placing MARKET ${side.toUpperCase()} order`, { side, amount, params });
+        try {
+            const order = await this.callApi('createOrder', this.marketSymbol, 'market', side, amount, undefined, this.mapOrderParams(params));
+            logger.info(`MARKET ${side.toUpperCase()} order placed`, { side, orderId: order.id, amount });
+            return order;
+        } catch (error) {
+            log('ERROR', `Failed to place MARKET ${side.toUpperCase()} order:`, error);
+            throw error;
+        }
+    }
+
     /**
      * @param {string} id Order ID
      * @param {object} [params={}] Additional parameters
@@ -319,11 +456,12 @@ export class ExchangeService {
      */
     async cancelOrder(id, params = {}) {
         if (!this.market) throw new Error('Market not initialized');
-        log('INFO', `Canceling order ${id} for ${this.marketSymbol} with params: ${JSON.stringify(params)}...`);
+        logger.info('Canceling order', { orderId: id, params });
         try {
             // cancelOrder might return order structure or specific response
-            const response = await this.exchange.cancelOrder(id, this.marketSymbol, params);
-            log('INFO', `Cancel request for order ${id} sent successfully. Response:`, response); // Log response for debugging
+            const response = await this.callApi('cancelOrder', id, this.marketSymbol, params);
+            logger.info('Cancel request sent', { orderId: id });
+            log('DEBUG', `Cancel response for order ${id}:`, response); // Log response for debugging
             return true;
         } catch (error) {
             if (error instanceof ccxt.OrderNotFound || (error instanceof ccxt.ExchangeError && (error.message.includes('Unknown order') || error.message.includes('Order does not exist')))) {
@@ -346,7 +484,7 @@ export class ExchangeService {
         if (!this.market) throw new Error('Market not initialized');
         log('INFO', `Canceling all open orders for ${this.marketSymbol} with params: ${JSON.stringify(params)}...`);
         try {
-            const response = await this.exchange.cancelAllOrders(this.marketSymbol, params);
+            const response = await this.callApi('cancelAllOrders', this.marketSymbol, params);
             log('INFO', `Cancel all orders request for ${this.marketSymbol} sent successfully. Response:`, response);
             return true;
         } catch (error) {
@@ -360,33 +498,41 @@ export class ExchangeService {
     /**
      * @param {object} [params={}] Additional parameters
      * @returns {Promise<ccxt.Order[]>} Array of open orders
+     * @throws Re-throws API errors: an empty array would be indistinguishable from "no open orders"
+     *         and make the strategy forget orders that are still resting.
      */
     async fetchOpenOrders(params = {}) {
         if (!this.market) throw new Error('Market not initialized');
+        if (this.streamState?.isUsable('orders') && Object.keys(params).length === 0) {
+            return [...this.streamState.channels.orders.data.values()];
+        }
         try {
-            return await this.exchange.fetchOpenOrders(this.marketSymbol, undefined, undefined, params);
+            return await this.callApi('fetchOpenOrders', this.marketSymbol, undefined, undefined, params);
         } catch (error) {
             log('ERROR', `Failed to fetch open orders for ${this.marketSymbol}:`, error);
-            // Decide whether to re-throw or return empty array
-            // throw error;
-            return [];
+            throw error;
         }
     }
 
     /**
-     * Fetches a specific order by ID. Note: Requires exchange support for fetchOrder.
+     * Fetches a specific order by ID. While the orders stream is up, orders it has reported are
+     * served from memory; otherwise this needs exchange support for fetchOrder.
      * @param {string} id Order ID
      * @param {object} [params={}] Additional parameters
      * @returns {Promise<ccxt.Order | undefined>}
      */
     async fetchOrder(id, params = {}) {
         if (!this.market) throw new Error('Market not initialized');
+        if (this.streamState?.isUsable('orders') && Object.keys(params).length === 0) {
+            const streamed = this.streamState.channels.orders.data.get(id) ?? this.closedOrderUpdates.get(id);
+            if (streamed) return streamed;
+        }
         if (!this.exchange.has?.['fetchOrder']) {
             log('WARN', `Exchange ${this.config.exchangeId} does not support fetchOrder.`);
             return undefined;
         }
         try {
-            return await this.exchange.fetchOrder(id, this.marketSymbol, params);
+            return await this.callApi('fetchOrder', id, this.marketSymbol, params);
         } catch (error) {
             if (error instanceof ccxt.OrderNotFound) {
                 log('INFO', `Order ${id} not found via fetchOrder.`);
@@ -399,6 +545,86 @@ export class ExchangeService {
         }
     }
 
+    /**
+     * Fetches our own trades (fills) for the configured market.
+     * @param {number} [since] Timestamp in ms of the earliest trade to fetch
+     * @param {number} [limit] Max number of trades
+     * @param {object} [params={}] Additional parameters
+     * @returns {Promise<ccxt.Trade[]>}
+     */
+    async fetchMyTrades(since, limit, params = {}) {
+        if (!this.market) throw new Error('Market not initialized');
+        const tradesChannel = this.streamState?.channels.myTrades;
+        // The stream only has trades that arrived while it was connected
+        if (this.streamState?.isUsable('myTrades') && since !== undefined && since >= tradesChannel.healthySince && Object.keys(params).length === 0) {
+            const trades = tradesChannel.data.filter(trade => trade.timestamp >= since);
+            return limit ? trades.slice(0, limit) : trades;
+        }
+        try {
+            return await this.callApi('fetchMyTrades', this.marketSymbol, since, limit, params);
+        } catch (error) {
+            log('ERROR', `Failed to fetch my trades for ${this.marketSymbol}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches the funding rate of the configured perpetual market: fundingRate, nextFundingRate
+     * (predicted; not every exchange has one) and the funding timestamps.
+     * @returns {Promise<ccxt.FundingRate | undefined>} undefined when the exchange does not support it
+     */
+    async fetchFundingRate() {
+        if (!this.market) throw new Error('Market not initialized');
+        if (!this.exchange.has?.['fetchFundingRate']) {
+            log('WARN', `Exchange ${this.config.exchangeId} does not support fetchFundingRate.`);
+            return undefined;
+        }
+        try {
+            return await this.callApi('fetchFundingRate', this.marketSymbol);
+        } catch (error) {
+            log('ERROR', `Failed to fetch funding rate for ${this.marketSymbol}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches our funding payments for the configured market (positive amounts were received).
+     * @param {number} [since] Timestamp in ms of the earliest payment to fetch
+     * @param {number} [limit] Max number of payments
+     * @param {object} [params={}] Additional parameters
+     * @returns {Promise<ccxt.FundingHistory[] | undefined>} undefined when the exchange does not support it
+     */
+    async fetchFundingHistory(since, limit, params = {}) {
+        if (!this.market) throw new Error('Market not initialized');
+        if (!this.exchange.has?.['fetchFundingHistory']) {
+            log('WARN', `Exchange ${this.config.exchangeId} does not support fetchFundingHistory.`);
+            return undefined;
+        }
+        try {
+            return await this.callApi('fetchFundingHistory', this.marketSymbol, since, limit, params);
+        } catch (error) {
+            log('ERROR', `Failed to fetch funding history for ${this.marketSymbol}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches recent public trades for the configured market.
+     * @param {number} [since] Timestamp in ms of the earliest trade to fetch
+     * @param {number} [limit] Max number of trades
+     * @param {object} [params={}] Additional parameters
+     * @returns {Promise<ccxt.Trade[]>}
+     */
+    async fetchTrades(since, limit, params = {}) {
+        if (!this.market) throw new Error('Market not initialized');
+        try {
+            return await this.callApi('fetchTrades', this.marketSymbol, since, limit, params);
+        } catch (error) {
+            log('ERROR', `Failed to fetch public trades for ${this.marketSymbol}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Edits an existing order. Note: Requires exchange support for editOrder.
      * @param {string} id Order ID to edit
@@ -419,12 +645,12 @@ export class ExchangeService {
         if (type === 'limit' && typeof price !== 'number') {
             throw new Error('Price is required for editing limit orders.');
         }
-        log('INFO', `Editing order ${id}: Side=${side}, Amount=${amount}, Price=${price}, Params=${JSON.stringify(params)}`);
+        logger.info('Editing order', { orderId: id, side, amount, price, params });
         try {
             // Note: The symbol parameter might vary across exchanges in editOrder,
             // ccxt usually handles this, but double-check docs if issues arise.
-            const order = await this.exchange.editOrder(id, this.marketSymbol, type, side, amount, price, params);
-            log('INFO', `Order ${id} edited successfully. New ID (if changed): ${order.id}`);
+            const order = await this.callApi('editOrder', id, this.marketSymbol, type, side, amount, price, this.mapOrderParams(params, { edit: true }));
+            logger.info('Order edited', { orderId: id, newOrderId: order.id, side, amount, price });
             return order;
         } catch (error) {
             log('ERROR', `Failed to edit order ${id}:`, error);
@@ -433,4 +659,200 @@ export class ExchangeService {
         }
     }
 
-} // End of ExchangeService class
\ No newline at end of file
+    // --- Streaming mode (ccxt pro watch* methods) ---
+
+    /**
+     * Starts the WebSocket watch loops. Each loop keeps one channel of streamState up to date;
+     * while a channel is down the matching fetch* method transparently uses REST.
+     */
+    startStreaming() {
+        if (this.streaming) return;
+        if (!this.market) throw new Error('Market not initialized');
+        if (!this.getWsExchange()) return;
+
+        this.streamState = new StreamState(this.config.streamStaleMs);
+        this.streaming = true;
+        const symbol = this.marketSymbol;
+        const depth = Math.max(this.config.orderBookDepthLevels, 20);
+        const has = this.wsExchange.has ?? {};
+        log('INFO', `Starting WebSocket streams for ${symbol}...`);
+
+        if (has.watchOrderBook) {
+            this.runWatchLoop('orderBook', () => this.wsExchange.watchOrderBook(symbol, depth), (orderBook) => ({
+                bids: orderBook.bids.slice(0, depth).map(([price, amount]) => [price, amount]),
+                asks: orderBook.asks.slice(0, depth).map(([price, amount]) => [price, amount]),
+                timestamp: orderBook.timestamp,
+                nonce: orderBook.nonce,
+                symbol,
+            }));
+        }
+        if (has.watchTicker) {
+            this.runWatchLoop('ticker', () => this.wsExchange.watchTicker(symbol), (ticker) => ticker);
+        }
+        if (has.watchBalance) {
+            const balanceParams = this.market.contract ? { type: this.market.type } : {};
+            this.runWatchLoop('balance', () => this.wsExchange.watchBalance(balanceParams), (balance) => balance);
+        }
+        if (has.watchPositions && this.market.contract) {
+            this.runWatchLoop('positions', () => this.wsExchange.watchPositions([symbol]), (positions, previous) => {
+                const bySymbol = new Map(previous ?? []);
+                for (const position of positions) bySymbol.set(position.symbol, position);
+                return bySymbol;
+            });
+        }
+        if (has.watchOrders) {
+            this.runWatchLoop('orders', () => this.wsExchange.watchOrders(symbol), (orders, previous) => {
+                const openOrders = new Map(previous ?? []);
+                for (const order of orders) {
+                    if (order.status === 'open') {
+                        openOrders.set(order.id, order);
+                    } else {
+                        openOrders.delete(order.id);
+                        this.closedOrderUpdates.set(order.id, order);
+                    }
+                }
+                for (const id of [...this.closedOrderUpdates.keys()].slice(0, Math.max(0, this.closedOrderUpdates.size - MAX_CLOSED_ORDER_UPDATES))) {
+                    this.closedOrderUpdates.delete(id);
+                }
+                return openOrders;
+            }, async () => {
+                // Updates only report changes, so seed the set with orders that were already resting
+                const seeded = await this.callApi('fetchOpenOrders', symbol);
+                return new Map(seeded.map(order => [order.id, order]));
+            });
+        }
+        if (has.watchMyTrades) {
+            this.runWatchLoop('myTrades', () => this.wsExchange.watchMyTrades(symbol), (trades, previous) => {
+                const known = new Set((previous ?? []).map(trade => trade.id));
+                const merged = [...(previous ?? []), ...trades.filter(trade => !known.has(trade.id))];
+                merged.sort((a, b) => a.timestamp - b.timestamp);
+                return merged.slice(-1000);
+            });
+        }
+    }
+
+    /**
+     * Registers a callback for every order book update of the stream, for consumers that need
+     * more than one book per strategy cycle. Nothing is called while the book comes from REST.
+     * @param {(orderBook: ccxt.OrderBook) => void} listener
+     */
+    onOrderBook(listener) {
+        this.orderBookListeners.push(listener);
+    }
+
+    /**
+     * Returns the WebSocket exchange, creating it on first use. Services sharing a connection
+     * also share one WebSocket instance (and so one set of sockets).
+     * @returns {ccxt.pro.Exchange | undefined} Undefined when ccxt pro does not support the exchange
+     */
+    getWsExchange() {
+        if (this.wsExchange) return this.wsExchange;
+        if (this.sharedConnection) {
+            this.wsExchange = this.sharedConnection.getWsExchange();
+            return this.wsExchange;
+        }
+        const exchangeId = this.config.exchangeId || 'binance';
+        if (!ccxt.pro || !(exchangeId in ccxt.pro)) {
+            log('WARN', `ccxt pro does not support ${exchangeId}; streaming disabled, using REST only.`);
+            return undefined;
+        }
+        // @ts-ignore - dynamic instantiation
+        this.wsExchange = new ccxt.pro[exchangeId](this.exchangeOptions);
+        if (this.config.useTestnet && typeof this.wsExchange.setSandboxMode === 'function') {
+            this.wsExchange.setSandboxMode(true);
+        }
+        if (this.config.wsUrl) {
+            overrideWsUrls(this.wsExchange.urls?.api, this.config.wsUrl);
+            log('INFO', `WebSocket URLs overridden with ${this.config.wsUrl}`);
+        }
+        return this.wsExchange;
+    }
+
+    /**
+     * Runs one watch loop until stopStreaming(). On errors the channel is marked down
+     * (REST fallback) and the subscription retried with exponential backoff.
+     * @param {import('./stream.js').StreamChannelName} name
+     * @param {() => Promise<any>} watchFn
+     * @param {(data: any, previous: any) => any} reduce Merges a message into the channel data
+     * @param {() => Promise<any>} [seed] Loads initial data when the channel (re)connects
+     */
+    runWatchLoop(name, watchFn, reduce, seed) {
+        const task = (async () => {
+            let backoffMs = 1000;
+            while (this.streaming) {
+                try {
+                    const message = await watchFn();
+                    if (!this.streaming) break;
+                    const channel = this.streamState.channels[name];
+                    let previous = channel.connected ? channel.data : undefined;
+                    if (!channel.connected && seed) {
+                        previous = await seed();
+                    }
+                    this.streamState.update(name, reduce(message, previous));
+                    if (name === 'orderBook') this.notifyOrderBook(channel.data);
+                    if (name === 'myTrades' && channel.healthySince !== undefined && message.length > 0) {
+                        // Trades in the first message happened while connected, even if received slightly later
+                        channel.healthySince = Math.min(channel.healthySince, ...message.map(trade => trade.timestamp));
+                    }
+                    backoffMs = 1000;
+                } catch (error) {
+                    if (!this.streaming) break;
+                    this.streamState.markDisconnected(name, error);
+                    log('DEBUG', `Retrying stream ${name} in ${backoffMs} ms`);
+                    await sleep(backoffMs);
+                    backoffMs = Math.min(backoffMs * 2, 30000);
+                }
+            }
+        })();
+        this.streamTasks.push(task);
+    }
+
+    /**
+     * A failing listener must not take the order book stream down with it.
+     * @param {ccxt.OrderBook} orderBook
+     */
+    notifyOrderBook(orderBook) {
+        for (const listener of this.orderBookListeners) {
+            try {
+                listener(orderBook);
+            } catch (error) {
+                log('ERROR', 'Order book listener failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Stops all watch loops and closes the WebSocket connections. With a shared connection only
+     * the owning service closes the sockets, so stop all services sharing it together.
+     */
+    async stopStreaming() {
+        if (!this.streaming) return;
+        this.streaming = false;
+        try {
+            if (!this.sharedConnection) await this.wsExchange?.close?.();
+        } catch (error) {
+            log('WARN', 'Error while closing WebSocket connections:', error);
+        }
+        await Promise.allSettled(this.streamTasks);
+        this.streamTasks = [];
+        log('INFO', 'WebSocket streams stopped.');
+    }
+
+} // End of ExchangeService class
+
+/**
+ * Replaces every WebSocket URL in a ccxt urls.api.ws structure with the given URL.
+ * @param {object | undefined} apiUrls
+ * @param {string} wsUrl
+ */
+function overrideWsUrls(apiUrls, wsUrl) {
+    if (!apiUrls?.ws) return;
+    const replace = (node) => {
+        for (const key of Object.keys(node)) {
+            if (typeof node[key] === 'string') node[key] = wsUrl;
+            else if (node[key] && typeof node[key] === 'object') replace(node[key]);
+        }
+    };
+    if (typeof apiUrls.ws === 'string') apiUrls.ws = wsUrl;
+    else replace(apiUrls.ws);
+}
\ No newline at end of file
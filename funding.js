@@ -0,0 +1,161 @@
+// src/funding.js
+import { logger } from './logger.js';
+import { metrics } from './metrics.js';
+import { formatNumber } from './utils.js';
+
+const log = logger.child({ module: 'funding' }).log;
+
+/**
+ * @typedef {object} FundingInfo
+ * @property {number} rate Funding rate of the current interval (paid at nextFundingTime)
+ * @property {number | undefined} predictedRate Predicted rate of the following interval, if the exchange publishes one
+ * @property {number | undefined} nextFundingTime Timestamp (ms) of the next funding payment
+ * @property {number} fetchedAt
+ */
+
+/**
+ * @typedef {object} FundingTargetOptions
+ * @property {number} maxShift Cap on the absolute inventory target (base)
+ * @property {number} fullShiftRate Funding rate per interval at which the target reaches the cap
+ * @property {number} predictedWeight Weight of the predicted rate against the current one (0..1)
+ * @property {number} leadMs The target ramps up linearly over this window before the funding time
+ */
+
+/**
+ * @param {FundingInfo} info
+ * @param {number} predictedWeight 0 uses the current rate only, 1 the predicted rate only
+ * @returns {number}
+ */
+export function blendedFundingRate(info, predictedWeight) {
+    if (typeof info.predictedRate !== 'number') return info.rate;
+    return (1 - predictedWeight) * info.rate + predictedWeight * info.predictedRate;
+}
+
+/**
+ * Inventory that earns funding: positive rates are paid by longs to shorts, so the target is
+ * short, and vice versa. The size grows linearly with the rate up to maxShift at fullShiftRate,
+ * and with the time to the next payment, from 0 at leadMs before it to full size at the payment.
+ * Without a known funding time the full size applies.
+ * @param {FundingInfo} info
+ * @param {number} now
+ * @param {FundingTargetOptions} options
+ * @returns {number} Signed target position (base)
+ */
+export function fundingTargetPosition(info, now, { maxShift, fullShiftRate, predictedWeight, leadMs }) {
+    const rate = blendedFundingRate(info, predictedWeight);
+    const strength = Math.max(-1, Math.min(1, rate / fullShiftRate));
+    const timeWeight = info.nextFundingTime !== undefined
+        ? Math.max(0, Math.min(1, 1 - (info.nextFundingTime - now) / leadMs))
+        : 1;
+    return -strength * timeWeight * maxShift;
+}
+
+/**
+ * Follows the funding of a perpetual market: the current and predicted rate and next funding
+ * time (for FUNDING_AWARE inventory targeting), and our funding payments, which go to the PnL
+ * ledger. Both are fetched at most every FUNDING_REFRESH_SECONDS; failures are logged and the
+ * last known values kept.
+ */
+export class FundingMonitor {
+    /** @type {import('./config.js').Config} Hot reloads update it in place */
+    config;
+    /** @type {import('./exchange.js').ExchangeService} */
+    exchangeService;
+    /** @type {FundingInfo | undefined} */
+    info = undefined;
+    /** @type {number | undefined} */
+    lastRefreshAt = undefined;
+    /** @type {number} Payments before this timestamp predate the ledger and are not fetched */
+    paymentsSince;
+    /** @type {boolean} Cleared when the exchange cannot list funding payments */
+    paymentsSupported = true;
+
+    /**
+     * @param {import('./config.js').Config} config
+     * @param {import('./exchange.js').ExchangeService} exchangeService
+     * @param {number} startedAt Start of payment tracking when the ledger has no payments yet
+     */
+    constructor(config, exchangeService, startedAt) {
+        this.config = config;
+        this.exchangeService = exchangeService;
+        this.paymentsSince = startedAt;
+    }
+
+    /**
+     * Refreshes the funding rate (only when FUNDING_AWARE) and applies new funding payments to
+     * the ledger, if FUNDING_REFRESH_SECONDS have passed since the last refresh.
+     * @param {number} now
+     * @param {import('./ledger.js').PnlLedger} ledger
+     */
+    async refresh(now, ledger) {
+        if (this.lastRefreshAt !== undefined && now - this.lastRefreshAt < this.config.fundingRefreshSeconds * 1000) return;
+        this.lastRefreshAt = now;
+        const { symbol } = this.config;
+
+        if (this.config.fundingAware) {
+            try {
+                const fundingRate = await this.exchangeService.fetchFundingRate();
+                if (typeof fundingRate?.fundingRate === 'number') {
+                    // Exchanges differ in whether fundingTimestamp is the last or the next payment
+                    const nextFundingTime = [fundingRate.fundingTimestamp, fundingRate.nextFundingTimestamp]
+                        .find(timestamp => typeof timestamp === 'number' && timestamp > now);
+                    this.info = {
+                        rate: fundingRate.fundingRate,
+                        predictedRate: typeof fundingRate.nextFundingRate === 'number' ? fundingRate.nextFundingRate : undefined,
+                        nextFundingTime,
+                        fetchedAt: now,
+                    };
+                    log('INFO', `[${symbol}] Funding rate ${(this.info.rate * 100).toFixed(4)}%, predicted ${this.info.predictedRate !== undefined ? `${(this.info.predictedRate * 100).toFixed(4)}%` : 'n/a'}, next funding ${nextFundingTime !== undefined ? new Date(nextFundingTime).toISOString() : 'unknown'}`);
+                    metrics.fundingRate.set({ symbol }, this.info.rate);
+                } else {
+                    log('WARN', `[${symbol}] No funding rate available; inventory target stays at its last value.`);
+                }
+            } catch (error) {
+                log('ERROR', `[${symbol}] Failed to fetch the funding rate:`, error);
+            }
+        }
+
+        if (!this.paymentsSupported) return;
+        try {
+            const since = ledger.lastFundingTimestamp !== undefined ? ledger.lastFundingTimestamp + 1 : this.paymentsSince;
+            const payments = await this.exchangeService.fetchFundingHistory(since);
+            if (payments === undefined) {
+                this.paymentsSupported = false;
+                log('WARN', `[${symbol}] The exchange does not list funding payments; funding is missing from the PnL.`);
+                return;
+            }
+            const applied = ledger.applyFundingPayments(payments);
+            if (applied > 0) log('INFO', `[${symbol}] ${applied} new funding payment(s), funding PnL now ${formatNumber(ledger.fundingPnl, 4)} ${ledger.currencies.quote ?? ''}.`);
+        } catch (error) {
+            log('ERROR', `[${symbol}] Failed to fetch funding payments:`, error);
+        }
+    }
+
+    /**
+     * @param {number} now
+     * @returns {number} Signed inventory target (base); 0 unless FUNDING_AWARE and a rate is known
+     */
+    getTargetPosition(now) {
+        if (!this.config.fundingAware || !this.info) return 0;
+        return fundingTargetPosition(this.info, now, {
+            maxShift: this.config.fundingMaxInventoryShift,
+            fullShiftRate: this.config.fundingFullShiftRate,
+            predictedWeight: this.config.fundingPredictedWeight,
+            leadMs: this.config.fundingLeadMinutes * 60 * 1000,
+        });
+    }
+
+    /**
+     * @param {number} now
+     * @returns {object} Status for the control API
+     */
+    getStatus(now) {
+        return {
+            aware: this.config.fundingAware,
+            rate: this.info?.rate,
+            predictedRate: this.info?.predictedRate,
+            nextFundingTime: this.info?.nextFundingTime,
+            targetPosition: this.getTargetPosition(now),
+        };
+    }
+}
@@ -0,0 +1,177 @@
+// src/hedge.js
+import { logger } from './logger.js';
+import { metrics } from './metrics.js';
+import { formatNumber, adjustPriceToTickSize, adjustAmountToStepSize, getPrecision, readJsonIfExists, writeJsonAtomic } from './utils.js';
+
+const log = logger.child({ module: 'hedge' }).log;
+
+/**
+ * @typedef {object} CombinedExposure
+ * @property {number} quoting Position on the quoting venue (base)
+ * @property {number} hedge Position built by the hedger on the hedge venue (base)
+ * @property {number} net quoting + hedge
+ */
+
+/**
+ * Offsets the quoting venue's inventory on a second venue (e.g. Binance spot, or another perp).
+ *
+ * Each cycle the strategy passes its position. When the combined exposure of both venues
+ * exceeds HEDGE_THRESHOLD, the hedger trades the hedge venue towards
+ * -quoting position × HEDGE_RATIO with an IOC limit order priced at most HEDGE_SLIPPAGE_BPS
+ * through the best opposite price; hedges smaller than HEDGE_MIN_AMOUNT (or the venue's
+ * minimum) are skipped. The same rule unwinds the hedge as the quoting position comes back.
+ *
+ * The hedge position is the sum of the hedger's own fills, persisted to the state file, so that
+ * other holdings on the hedge account never count as hedge.
+ */
+export class InventoryHedger {
+    /** @type {import('./config.js').Config} Quoting symbol's config; hot reloads update it in place */
+    config;
+    /** @type {import('./exchange.js').ExchangeService} Hedge venue */
+    exchangeService;
+    /** @type {string | undefined} */
+    filePath;
+    /** @type {number} Signed position built on the hedge venue (base) */
+    position = 0;
+    /** @type {number | undefined} */
+    lastHedgeAt = undefined;
+
+    /**
+     * @param {import('./config.js').Config} config
+     * @param {import('./exchange.js').ExchangeService} exchangeService Initialized service of the hedge venue
+     * @param {string | undefined} filePath State file; undefined keeps the position in memory
+     */
+    constructor(config, exchangeService, filePath) {
+        this.config = config;
+        this.exchangeService = exchangeService;
+        this.filePath = filePath;
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath) return;
+        try {
+            const saved = readJsonIfExists(this.filePath);
+            this.position = saved?.position ?? 0;
+            this.lastHedgeAt = saved?.lastHedgeAt;
+        } catch (error) {
+            // Starting from zero would re-hedge a position that is already hedged
+            log('ERROR', `Failed to read hedge state ${this.filePath}:`, error);
+            throw error;
+        }
+    }
+
+    save() {
+        if (!this.filePath) return;
+        try {
+            writeJsonAtomic(this.filePath, { position: this.position, lastHedgeAt: this.lastHedgeAt });
+        } catch (error) {
+            log('ERROR', `Failed to save hedge state ${this.filePath}:`, error);
+        }
+    }
+
+    /**
+     * @returns {string} e.g. "binance spot BTC/USDT"
+     */
+    describeVenue() {
+        const { exchangeId, defaultMarketType, symbol } = this.exchangeService.config;
+        return `${exchangeId} ${defaultMarketType} ${symbol}`;
+    }
+
+    /**
+     * @param {number} quotingPosition
+     * @returns {CombinedExposure}
+     */
+    getExposure(quotingPosition) {
+        return { quoting: quotingPosition, hedge: this.position, net: quotingPosition + this.position };
+    }
+
+    /**
+     * Logs and publishes the combined exposure, then hedges if it is over the threshold.
+     * Errors are logged, never thrown: a failed hedge must not stop quoting.
+     * @param {number} quotingPosition Signed position on the quoting venue (base)
+     * @returns {Promise<CombinedExposure>} Exposure after any hedge
+     */
+    async rebalance(quotingPosition) {
+        const { symbol } = this.config;
+        try {
+            const exposure = this.getExposure(quotingPosition);
+            if (Math.abs(exposure.net) > this.config.hedgeThreshold) {
+                await this.hedge(quotingPosition, exposure.net);
+            }
+        } catch (error) {
+            log('ERROR', `[${symbol}] Hedge on ${this.describeVenue()} failed:`, error);
+        }
+        const exposure = this.getExposure(quotingPosition);
+        const { amountPrecision } = getPrecision(this.exchangeService.getMarket());
+        log('INFO', `[${symbol}] Combined exposure: quoting ${formatNumber(exposure.quoting, amountPrecision)} + hedge ${formatNumber(exposure.hedge, amountPrecision)} = ${formatNumber(exposure.net, amountPrecision)} (threshold ${this.config.hedgeThreshold})`);
+        metrics.hedgePosition.set({ symbol }, exposure.hedge);
+        metrics.netExposure.set({ symbol }, exposure.net);
+        return exposure;
+    }
+
+    /**
+     * @param {number} quotingPosition
+     * @param {number} net Combined exposure before the hedge
+     */
+    async hedge(quotingPosition, net) {
+        const { symbol } = this.config;
+        const market = this.exchangeService.getMarket();
+        const { tickSize, stepSize, minAmount, amountPrecision, pricePrecision } = getPrecision(market);
+        const target = -quotingPosition * this.config.hedgeRatio;
+        const side = target > this.position ? 'buy' : 'sell';
+        const amount = adjustAmountToStepSize(Math.abs(target - this.position), stepSize);
+        const minHedge = Math.max(this.config.hedgeMinAmount, minAmount ?? 0);
+        if (!(amount > 0)) {
+            // Already at the target: the remaining exposure is the unhedged share (HEDGE_RATIO < 1)
+            log('DEBUG', `[${symbol}] Hedge position is at its target ${formatNumber(target, amountPrecision)}.`);
+            return;
+        }
+        if (amount < minHedge) {
+            log('INFO', `[${symbol}] Exposure ${formatNumber(net, amountPrecision)} is over the threshold, but the hedge of ${formatNumber(amount, amountPrecision)} is below the minimum ${minHedge}; skipping.`);
+            return;
+        }
+
+        const orderBook = await this.exchangeService.fetchOrderBook(5);
+        const bestPrice = side === 'buy' ? orderBook?.asks?.[0]?.[0] : orderBook?.bids?.[0]?.[0];
+        if (!(bestPrice > 0)) {
+            throw new Error(`no ${side === 'buy' ? 'ask' : 'bid'} in the hedge venue's order book`);
+        }
+        const slippage = (side === 'buy' ? 1 : -1) * bestPrice * this.config.hedgeSlippageBps / 10000;
+        const limitPrice = adjustPriceToTickSize(bestPrice + slippage, tickSize);
+        log('WARN', `[${symbol}] Exposure ${formatNumber(net, amountPrecision)} over threshold ${this.config.hedgeThreshold}: hedging ${side.toUpperCase()} ${formatNumber(amount, amountPrecision)} on ${this.describeVenue()}, IOC @ ${formatNumber(limitPrice, pricePrecision)} (best ${bestPrice})`);
+
+        const createFn = side === 'buy'
+            ? this.exchangeService.createLimitBuyOrder.bind(this.exchangeService)
+            : this.exchangeService.createLimitSellOrder.bind(this.exchangeService);
+        const order = await createFn(amount, limitPrice, { timeInForce: 'IOC' });
+        // Some venues do not report the fills of an IOC order in the create response
+        const filled = order?.filled ?? (order?.id ? (await this.exchangeService.fetchOrder(order.id))?.filled : undefined) ?? 0;
+        if (filled > 0) {
+            this.position += side === 'buy' ? filled : -filled;
+            this.lastHedgeAt = Date.now();
+            this.save();
+            metrics.hedgeVolume.inc({ symbol, side }, filled);
+        }
+        if (filled < amount) {
+            log('WARN', `[${symbol}] Hedge filled ${formatNumber(filled, amountPrecision)} / ${formatNumber(amount, amountPrecision)} within the slippage cap; the rest is retried next cycle.`);
+        } else {
+            log('INFO', `[${symbol}] Hedge filled ${formatNumber(filled, amountPrecision)} @ avg ${order?.average ?? limitPrice}.`);
+        }
+    }
+
+    /**
+     * @param {number | undefined} quotingPosition Latest position on the quoting venue
+     * @returns {object} Status for the control API
+     */
+    getStatus(quotingPosition) {
+        return {
+            venue: this.describeVenue(),
+            position: this.position,
+            netExposure: quotingPosition !== undefined ? quotingPosition + this.position : undefined,
+            threshold: this.config.hedgeThreshold,
+            ratio: this.config.hedgeRatio,
+            lastHedgeAt: this.lastHedgeAt,
+        };
+    }
+}
@@ -0,0 +1,335 @@
+// src/ledger.js
+import { log, formatNumber, readJsonIfExists, writeJsonAtomic } from './utils.js';
+
+/** Positions smaller than this are treated as flat (float noise from partial fills). */
+const POSITION_EPSILON = 1e-9;
+/** Number of completed round trips kept in the persisted state. */
+const MAX_ROUND_TRIPS = 200;
+/** Number of trade IDs remembered for de-duplication. */
+const MAX_SEEN_TRADE_IDS = 500;
+
+/**
+ * A round trip runs from flat to flat (a position flip closes one and opens the next).
+ * @typedef {object} RoundTrip
+ * @property {number} openedAt
+ * @property {number | undefined} closedAt
+ * @property {number} buyAmount
+ * @property {number} buyCost
+ * @property {number} sellAmount
+ * @property {number} sellCost
+ * @property {number} realizedPnl Gross realized PnL (before fees)
+ * @property {number} fees Fees in quote currency (negative = rebates)
+ */
+
+/**
+ * @typedef {object} PnlSnapshot
+ * @property {number} position Signed position in base currency, as seen by the ledger
+ * @property {number} avgEntryPrice
+ * @property {number} realizedPnl Gross realized PnL (before fees)
+ * @property {number} unrealizedPnl Position marked to the given mark price
+ * @property {number} feesPaid Quote fees paid (negative = net rebates earned)
+ * @property {Record<string, number>} otherFees Fees paid in currencies other than base/quote
+ * @property {number} fundingPnl Funding received minus funding paid (perpetuals)
+ * @property {number} netPnl realized + unrealized - fees + funding
+ * @property {number} tradeCount
+ * @property {number} roundTripCount
+ * @property {number | undefined} avgSpreadCaptureBps Average (avg sell - avg buy) / avg buy over completed round trips
+ */
+
+/**
+ * Trade-by-trade PnL accounting (average cost method), persisted to a JSON file so totals
+ * survive restarts. Only trades seen by the ledger count: a position held before the first
+ * recorded trade is not part of it. Funding payments of perpetuals are booked separately.
+ */
+export class PnlLedger {
+    /** @type {string | undefined} */
+    filePath;
+    /** @type {{ base: string | undefined, quote: string | undefined }} */
+    currencies;
+
+    position = 0;
+    avgEntryPrice = 0;
+    realizedPnl = 0;
+    feesPaid = 0;
+    /** @type {Record<string, number>} */
+    otherFees = {};
+    tradeCount = 0;
+    /** @type {RoundTrip | undefined} */
+    openRoundTrip = undefined;
+    /** @type {RoundTrip[]} */
+    roundTrips = [];
+    /** @type {number | undefined} */
+    lastTradeTimestamp = undefined;
+    /** @type {string[]} */
+    seenTradeIds = [];
+    fundingPnl = 0;
+    fundingPaymentCount = 0;
+    /** @type {number | undefined} */
+    lastFundingTimestamp = undefined;
+    /** @type {string[]} */
+    seenFundingIds = [];
+
+    /**
+     * @param {string | undefined} filePath State file; undefined keeps the ledger in memory only
+     * @param {ccxt.Market | undefined} market Market, used to convert fees to quote currency
+     */
+    constructor(filePath, market) {
+        this.filePath = filePath;
+        this.currencies = { base: market?.base, quote: market?.quote };
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath) return;
+        try {
+            const state = readJsonIfExists(this.filePath);
+            if (!state) {
+                log('INFO', `PnL ledger: no state at ${this.filePath}, starting from zero.`);
+                return;
+            }
+            Object.assign(this, {
+                position: state.position ?? 0,
+                avgEntryPrice: state.avgEntryPrice ?? 0,
+                realizedPnl: state.realizedPnl ?? 0,
+                feesPaid: state.feesPaid ?? 0,
+                otherFees: state.otherFees ?? {},
+                tradeCount: state.tradeCount ?? 0,
+                openRoundTrip: state.openRoundTrip,
+                roundTrips: state.roundTrips ?? [],
+                lastTradeTimestamp: state.lastTradeTimestamp,
+                seenTradeIds: state.seenTradeIds ?? [],
+                fundingPnl: state.fundingPnl ?? 0,
+                fundingPaymentCount: state.fundingPaymentCount ?? 0,
+                lastFundingTimestamp: state.lastFundingTimestamp,
+                seenFundingIds: state.seenFundingIds ?? [],
+            });
+            log('INFO', `PnL ledger loaded from ${this.filePath}: ${this.tradeCount} trades, realized ${formatNumber(this.realizedPnl, 4)}, fees ${formatNumber(this.feesPaid, 4)}.`);
+        } catch (error) {
+            // A broken state file must not silently reset totals; keep going in memory and say so loudly
+            log('ERROR', `PnL ledger: failed to load ${this.filePath}, continuing without persisted totals:`, error);
+            this.filePath = undefined;
+        }
+    }
+
+    save() {
+        if (!this.filePath) return;
+        try {
+            writeJsonAtomic(this.filePath, {
+                position: this.position,
+                avgEntryPrice: this.avgEntryPrice,
+                realizedPnl: this.realizedPnl,
+                feesPaid: this.feesPaid,
+                otherFees: this.otherFees,
+                tradeCount: this.tradeCount,
+                openRoundTrip: this.openRoundTrip,
+                roundTrips: this.roundTrips,
+                lastTradeTimestamp: this.lastTradeTimestamp,
+                seenTradeIds: this.seenTradeIds,
+                fundingPnl: this.fundingPnl,
+                fundingPaymentCount: this.fundingPaymentCount,
+                lastFundingTimestamp: this.lastFundingTimestamp,
+                seenFundingIds: this.seenFundingIds,
+            });
+        } catch (error) {
+            log('ERROR', `PnL ledger: failed to save ${this.filePath}:`, error);
+        }
+    }
+
+    /**
+     * Applies new trades (ccxt trade structures) in timestamp order and persists the result.
+     * Trades already applied, e.g. refetched after a restart, are skipped.
+     * @param {ccxt.Trade[]} trades
+     * @returns {number} Number of trades applied
+     */
+    applyTrades(trades) {
+        const sorted = [...trades].sort((a, b) => a.timestamp - b.timestamp);
+        let applied = 0;
+        for (const trade of sorted) {
+            if (this.applyTrade(trade)) applied++;
+        }
+        if (applied > 0) this.save();
+        return applied;
+    }
+
+    /**
+     * @param {ccxt.Trade} trade
+     * @returns {boolean} False when the trade was a duplicate or invalid
+     */
+    applyTrade(trade) {
+        if (typeof trade.price !== 'number' || typeof trade.amount !== 'number' || trade.amount <= 0) return false;
+        if (this.lastTradeTimestamp !== undefined && trade.timestamp < this.lastTradeTimestamp) return false;
+        if (trade.id !== undefined && this.seenTradeIds.includes(trade.id)) return false;
+
+        const { price, amount, timestamp } = trade;
+        const direction = trade.side === 'buy' ? 1 : -1;
+        const fee = this.feeInQuote(trade);
+        this.feesPaid += fee;
+        this.tradeCount++;
+
+        let remaining = amount;
+        let feeBooked = false; // Fees of a flipping trade belong to the round trip it closes
+        // 1. Closing part: realize PnL against the average entry price
+        if (Math.abs(this.position) > POSITION_EPSILON && Math.sign(this.position) !== direction) {
+            const closeAmount = Math.min(remaining, Math.abs(this.position));
+            const realized = (price - this.avgEntryPrice) * closeAmount * Math.sign(this.position);
+            this.realizedPnl += realized;
+            this.addToRoundTrip(trade.side, price, closeAmount, timestamp);
+            this.openRoundTrip.realizedPnl += realized;
+            this.openRoundTrip.fees += fee;
+            feeBooked = true;
+            this.position += direction * closeAmount;
+            remaining -= closeAmount;
+            if (Math.abs(this.position) <= POSITION_EPSILON) {
+                this.position = 0;
+                this.avgEntryPrice = 0;
+                this.closeRoundTrip(timestamp);
+            }
+        }
+        // 2. Opening part: extend the position at a new average price
+        if (remaining > POSITION_EPSILON) {
+            const currentSize = Math.abs(this.position);
+            this.avgEntryPrice = (this.avgEntryPrice * currentSize + price * remaining) / (currentSize + remaining);
+            this.position += direction * remaining;
+            this.addToRoundTrip(trade.side, price, remaining, timestamp);
+            if (!feeBooked) this.openRoundTrip.fees += fee;
+        }
+
+        this.lastTradeTimestamp = timestamp;
+        if (trade.id !== undefined) {
+            this.seenTradeIds.push(trade.id);
+            if (this.seenTradeIds.length > MAX_SEEN_TRADE_IDS) this.seenTradeIds.shift();
+        }
+        return true;
+    }
+
+    /**
+     * Books funding payments (ccxt funding history entries; positive amounts were received)
+     * and persists the result. Payments already booked are skipped, as are payments in a
+     * currency other than quote, which cannot be valued here.
+     * @param {Array<{ id?: string, timestamp: number, amount: number, code?: string }>} payments
+     * @returns {number} Number of new payments
+     */
+    applyFundingPayments(payments) {
+        const sorted = [...payments].sort((a, b) => a.timestamp - b.timestamp);
+        let applied = 0;
+        for (const payment of sorted) {
+            if (typeof payment.amount !== 'number' || !Number.isFinite(payment.amount)) continue;
+            if (this.lastFundingTimestamp !== undefined && payment.timestamp < this.lastFundingTimestamp) continue;
+            if (payment.id !== undefined && this.seenFundingIds.includes(payment.id)) continue;
+            if (payment.code && this.currencies.quote && payment.code !== this.currencies.quote) {
+                log('WARN', `PnL ledger: funding payment of ${payment.amount} ${payment.code} is not in ${this.currencies.quote}; not booked.`);
+            } else {
+                this.fundingPnl += payment.amount;
+                this.fundingPaymentCount++;
+            }
+            // Remembered either way, so that skipped payments are not fetched and reported again
+            this.lastFundingTimestamp = payment.timestamp;
+            if (payment.id !== undefined) {
+                this.seenFundingIds.push(payment.id);
+                if (this.seenFundingIds.length > MAX_SEEN_TRADE_IDS) this.seenFundingIds.shift();
+            }
+            applied++;
+        }
+        if (applied > 0) this.save();
+        return applied;
+    }
+
+    /**
+     * @param {ccxt.Trade} trade
+     * @returns {number} Fee in quote currency; fees in other currencies are tracked separately and return 0
+     */
+    feeInQuote(trade) {
+        const fees = trade.fees?.length ? trade.fees : (trade.fee ? [trade.fee] : []);
+        let total = 0;
+        for (const fee of fees) {
+            const cost = Number(fee?.cost);
+            if (!cost) continue;
+            if (!fee.currency || fee.currency === this.currencies.quote) {
+                total += cost;
+            } else if (fee.currency === this.currencies.base) {
+                total += cost * trade.price;
+            } else {
+                this.otherFees[fee.currency] = (this.otherFees[fee.currency] ?? 0) + cost;
+            }
+        }
+        return total;
+    }
+
+    /**
+     * @param {'buy' | 'sell'} side
+     * @param {number} price
+     * @param {number} amount
+     * @param {number} timestamp
+     */
+    addToRoundTrip(side, price, amount, timestamp) {
+        this.openRoundTrip ??= { openedAt: timestamp, closedAt: undefined, buyAmount: 0, buyCost: 0, sellAmount: 0, sellCost: 0, realizedPnl: 0, fees: 0 };
+        if (side === 'buy') {
+            this.openRoundTrip.buyAmount += amount;
+            this.openRoundTrip.buyCost += amount * price;
+        } else {
+            this.openRoundTrip.sellAmount += amount;
+            this.openRoundTrip.sellCost += amount * price;
+        }
+    }
+
+    /**
+     * @param {number} timestamp
+     */
+    closeRoundTrip(timestamp) {
+        const roundTrip = this.openRoundTrip;
+        if (!roundTrip) return;
+        roundTrip.closedAt = timestamp;
+        this.roundTrips.push(roundTrip);
+        if (this.roundTrips.length > MAX_ROUND_TRIPS) this.roundTrips.shift();
+        this.openRoundTrip = undefined;
+        const capture = spreadCapture(roundTrip);
+        log('INFO', `PnL ledger: round trip closed, ${formatNumber(roundTrip.buyAmount, 8)} traded, spread capture ${formatNumber(capture.perUnit, 8)} (${formatNumber(capture.bps, 2)} bps), net ${formatNumber(roundTrip.realizedPnl - roundTrip.fees, 4)}.`);
+    }
+
+    /**
+     * @param {number | null | undefined} markPrice Price used for unrealized PnL (the strategy passes the depth mid)
+     * @returns {PnlSnapshot}
+     */
+    getSnapshot(markPrice) {
+        const unrealizedPnl = typeof markPrice === 'number' && this.position !== 0
+            ? (markPrice - this.avgEntryPrice) * this.position
+            : 0;
+        const captures = this.roundTrips.map(roundTrip => spreadCapture(roundTrip).bps).filter(Number.isFinite);
+        return {
+            position: this.position,
+            avgEntryPrice: this.avgEntryPrice,
+            realizedPnl: this.realizedPnl,
+            unrealizedPnl,
+            feesPaid: this.feesPaid,
+            otherFees: { ...this.otherFees },
+            fundingPnl: this.fundingPnl,
+            netPnl: this.realizedPnl + unrealizedPnl - this.feesPaid + this.fundingPnl,
+            tradeCount: this.tradeCount,
+            roundTripCount: this.roundTrips.length,
+            avgSpreadCaptureBps: captures.length > 0 ? captures.reduce((sum, bps) => sum + bps, 0) / captures.length : undefined,
+        };
+    }
+
+    /**
+     * @param {number | null | undefined} markPrice
+     */
+    logSummary(markPrice) {
+        const snapshot = this.getSnapshot(markPrice);
+        const quote = this.currencies.quote ?? '';
+        const otherFees = Object.entries(snapshot.otherFees).map(([currency, cost]) => `${formatNumber(cost, 8)} ${currency}`).join(', ');
+        log('INFO', `PnL: net=${formatNumber(snapshot.netPnl, 4)} ${quote}, realized=${formatNumber(snapshot.realizedPnl, 4)}, unrealized=${formatNumber(snapshot.unrealizedPnl, 4)}, ` +
+            `fees=${formatNumber(snapshot.feesPaid, 4)}${otherFees ? ` (+ ${otherFees})` : ''}, funding=${formatNumber(snapshot.fundingPnl, 4)}, position=${formatNumber(snapshot.position, 8)} @ ${formatNumber(snapshot.avgEntryPrice, 8)}, ` +
+            `trades=${snapshot.tradeCount}, roundTrips=${snapshot.roundTripCount}, avgSpreadCapture=${snapshot.avgSpreadCaptureBps === undefined ? 'n/a' : `${formatNumber(snapshot.avgSpreadCaptureBps, 2)} bps`}`);
+    }
+}
+
+/**
+ * @param {RoundTrip} roundTrip
+ * @returns {{ perUnit: number, bps: number }} Average sell minus average buy price
+ */
+export function spreadCapture(roundTrip) {
+    const avgBuy = roundTrip.buyAmount > 0 ? roundTrip.buyCost / roundTrip.buyAmount : NaN;
+    const avgSell = roundTrip.sellAmount > 0 ? roundTrip.sellCost / roundTrip.sellAmount : NaN;
+    const perUnit = avgSell - avgBuy;
+    return { perUnit, bps: (perUnit / avgBuy) * 10000 };
+}
@@ -0,0 +1,302 @@
+// src/logger.js
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * @typedef {'DEBUG' | 'INFO' | 'WARN' | 'ERROR'} LogLevel
+ */
+
+/**
+ * @typedef {object} LoggerOptions
+ * @property {LogLevel} level Minimum level written
+ * @property {'text' | 'json'} format text: human readable lines; json: one JSON object per line
+ * @property {boolean} console Write to stdout
+ * @property {string} [file] Also append to this file
+ * @property {number} maxFileBytes Rotate the file when it would grow past this size (0 = never)
+ * @property {boolean} rotateDaily Rotate the file when the UTC date changes
+ * @property {number} maxFiles Rotated files to keep
+ */
+
+/** @type {Record<LogLevel, number>} */
+export const LOG_LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40 };
+
+/** @type {LoggerOptions} */
+const options = {
+    level: 'INFO',
+    format: 'text',
+    console: true,
+    file: undefined,
+    maxFileBytes: 0,
+    rotateDaily: false,
+    maxFiles: 10,
+};
+
+/** Fields of the running strategy cycle (symbol, cycleId), added to every record logged inside it */
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Appends lines to a file, renaming it to `<file>.<UTC timestamp>` when it grows too large or
+ * the date changes, and deleting the oldest rotated files beyond maxFiles. Writes are
+ * synchronous so nothing is lost when the process exits right after logging.
+ */
+class RotatingFileWriter {
+    /** @type {string} */
+    filePath;
+    /** @type {number | undefined} */
+    fd = undefined;
+    /** @type {number} */
+    size = 0;
+    /** @type {string | undefined} UTC date (YYYY-MM-DD) of the current file */
+    day = undefined;
+
+    /**
+     * @param {string} filePath
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    open() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.fd = fs.openSync(this.filePath, 'a');
+        const stats = fs.fstatSync(this.fd);
+        this.size = stats.size;
+        this.day = (stats.size > 0 ? stats.mtime : new Date()).toISOString().slice(0, 10);
+    }
+
+    /**
+     * @param {string} line Without the trailing newline
+     */
+    write(line) {
+        const data = `${line}\n`;
+        const bytes = Buffer.byteLength(data);
+        if (this.fd === undefined) this.open();
+        const today = new Date().toISOString().slice(0, 10);
+        const tooLarge = options.maxFileBytes > 0 && this.size > 0 && this.size + bytes > options.maxFileBytes;
+        if (tooLarge || (options.rotateDaily && today !== this.day)) {
+            this.rotate();
+        }
+        fs.writeSync(this.fd, data);
+        this.size += bytes;
+    }
+
+    rotate() {
+        this.close();
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+        let target = `${this.filePath}.${stamp}`;
+        for (let i = 1; fs.existsSync(target); i++) {
+            target = `${this.filePath}.${stamp}-${i}`;
+        }
+        fs.renameSync(this.filePath, target);
+        this.prune();
+        this.open();
+    }
+
+    prune() {
+        const dir = path.dirname(this.filePath);
+        const prefix = `${path.basename(this.filePath)}.`;
+        const rotated = fs.readdirSync(dir).filter(name => name.startsWith(prefix)).sort();
+        for (const name of rotated.slice(0, Math.max(0, rotated.length - options.maxFiles))) {
+            fs.rmSync(path.join(dir, name), { force: true });
+        }
+    }
+
+    close() {
+        if (this.fd === undefined) return;
+        fs.closeSync(this.fd);
+        this.fd = undefined;
+    }
+}
+
+/** @type {RotatingFileWriter | undefined} */
+let fileWriter;
+
+/**
+ * Applies the logging settings; called once the configuration is loaded. Until then records
+ * are written to stdout as text from INFO up.
+ * @param {Partial<LoggerOptions>} settings
+ */
+export function configureLogger(settings) {
+    Object.assign(options, settings);
+    fileWriter?.close();
+    fileWriter = options.file ? new RotatingFileWriter(options.file) : undefined;
+}
+
+/**
+ * Runs fn with fields added to every record it logs, including records of the exchange calls it makes.
+ * @template T
+ * @param {Record<string, unknown>} fields e.g. { symbol, cycleId }
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function runWithLogContext(fields, fn) {
+    return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * @param {Error} error
+ * @returns {object}
+ */
+function serializeError(error) {
+    return { name: error.constructor?.name ?? error.name, message: error.message, stack: error.stack };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function formatFieldValue(value) {
+    if (typeof value === 'string') return /\s/.test(value) ? JSON.stringify(value) : value;
+    return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+export class Logger {
+    /** @type {Record<string, unknown>} Fields added to every record, e.g. { module: 'exchange' } */
+    bindings;
+
+    /**
+     * @param {Record<string, unknown>} [bindings={}]
+     */
+    constructor(bindings = {}) {
+        this.bindings = bindings;
+    }
+
+    /**
+     * @param {Record<string, unknown>} bindings
+     * @returns {Logger}
+     */
+    child(bindings) {
+        return new Logger({ ...this.bindings, ...bindings });
+    }
+
+    /**
+     * @param {LogLevel} level
+     * @returns {boolean}
+     */
+    isLevelEnabled(level) {
+        return (LOG_LEVELS[level] ?? LOG_LEVELS.INFO) >= LOG_LEVELS[options.level];
+    }
+
+    /**
+     * Free-form record in the style of console.log: strings are joined into the message, errors
+     * go to `err` and other values to `data`. Bound, so it can be passed around as a function.
+     * @param {LogLevel} level
+     * @param {...any} message
+     */
+    log = (level, ...message) => {
+        if (!this.isLevelEnabled(level)) return;
+        this.write(level, message, {});
+    };
+
+    /**
+     * @param {string} message
+     * @param {Record<string, unknown>} [fields] Structured fields, e.g. { side, orderId, price, amount }
+     */
+    debug(message, fields = {}) {
+        if (this.isLevelEnabled('DEBUG')) this.write('DEBUG', [message], fields);
+    }
+
+    /**
+     * @param {string} message
+     * @param {Record<string, unknown>} [fields]
+     */
+    info(message, fields = {}) {
+        if (this.isLevelEnabled('INFO')) this.write('INFO', [message], fields);
+    }
+
+    /**
+     * @param {string} message
+     * @param {Record<string, unknown>} [fields]
+     */
+    warn(message, fields = {}) {
+        if (this.isLevelEnabled('WARN')) this.write('WARN', [message], fields);
+    }
+
+    /**
+     * @param {string} message
+     * @param {Record<string, unknown>} [fields]
+     */
+    error(message, fields = {}) {
+        if (this.isLevelEnabled('ERROR')) this.write('ERROR', [message], fields);
+    }
+
+    /**
+     * @param {LogLevel} level
+     * @param {any[]} message
+     * @param {Record<string, unknown>} fields
+     */
+    write(level, message, fields) {
+        const time = new Date().toISOString();
+        const context = { ...this.bindings, ...logContext.getStore(), ...fields };
+        const line = options.format === 'json'
+            ? this.formatJson(time, level, message, context)
+            : this.formatText(time, level, message, context);
+        if (options.console) {
+            process.stdout.write(`${line}\n`);
+        }
+        if (fileWriter) {
+            try {
+                fileWriter.write(line);
+            } catch (error) {
+                process.stderr.write(`[${time}] [ERROR] Failed to write log file ${fileWriter.filePath}: ${error.message}\n`);
+            }
+        }
+    }
+
+    /**
+     * @param {string} time
+     * @param {LogLevel} level
+     * @param {any[]} message
+     * @param {Record<string, unknown>} context
+     * @returns {string} [time] [LEVEL] [module] message key=value ...
+     */
+    formatText(time, level, message, context) {
+        const { module, ...rest } = context;
+        const suffix = Object.entries(rest)
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => `${key}=${formatFieldValue(value)}`)
+            .join(' ');
+        return [
+            `[${time}] [${level}]${module ? ` [${module}]` : ''}`,
+            util.formatWithOptions({ colors: false }, ...message),
+            suffix,
+        ].filter(part => part !== '').join(' ');
+    }
+
+    /**
+     * @param {string} time
+     * @param {LogLevel} level
+     * @param {any[]} message
+     * @param {Record<string, unknown>} context
+     * @returns {string} {"time":...,"level":...,"msg":...,...fields}
+     */
+    formatJson(time, level, message, context) {
+        const texts = [];
+        const data = [];
+        let err;
+        for (const part of message) {
+            if (part instanceof Error) {
+                err = serializeError(part);
+            } else if (typeof part === 'object' && part !== null) {
+                data.push(part);
+            } else {
+                texts.push(String(part));
+            }
+        }
+        // Reserved fields keep their position and cannot be overwritten by context fields
+        const record = { time, level, ...context, ...{ time, level }, msg: texts.join(' ').replace(/:$/, '') };
+        if (data.length > 0) record.data = data.length === 1 ? data[0] : data;
+        if (err) record.err = err;
+        try {
+            return JSON.stringify(record);
+        } catch {
+            // Circular or BigInt data: keep the record, describe the data as text
+            return JSON.stringify({ ...record, data: util.inspect(record.data, { depth: 4 }) });
+        }
+    }
+}
+
+/** Root logger; modules derive child loggers with their own `module` field. */
+export const logger = new Logger();
@@ -1,66 +1,102 @@
 // src/main.js
-import { config } from './config.js';
+import path from 'path';
+import { config, symbolConfigs, printValidationReport, validateMarketConfig } from './config.js';
 import { ExchangeService } from './exchange.js';
+import { PaperExchangeService } from './paper.js';
 import { OrderBookAnalyzer } from './orderbook.js';
 import { MarketMakerStrategy } from './strategy.js';
-import { log, sleep } from './utils.js';
+import { MarketDataRecorder } from './recorder.js';
+import { PortfolioRiskManager } from './portfolio.js';
+import { InventoryHedger } from './hedge.js';
+import { ReferencePriceFeed } from './reference.js';
+import { ControlServer } from './control.js';
+import { ConfigReloader } from './reload.js';
+import { startMetricsServer } from './metrics.js';
+import { log, sleep, symbolToDirName } from './utils.js';
 import ccxt from 'ccxt'; // Import ccxt to access error types like TimeoutError, RateLimitExceeded etc.
 
 let running = true;
-// global exchangeService variable for cleanup
-let exchangeServiceInstance = null;
+// global exchangeService variables for cleanup, one per symbol
+let exchangeServiceInstances = [];
+// global strategy variables for cleanup (each only cancels this bot's own orders)
+let strategyInstances = [];
+/** @type {ControlServer | undefined} */
+let controlServer;
+/** @type {import('http').Server | undefined} */
+let metricsServer;
+/** @type {ConfigReloader | undefined} */
+let configReloader;
 
 async function main() {
     log('INFO', 'Starting Liquid Book Market Maker Bot (JavaScript)...');
 
     try {
         // Initialize services
-        const exchangeService = new ExchangeService(config);
-        exchangeServiceInstance = exchangeService; // Store instance for cleanup
-        await exchangeService.initialize();
+        if (config.executionMode === 'backtest') {
+            throw new Error('EXECUTION_MODE=backtest is run through backtest.js, not main.js.');
+        }
+        if (config.executionMode === 'paper' && config.paperDataFile && symbolConfigs.length > 1) {
+            throw new Error('PAPER_DATA_FILE replays a single recording; use SYMBOL instead of SYMBOLS when replaying a file.');
+        }
+        log('INFO', `Execution mode: ${config.executionMode}, symbols: ${config.symbols.join(', ')}`);
+        await createExchangeServices();
 
-        const orderBookAnalyzer = new OrderBookAnalyzer();
-        const strategy = new MarketMakerStrategy(config, exchangeService, orderBookAnalyzer);
+        if (config.executionMode === 'record') {
+            await runRecorder(exchangeServiceInstances);
+            return;
+        }
 
-        log('INFO', 'Starting main strategy loop...');
-        while (running) {
-            try {
-                await strategy.runCycle();
-            } catch (cycleError) {
-                log('ERROR', 'An error occurred within the strategy cycle:', cycleError);
-                // Use ccxt error types for specific handling
-                if (cycleError instanceof ccxt.TimeoutError) { // Corrected error type access
-                    log('WARN', 'Request timed out. Retrying after delay...');
-                    await sleep(config.interval * 1000 * 2);
-                } else if (cycleError instanceof ccxt.RateLimitExceeded) {
-                    log('WARN', 'Rate limit exceeded. Waiting longer before retry...');
-                    await sleep(60 * 1000);
-                } else if (cycleError instanceof ccxt.AuthenticationError) {
-                    log('ERROR', 'Authentication failed. Stopping bot.');
-                    running = false;
-                } else if (cycleError instanceof ccxt.ExchangeNotAvailable || cycleError instanceof ccxt.NetworkError) {
-                    log('WARN', 'Network or Exchange unavailable. Retrying after longer delay...');
-                    await sleep(config.interval * 1000 * 3);
-                }
-                // Continue loop for most other errors after a delay
-            }
-            if (running) {
-                log('INFO', `Waiting for ${config.interval} seconds...`);
-                await sleep(config.interval * 1000);
+        if (config.streamingEnabled && config.executionMode === 'live') {
+            for (const exchangeService of exchangeServiceInstances) {
+                exchangeService.startStreaming();
             }
         }
 
+        const hedgers = await createHedgers();
+        const portfolio = new PortfolioRiskManager({ maxGrossNotional: config.portfolioMaxNotional });
+        const orderBookAnalyzer = new OrderBookAnalyzer();
+        const referenceFeeds = await createReferenceFeeds(orderBookAnalyzer);
+        for (const exchangeService of exchangeServiceInstances) {
+            const { symbol } = exchangeService.config;
+            const strategy = new MarketMakerStrategy(exchangeService.config, exchangeService, orderBookAnalyzer, portfolio, hedgers.get(symbol), referenceFeeds.get(symbol));
+            strategyInstances.push(strategy);
+            await strategy.reconcileOpenOrders();
+        }
+
+        if (config.metricsPort > 0) {
+            metricsServer = await startMetricsServer({ host: config.metricsHost, port: config.metricsPort });
+        }
+        if (config.controlApiPort > 0) {
+            controlServer = new ControlServer(strategyInstances, { port: config.controlApiPort, token: config.controlApiToken });
+            await controlServer.start();
+        }
+        configReloader = new ConfigReloader(strategyInstances, { configFile: config.configFile });
+        configReloader.start();
+
+        log('INFO', `Starting ${strategyInstances.length} strategy loop(s)...`);
+        await Promise.all(strategyInstances.map(strategy => runStrategyLoop(strategy)));
+
     } catch (error) {
         log('ERROR', 'Fatal error during initialization or unhandled loop error:', error);
         running = false;
     } finally {
         log('INFO', 'Bot shutting down or loop exited.');
-        // Attempt cleanup using the stored instance
-        if (exchangeServiceInstance) {
+        configReloader?.close();
+        await controlServer?.close();
+        metricsServer?.close();
+        // Attempt cleanup using the stored instances (the recorder never places orders)
+        if (exchangeServiceInstances.length > 0 && config.executionMode !== 'record') {
             try {
-                log('INFO', 'Attempting final order cancellation...');
-                await exchangeServiceInstance.cancelAllOrders();
-                log('INFO', 'Final orders cancellation attempt finished.');
+                // Stop all streams together: services sharing a connection wait for its owner to close the sockets
+                await Promise.allSettled(exchangeServiceInstances
+                    .filter(exchangeService => exchangeService instanceof ExchangeService)
+                    .map(exchangeService => exchangeService.stopStreaming()));
+                if (strategyInstances.length > 0) {
+                    // Only this bot's tagged orders; orders placed manually on the account are left alone
+                    log('INFO', 'Attempting final order cancellation...');
+                    await Promise.allSettled(strategyInstances.map(strategy => strategy.cancelOwnOrders()));
+                    log('INFO', 'Final orders cancellation attempt finished.');
+                }
             } catch (cleanupError) {
                 log('ERROR', 'Error during final cleanup:', cleanupError);
             }
@@ -69,6 +105,166 @@ async function main() {
     }
 }
 
+/**
+ * Creates and initializes one exchange service per symbol. The first symbol's service owns the
+ * connection and the others share it, so markets are loaded once and every symbol draws from
+ * the same rate-limit budget.
+ */
+async function createExchangeServices() {
+    for (const symbolConfig of symbolConfigs) {
+        const [primary] = exchangeServiceInstances;
+        const exchangeService = config.executionMode === 'paper'
+            ? new PaperExchangeService(symbolConfig, { shared: primary?.marketDataService })
+            : new ExchangeService(symbolConfig, { shared: primary });
+        exchangeServiceInstances.push(exchangeService); // Store instance for cleanup
+        await exchangeService.initialize();
+    }
+    // Rules that need the exchange's market limits (e.g. BASE_AMOUNT >= minimum order amount)
+    printValidationReport({
+        errors: exchangeServiceInstances.flatMap(exchangeService => validateMarketConfig(exchangeService.config, exchangeService.getMarket())),
+        warnings: [],
+    });
+}
+
+/**
+ * Creates a hedger for every symbol with HEDGE_ENABLED. Each trades through a second exchange
+ * service on the hedge venue (its own exchange, market type and credentials); symbols hedging
+ * on the same venue share one connection. In paper mode the hedge venue is simulated as well.
+ * @returns {Promise<Map<string, InventoryHedger>>} Hedgers by quoting symbol
+ */
+async function createHedgers() {
+    const hedgers = new Map();
+    /** @type {Map<string, ExchangeService>} "<exchange> <market type>" -> service owning the connection */
+    const connections = new Map();
+    for (const symbolConfig of symbolConfigs.filter(symbolConfig => symbolConfig.hedgeEnabled)) {
+        const hedgeConfig = {
+            ...symbolConfig,
+            symbol: symbolConfig.hedgeSymbol ?? symbolConfig.symbol,
+            exchangeId: symbolConfig.hedgeExchangeId,
+            defaultMarketType: symbolConfig.hedgeMarketType,
+            apiKey: symbolConfig.hedgeApiKey,
+            secretKey: symbolConfig.hedgeSecretKey,
+            password: symbolConfig.hedgePassword,
+            useTestnet: symbolConfig.hedgeUseTestnet,
+            paperInitialPosition: 0,
+        };
+        const venue = `${hedgeConfig.exchangeId} ${hedgeConfig.defaultMarketType}`;
+        const hedgeService = config.executionMode === 'paper'
+            ? new PaperExchangeService(hedgeConfig)
+            : new ExchangeService(hedgeConfig, { shared: connections.get(venue) });
+        await hedgeService.initialize();
+        if (hedgeService instanceof ExchangeService && !connections.has(venue)) {
+            connections.set(venue, hedgeService);
+        }
+        const stateFile = path.join(symbolConfig.stateDir, `hedge-${symbolToDirName(symbolConfig.symbol)}-${symbolConfig.executionMode}.json`);
+        hedgers.set(symbolConfig.symbol, new InventoryHedger(symbolConfig, hedgeService, stateFile));
+        log('INFO', `[${symbolConfig.symbol}] Hedging on ${venue} ${hedgeConfig.symbol} when the combined position exceeds ${symbolConfig.hedgeThreshold} (ratio ${symbolConfig.hedgeRatio}).`);
+    }
+    return hedgers;
+}
+
+/**
+ * Creates the external reference price feed of each symbol with REFERENCE_SOURCES. Sources use
+ * public endpoints only (no credentials) and mainnet unless REFERENCE_USE_TESTNET; sources on
+ * the same exchange and market type share one connection. Paper trading from a recording has
+ * no matching live data on other venues, so it runs without reference feeds.
+ * @param {OrderBookAnalyzer} orderBookAnalyzer
+ * @returns {Promise<Map<string, ReferencePriceFeed>>} Feeds by quoted symbol
+ */
+async function createReferenceFeeds(orderBookAnalyzer) {
+    const feeds = new Map();
+    /** @type {Map<string, ExchangeService>} "<exchange> <market type>" -> service owning the connection */
+    const connections = new Map();
+    for (const symbolConfig of symbolConfigs.filter(symbolConfig => symbolConfig.referenceSources?.length > 0)) {
+        if (config.executionMode === 'paper' && config.paperDataFile) {
+            log('WARN', `[${symbolConfig.symbol}] REFERENCE_SOURCES ignored while replaying ${config.paperDataFile}.`);
+            continue;
+        }
+        const sources = [];
+        for (const source of symbolConfig.referenceSources) {
+            const sourceConfig = {
+                ...symbolConfig,
+                symbol: source.symbol ?? symbolConfig.symbol,
+                exchangeId: source.exchangeId,
+                defaultMarketType: source.marketType,
+                apiKey: undefined,
+                secretKey: undefined,
+                password: undefined,
+                useTestnet: symbolConfig.referenceUseTestnet,
+            };
+            const venue = `${source.exchangeId} ${source.marketType}`;
+            const exchangeService = new ExchangeService(sourceConfig, { shared: connections.get(venue) });
+            await exchangeService.initialize();
+            if (!connections.has(venue)) connections.set(venue, exchangeService);
+            sources.push({ source, exchangeService });
+        }
+        feeds.set(symbolConfig.symbol, new ReferencePriceFeed(symbolConfig, sources, orderBookAnalyzer));
+        log('INFO', `[${symbolConfig.symbol}] Reference price from ${sources.map(({ source, exchangeService }) => `${source.exchangeId} ${source.marketType} ${exchangeService.config.symbol} (weight ${source.weight})`).join(', ')}.`);
+    }
+    return feeds;
+}
+
+/**
+ * Runs one symbol's strategy cycles until shutdown. Each symbol has its own loop and interval,
+ * so a slow or failing symbol does not hold up the others. The interval is read on every use
+ * because a config reload may change it.
+ * @param {MarketMakerStrategy} strategy
+ */
+async function runStrategyLoop(strategy) {
+    const { symbol } = strategy.config;
+    while (running) {
+        try {
+            await strategy.runCycle();
+        } catch (cycleError) {
+            log('ERROR', `An error occurred within the ${symbol} strategy cycle:`, cycleError);
+            // Use ccxt error types for specific handling
+            if (cycleError instanceof ccxt.TimeoutError) { // Corrected error type access
+                log('WARN', 'Request timed out. Retrying after delay...');
+                await sleep(strategy.config.interval * 1000 * 2);
+            } else if (cycleError instanceof ccxt.RateLimitExceeded) {
+                log('WARN', 'Rate limit exceeded. Waiting longer before retry...');
+                await sleep(60 * 1000);
+            } else if (cycleError instanceof ccxt.AuthenticationError) {
+                log('ERROR', 'Authentication failed. Stopping bot.');
+                running = false;
+            } else if (cycleError instanceof ccxt.ExchangeNotAvailable || cycleError instanceof ccxt.NetworkError) {
+                log('WARN', 'Network or Exchange unavailable. Retrying after longer delay...');
+                await sleep(strategy.config.interval * 1000 * 3);
+            }
+            // Continue loop for most other errors after a delay
+        }
+        if (running) {
+            log('INFO', `[${symbol}] Waiting for ${strategy.config.interval} seconds...`);
+            await sleep(strategy.config.interval * 1000);
+        }
+    }
+}
+
+/**
+ * Records market data of every symbol until shutdown instead of trading.
+ * @param {ExchangeService[]} exchangeServices Initialized exchange services, one per symbol
+ */
+async function runRecorder(exchangeServices) {
+    const recorders = exchangeServices.map(exchangeService => new MarketDataRecorder(exchangeService.config, exchangeService));
+    log('INFO', `Recording ${config.symbols.join(', ')} market data to ${config.recordDir} every ${config.recordInterval} seconds...`);
+    try {
+        while (running) {
+            const results = await Promise.allSettled(recorders.map(recorder => recorder.recordOnce()));
+            for (const result of results) {
+                if (result.status === 'rejected') {
+                    log('ERROR', 'An error occurred while recording market data:', result.reason);
+                }
+            }
+            if (running) {
+                await sleep(config.recordInterval * 1000);
+            }
+        }
+    } finally {
+        await Promise.allSettled(recorders.map(recorder => recorder.close()));
+        log('INFO', 'Recorder files closed.');
+    }
+}
+
 function handleShutdown(signal) {
     log('INFO', `Received ${signal}. Initiating graceful shutdown...`);
     if (running) {
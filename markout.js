@@ -0,0 +1,295 @@
+// src/markout.js
+import { logger } from './logger.js';
+import { metrics } from './metrics.js';
+import { appendJsonLines, readJsonLines } from './utils.js';
+
+const log = logger.child({ module: 'markout' }).log;
+
+/** Seconds after each fill at which the mid price is taken. */
+export const MARKOUT_HORIZONS = [1, 5, 30, 60];
+/** Mid samples older than this (ms) are dropped; also how long a fill may wait for its last horizon. */
+const MID_HISTORY_MS = 5 * 60 * 1000;
+
+/**
+ * One of our fills and the mid price after it. Markouts are signed in our favour: positive
+ * means the mid moved the way we wanted after the fill (up after a buy, down after a sell).
+ * @typedef {object} MarkoutRecord
+ * @property {string | undefined} id Trade ID
+ * @property {string | undefined} orderId
+ * @property {number} timestamp
+ * @property {'buy' | 'sell'} side
+ * @property {number} price
+ * @property {number} amount
+ * @property {'maker' | 'taker' | undefined} takerOrMaker
+ * @property {number | undefined} level Ladder level of the quote that filled; undefined for other orders
+ * @property {number} hourUtc Hour of day (UTC) of the fill
+ * @property {number | undefined} midAtFill
+ * @property {Record<string, number | null>} mids Mid price per horizon (seconds); null when no mid was seen around it
+ * @property {Record<string, number | null>} markoutsBps Markout per horizon in basis points of the fill price
+ */
+
+/**
+ * @typedef {object} MarkoutStats
+ * @property {number} count Fills with all horizons resolved
+ * @property {Record<string, number | undefined>} meanBps Mean markout per horizon (undefined without samples)
+ */
+
+/**
+ * @param {'buy' | 'sell'} side
+ * @param {number} price Fill price
+ * @param {number} mid Later mid price
+ * @returns {number} Markout in basis points, positive when the mid moved in our favour
+ */
+export function markoutBps(side, price, mid) {
+    return (side === 'buy' ? mid - price : price - mid) / price * 10000;
+}
+
+/**
+ * Adverse selection analysis of our fills.
+ *
+ * The strategy feeds the mid price of every order book update (streamed, replayed or polled;
+ * once per cycle when live trading runs on REST only) and every new fill. The mid at fill time
+ * + 1s/5s/30s/60s is interpolated between the samples around it, so its accuracy is bounded by
+ * how often mids are sampled. Once all horizons are known the fill is appended to the JSONL
+ * file and added to the statistics by side, ladder level and hour of day; a horizon without
+ * samples around it (e.g. across a restart) stays null. On startup the statistics are rebuilt
+ * from the fills already in the file.
+ */
+export class MarkoutTracker {
+    /** @type {import('./config.js').Config} Hot reloads update it in place */
+    config;
+    /** @type {string | undefined} JSONL file the resolved fills are appended to; undefined keeps them in memory only */
+    filePath;
+    /** @type {Array<{ timestamp: number, mid: number }>} Oldest first */
+    mids = [];
+    /** @type {MarkoutRecord[]} Fills waiting for a horizon */
+    pending = [];
+    /** @type {Map<string, { count: number, sums: Record<string, number>, counts: Record<string, number> }>} Aggregates by "side:buy", "level:0", "hour:13" */
+    aggregates = new Map();
+    /** @type {{ buy: MarkoutRecord[], sell: MarkoutRecord[] }} Last MARKOUT_WINDOW_FILLS resolved fills per side */
+    recent = { buy: [], sell: [] };
+
+    /**
+     * @param {import('./config.js').Config} config
+     * @param {string | undefined} filePath
+     */
+    constructor(config, filePath) {
+        this.config = config;
+        this.filePath = filePath;
+        this.load();
+    }
+
+    /**
+     * Rebuilds the statistics and the per-side windows from the resolved fills in the JSONL file.
+     * The markout histogram is not replayed; like every metric it counts from the process start.
+     */
+    load() {
+        if (!this.filePath) return;
+        let fills;
+        try {
+            fills = readJsonLines(this.filePath);
+        } catch (error) {
+            log('ERROR', `Failed to read markouts from ${this.filePath}, statistics start empty:`, error);
+            return;
+        }
+        for (const fill of fills) this.addToStats(fill);
+        if (fills.length > 0) {
+            log('INFO', `[${this.config.symbol}] Markout statistics restored from ${fills.length} fill(s) in ${this.filePath}.`);
+        }
+    }
+
+    /**
+     * Adds a mid sample and resolves the horizons it completes.
+     * @param {number} timestamp
+     * @param {number} mid
+     */
+    recordMid(timestamp, mid) {
+        if (!(mid > 0)) return;
+        const last = this.mids[this.mids.length - 1];
+        if (last && timestamp <= last.timestamp) return;
+        this.mids.push({ timestamp, mid });
+        while (this.mids.length > 0 && this.mids[0].timestamp < timestamp - MID_HISTORY_MS) {
+            this.mids.shift();
+        }
+        this.resolve(timestamp);
+    }
+
+    /**
+     * @param {ccxt.Trade} trade One of our fills
+     * @param {number | undefined} level Ladder level the fill is attributed to
+     */
+    addFill(trade, level) {
+        this.pending.push({
+            id: trade.id,
+            orderId: trade.order,
+            timestamp: trade.timestamp,
+            side: trade.side,
+            price: trade.price,
+            amount: trade.amount,
+            takerOrMaker: trade.takerOrMaker,
+            level,
+            hourUtc: new Date(trade.timestamp).getUTCHours(),
+            midAtFill: this.midAt(trade.timestamp) ?? undefined,
+            mids: {},
+            markoutsBps: {},
+        });
+    }
+
+    /**
+     * Fills still waiting for a horizon when the last strategy state was saved. Horizons that
+     * fell into the downtime resolve to null.
+     * @param {MarkoutRecord[] | undefined} fills
+     */
+    restorePending(fills) {
+        if (Array.isArray(fills)) this.pending.push(...fills);
+    }
+
+    /**
+     * Mid at a point in time, linearly interpolated between the samples around it.
+     * @param {number} timestamp
+     * @returns {number | null | undefined} undefined while no later sample exists yet, null when no earlier sample does
+     */
+    midAt(timestamp) {
+        const afterIndex = this.mids.findIndex(sample => sample.timestamp >= timestamp);
+        if (afterIndex === -1) return undefined;
+        const after = this.mids[afterIndex];
+        if (after.timestamp === timestamp) return after.mid;
+        const before = this.mids[afterIndex - 1];
+        if (!before) return null;
+        const weight = (timestamp - before.timestamp) / (after.timestamp - before.timestamp);
+        return before.mid + weight * (after.mid - before.mid);
+    }
+
+    /**
+     * @param {number} now
+     */
+    resolve(now) {
+        const done = [];
+        for (const fill of this.pending) {
+            fill.midAtFill ??= this.midAt(fill.timestamp) ?? undefined;
+            for (const horizon of MARKOUT_HORIZONS) {
+                if (fill.mids[horizon] !== undefined) continue;
+                let mid = this.midAt(fill.timestamp + horizon * 1000);
+                // Past the history window no sample will ever come for it
+                if (mid === undefined && now - fill.timestamp > MID_HISTORY_MS) mid = null;
+                if (mid === undefined) continue;
+                fill.mids[horizon] = mid;
+                fill.markoutsBps[horizon] = mid === null ? null : markoutBps(fill.side, fill.price, mid);
+            }
+            if (MARKOUT_HORIZONS.every(horizon => fill.mids[horizon] !== undefined)) done.push(fill);
+        }
+        if (done.length === 0) return;
+        this.pending = this.pending.filter(fill => !done.includes(fill));
+        for (const fill of done) this.complete(fill);
+        this.append(done);
+        this.logSummary([...new Set(done.map(fill => fill.side))]);
+    }
+
+    /**
+     * @param {MarkoutRecord} fill
+     */
+    complete(fill) {
+        this.addToStats(fill);
+        for (const horizon of MARKOUT_HORIZONS) {
+            const value = fill.markoutsBps[horizon];
+            if (value !== null && value !== undefined) {
+                metrics.fillMarkout.observe({ symbol: this.config.symbol, side: fill.side, horizon: `${horizon}s` }, value);
+            }
+        }
+    }
+
+    /**
+     * @param {MarkoutRecord} fill
+     */
+    addToStats(fill) {
+        const keys = [`side:${fill.side}`, `level:${fill.level ?? 'other'}`, `hour:${fill.hourUtc}`];
+        for (const key of keys) {
+            let aggregate = this.aggregates.get(key);
+            if (!aggregate) {
+                aggregate = { count: 0, sums: {}, counts: {} };
+                this.aggregates.set(key, aggregate);
+            }
+            aggregate.count++;
+            for (const horizon of MARKOUT_HORIZONS) {
+                const value = fill.markoutsBps[horizon];
+                if (value === null || value === undefined) continue;
+                aggregate.sums[horizon] = (aggregate.sums[horizon] ?? 0) + value;
+                aggregate.counts[horizon] = (aggregate.counts[horizon] ?? 0) + 1;
+            }
+        }
+        const recent = this.recent[fill.side];
+        recent.push(fill);
+        while (recent.length > this.config.markoutWindowFills) recent.shift();
+    }
+
+    /**
+     * @param {MarkoutRecord[]} fills
+     */
+    append(fills) {
+        if (!this.filePath) return;
+        try {
+            appendJsonLines(this.filePath, fills);
+        } catch (error) {
+            log('ERROR', `Failed to append markouts to ${this.filePath}:`, error);
+        }
+    }
+
+    /**
+     * @param {string} key Aggregate key, e.g. "side:buy"
+     * @returns {MarkoutStats | undefined}
+     */
+    getStats(key) {
+        const aggregate = this.aggregates.get(key);
+        if (!aggregate) return undefined;
+        const meanBps = {};
+        for (const horizon of MARKOUT_HORIZONS) {
+            meanBps[horizon] = aggregate.counts[horizon] ? aggregate.sums[horizon] / aggregate.counts[horizon] : undefined;
+        }
+        return { count: aggregate.count, meanBps };
+    }
+
+    /**
+     * @returns {{ bySide: Record<string, MarkoutStats>, byLevel: Record<string, MarkoutStats>, byHourUtc: Record<string, MarkoutStats>, pending: number }}
+     */
+    getSummary() {
+        const summary = { bySide: {}, byLevel: {}, byHourUtc: {}, pending: this.pending.length };
+        const groups = { side: summary.bySide, level: summary.byLevel, hour: summary.byHourUtc };
+        const keys = [...this.aggregates.keys()].sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+        for (const key of keys) {
+            const [group, value] = key.split(':');
+            groups[group][value] = this.getStats(key);
+        }
+        return summary;
+    }
+
+    /**
+     * @param {Array<'buy' | 'sell'>} sides
+     */
+    logSummary(sides) {
+        for (const side of sides) {
+            const stats = this.getStats(`side:${side}`);
+            if (!stats) continue;
+            const horizons = MARKOUT_HORIZONS.map(horizon => `+${horizon}s ${stats.meanBps[horizon] !== undefined ? stats.meanBps[horizon].toFixed(2) : 'n/a'}`).join(', ');
+            log('INFO', `[${this.config.symbol}] Markouts ${side} (${stats.count} fills, bps): ${horizons}`);
+        }
+    }
+
+    /**
+     * How far to move one side's quotes away from the fair price because its recent fills are
+     * toxic: the negative mean markout at MARKOUT_WIDEN_HORIZON_SECONDS over the last
+     * MARKOUT_WINDOW_FILLS fills of that side, times MARKOUT_WIDEN_MULTIPLIER, capped at
+     * MARKOUT_WIDEN_MAX_BPS. 0 below MARKOUT_WIDEN_MIN_FILLS fills or with a non-negative mean.
+     * @param {'buy' | 'sell'} side
+     * @returns {{ widenBps: number, meanBps: number | undefined, fills: number }}
+     */
+    getWidening(side) {
+        const horizon = this.config.markoutWidenHorizonSeconds;
+        const values = this.recent[side].map(fill => fill.markoutsBps[horizon]).filter(value => typeof value === 'number');
+        if (values.length === 0) return { widenBps: 0, meanBps: undefined, fills: 0 };
+        const meanBps = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const widenBps = values.length >= this.config.markoutWidenMinFills && meanBps < 0
+            ? Math.min(this.config.markoutWidenMaxBps, -meanBps * this.config.markoutWidenMultiplier)
+            : 0;
+        return { widenBps, meanBps, fills: values.length };
+    }
+}
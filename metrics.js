@@ -0,0 +1,295 @@
+// src/metrics.js
+import http from 'http';
+import { log } from './utils.js';
+
+/**
+ * @typedef {Record<string, string>} Labels
+ */
+
+/**
+ * @param {string} value
+ * @returns {string} Label value escaped for the text exposition format
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * @param {Labels} labels
+ * @returns {string} e.g. {symbol="BTC/USDT",side="buy"}, or '' without labels
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Base of the metric types: one value (or histogram) per combination of label values.
+ */
+class Metric {
+    /** @type {string} */
+    name;
+    /** @type {string} */
+    help;
+    /** @type {string[]} */
+    labelNames;
+    /** @type {Map<string, { labels: Labels, value: any }>} */
+    series = new Map();
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames=[]]
+     */
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+    }
+
+    /**
+     * @param {Labels} labels
+     * @returns {{ key: string, labels: Labels }} Labels in declaration order
+     */
+    normalize(labels) {
+        const ordered = {};
+        for (const name of this.labelNames) {
+            ordered[name] = labels[name] ?? '';
+        }
+        return { key: JSON.stringify(Object.values(ordered)), labels: ordered };
+    }
+
+    /**
+     * @param {Labels} labels
+     */
+    remove(labels) {
+        this.series.delete(this.normalize(labels).key);
+    }
+}
+
+export class Counter extends Metric {
+    type = 'counter';
+
+    /**
+     * @param {Labels} [labels={}]
+     * @param {number} [value=1] Non-negative increment
+     */
+    inc(labels = {}, value = 1) {
+        if (!(value >= 0)) return;
+        const { key, labels: ordered } = this.normalize(labels);
+        const entry = this.series.get(key);
+        if (entry) {
+            entry.value += value;
+        } else {
+            this.series.set(key, { labels: ordered, value });
+        }
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    renderSamples() {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+}
+
+export class Gauge extends Metric {
+    type = 'gauge';
+
+    /**
+     * @param {Labels} labels
+     * @param {number} value Non-finite values remove the series instead
+     */
+    set(labels, value) {
+        if (!Number.isFinite(value)) {
+            this.remove(labels);
+            return;
+        }
+        const { key, labels: ordered } = this.normalize(labels);
+        this.series.set(key, { labels: ordered, value });
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    renderSamples() {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+}
+
+export class Histogram extends Metric {
+    type = 'histogram';
+    /** @type {number[]} Upper bounds, ascending */
+    buckets;
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} labelNames
+     * @param {number[]} buckets Upper bounds of the buckets (+Inf is added)
+     */
+    constructor(name, help, labelNames, buckets) {
+        super(name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    /**
+     * @param {Labels} labels
+     * @param {number} value
+     */
+    observe(labels, value) {
+        if (!Number.isFinite(value)) return;
+        const { key, labels: ordered } = this.normalize(labels);
+        let entry = this.series.get(key);
+        if (!entry) {
+            entry = { labels: ordered, value: { counts: this.buckets.map(() => 0), sum: 0, count: 0 } };
+            this.series.set(key, entry);
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) entry.value.counts[i]++;
+        });
+        entry.value.sum += value;
+        entry.value.count++;
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    renderSamples() {
+        const lines = [];
+        for (const { labels, value } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Holds the metrics and renders them in the Prometheus text exposition format (version 0.0.4).
+ */
+export class MetricsRegistry {
+    /** @type {Array<Counter | Gauge | Histogram>} */
+    metrics = [];
+
+    /**
+     * @template {Counter | Gauge | Histogram} T
+     * @param {T} metric
+     * @returns {T}
+     */
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * @returns {string}
+     */
+    render() {
+        const lines = [];
+        for (const metric of this.metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.renderSamples());
+        }
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+/** Registry shared by every module of the process; served by startMetricsServer(). */
+export const registry = new MetricsRegistry();
+
+/**
+ * The bot's metrics. Updating them is cheap, so they are kept up to date even when no server
+ * exposes them (backtests, METRICS_PORT unset).
+ */
+export const metrics = {
+    cycleDuration: registry.register(new Histogram('liquidbook_cycle_duration_seconds',
+        'Duration of a strategy cycle', ['symbol'], [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30])),
+    apiLatency: registry.register(new Histogram('liquidbook_api_request_duration_seconds',
+        'Latency of REST calls to the exchange per ccxt method', ['symbol', 'method'], [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10])),
+    errors: registry.register(new Counter('liquidbook_errors_total',
+        'Errors by ccxt error class; source is the ccxt method, or "cycle" for errors that aborted a strategy cycle', ['symbol', 'source', 'error'])),
+    orders: registry.register(new Counter('liquidbook_orders_total',
+        'Orders placed, edited and cancelled by the strategy, and post-only orders rejected for crossing (action=post_only_rejected)', ['symbol', 'side', 'action'])),
+    fills: registry.register(new Counter('liquidbook_fills_total',
+        'Own fills', ['symbol', 'side'])),
+    tradedVolume: registry.register(new Counter('liquidbook_traded_volume_base_total',
+        'Own traded volume in base currency since the process started', ['symbol'])),
+    position: registry.register(new Gauge('liquidbook_position_base',
+        'Current position in base currency', ['symbol'])),
+    quotedSpreadTicks: registry.register(new Gauge('liquidbook_quoted_spread_ticks',
+        'Distance between our best bid and best ask in ticks (absent unless both sides are quoted)', ['symbol'])),
+    quotedSpreadBps: registry.register(new Gauge('liquidbook_quoted_spread_bps',
+        'Distance between our best bid and best ask in basis points of the reference price', ['symbol'])),
+    quoteDistanceFromTop: registry.register(new Gauge('liquidbook_quote_distance_from_top_ticks',
+        'Ticks between our best quote and the best price on the same side of the book (0 = at the top, negative = inside the spread)', ['symbol', 'side'])),
+    hedgePosition: registry.register(new Gauge('liquidbook_hedge_position_base',
+        'Position built by the hedger on the hedge venue, in base currency', ['symbol'])),
+    netExposure: registry.register(new Gauge('liquidbook_net_exposure_base',
+        'Combined position across the quoting and hedge venues, in base currency', ['symbol'])),
+    hedgeVolume: registry.register(new Counter('liquidbook_hedge_volume_base_total',
+        'Volume traded by the hedger on the hedge venue, in base currency', ['symbol', 'side'])),
+    fundingRate: registry.register(new Gauge('liquidbook_funding_rate',
+        'Funding rate of the current interval of the perpetual market (FUNDING_AWARE only)', ['symbol'])),
+    inventoryTarget: registry.register(new Gauge('liquidbook_inventory_target_base',
+        'Inventory the quotes are skewed towards, in base currency (0 unless funding shifts it)', ['symbol'])),
+    referencePrice: registry.register(new Gauge('liquidbook_reference_price',
+        'External reference price: weighted median of the reference sources plus the basis (absent while unavailable)', ['symbol'])),
+    referenceDeviationBps: registry.register(new Gauge('liquidbook_reference_deviation_bps',
+        'Local fair price minus the external reference price, in basis points of the reference', ['symbol'])),
+    referenceSourceAge: registry.register(new Gauge('liquidbook_reference_source_age_seconds',
+        'Age of the latest price of each reference source', ['symbol', 'source'])),
+    fillMarkout: registry.register(new Histogram('liquidbook_fill_markout_bps',
+        'Mid price move after our fills in basis points of the fill price, positive when in our favour, per horizon after the fill', ['symbol', 'side', 'horizon'],
+        [-50, -20, -10, -5, -2, -1, 0, 1, 2, 5, 10, 20, 50])),
+};
+
+/**
+ * @param {unknown} error
+ * @returns {string} ccxt error class name (e.g. RateLimitExceeded), or the JS error name
+ */
+export function errorClassName(error) {
+    return error?.constructor?.name ?? 'Error';
+}
+
+/**
+ * Serves GET /metrics for Prometheus.
+ * @param {object} options
+ * @param {string} options.host Interface to bind
+ * @param {number} options.port
+ * @returns {Promise<http.Server>}
+ */
+export function startMetricsServer({ host, port }) {
+    const server = http.createServer((req, res) => {
+        if (req.method === 'GET' && req.url?.split('?')[0] === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(registry.render());
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('not found\n');
+        }
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            log('INFO', `Metrics endpoint listening on http://${host}:${port}/metrics`);
+            resolve(server);
+        });
+    });
+}
@@ -1,10 +1,20 @@
 // src/orderbook.js
-import { log } from './utils.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'orderbook' }).log;
 
 /**
  * @typedef {Array<[number, number]>} OrderBookSide - [price, volume][]
  */
 
+/**
+ * 参考价格 (公允价值) 的计算方法
+ * - depth-mid: 买卖双方 N 档 VWAP 的平均值
+ * - microprice: 按最优档挂单量加权的微观价格
+ * - imbalance-mid: 按 N 档挂单量不平衡度调整的简单中间价
+ * @typedef {'depth-mid' | 'microprice' | 'imbalance-mid'} FairValueMethod
+ */
+
 export class OrderBookAnalyzer {
 
     /**
@@ -64,6 +74,74 @@ export class OrderBookAnalyzer {
         return null;
     }
 
+    /**
+     * 计算最优档微观价格 (microprice)：bid * askVol / (bidVol + askVol) + ask * bidVol / (bidVol + askVol)。
+     * 买盘量大时价格偏向卖价，反映短期买压。
+     * @param {ccxt.OrderBook | undefined} orderBook 订单簿对象
+     * @returns {number | null} 微观价格或 null
+     */
+    calculateMicroprice(orderBook) {
+        const [bestBid, bidVolume] = orderBook?.bids?.[0] ?? [];
+        const [bestAsk, askVolume] = orderBook?.asks?.[0] ?? [];
+        if (typeof bestBid !== 'number' || typeof bestAsk !== 'number') return null;
+        if (typeof bidVolume !== 'number' || typeof askVolume !== 'number' || bidVolume + askVolume <= 0) {
+            return (bestBid + bestAsk) / 2;
+        }
+        return (bestBid * askVolume + bestAsk * bidVolume) / (bidVolume + askVolume);
+    }
+
+    /**
+     * 计算前 N 档挂单量不平衡度：(买量 - 卖量) / (买量 + 卖量)，范围 [-1, 1]，正数表示买盘更厚。
+     * @param {ccxt.OrderBook | undefined} orderBook 订单簿对象
+     * @param {number} levels 计算的深度层数
+     * @returns {number | null} 不平衡度或 null
+     */
+    calculateImbalance(orderBook, levels) {
+        if (!orderBook || levels <= 0) return null;
+        const sumVolume = (orders) => (orders ?? []).slice(0, levels)
+            .reduce((sum, [, volume]) => sum + (typeof volume === 'number' && volume > 0 ? volume : 0), 0);
+        const bidVolume = sumVolume(orderBook.bids);
+        const askVolume = sumVolume(orderBook.asks);
+        if (bidVolume + askVolume === 0) return null;
+        return (bidVolume - askVolume) / (bidVolume + askVolume);
+    }
+
+    /**
+     * 计算不平衡度调整的中间价：简单中间价 + 不平衡度 * 敏感度 * 半个买卖价差。
+     * 敏感度为 1 时，完全失衡的订单簿把价格推到对侧最优价。
+     * @param {ccxt.OrderBook | undefined} orderBook 订单簿对象
+     * @param {number} levels 计算不平衡度的深度层数
+     * @param {number} sensitivity 调整敏感度
+     * @returns {number | null} 调整后的中间价或 null
+     */
+    calculateImbalanceAdjustedMid(orderBook, levels, sensitivity) {
+        const bestBid = orderBook?.bids?.[0]?.[0];
+        const bestAsk = orderBook?.asks?.[0]?.[0];
+        if (typeof bestBid !== 'number' || typeof bestAsk !== 'number') return null;
+        const mid = (bestBid + bestAsk) / 2;
+        const imbalance = this.calculateImbalance(orderBook, levels) ?? 0;
+        return mid + imbalance * sensitivity * (bestAsk - bestBid) / 2;
+    }
+
+    /**
+     * 按配置的方法计算参考价格
+     * @param {ccxt.OrderBook | undefined} orderBook 订单簿对象
+     * @param {FairValueMethod} method 计算方法
+     * @param {{depthLevels: number, imbalanceLevels: number, imbalanceSensitivity: number}} options 各方法的参数
+     * @returns {number | null} 参考价格或 null
+     */
+    calculateFairPrice(orderBook, method, { depthLevels, imbalanceLevels, imbalanceSensitivity }) {
+        switch (method) {
+            case 'microprice':
+                return this.calculateMicroprice(orderBook);
+            case 'imbalance-mid':
+                return this.calculateImbalanceAdjustedMid(orderBook, imbalanceLevels, imbalanceSensitivity);
+            case 'depth-mid':
+            default:
+                return this.calculateDepthMidPrice(orderBook, depthLevels);
+        }
+    }
+
     /**
      * 获取目标价格附近一定范围内的累计交易量
      * @param {OrderBookSide | undefined} orders 买单或卖单列表
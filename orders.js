@@ -0,0 +1,229 @@
+// src/orders.js
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'orders' });
+
+/**
+ * - new:              submitted; the exchange has not yet confirmed it is resting
+ * - open:             resting, nothing filled
+ * - partially_filled: resting, part of the amount filled
+ * - filled, cancelled, rejected: final
+ * @typedef {'new' | 'open' | 'partially_filled' | 'filled' | 'cancelled' | 'rejected'} OrderState
+ */
+
+/**
+ * One of our quote orders and what has happened to it so far.
+ * @typedef {object} TrackedOrder
+ * @property {string} id Exchange order ID
+ * @property {'buy' | 'sell'} side
+ * @property {number} level Ladder level the order quotes
+ * @property {number} price Limit price
+ * @property {number} amount Total order amount (filled + remaining)
+ * @property {number} filled Amount filled, from order updates or our trades, whichever is further along
+ * @property {number} remaining Amount still resting (0 once the order is final)
+ * @property {OrderState} state
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {number} tradeFilled Sum of our trades attributed to the order
+ * @property {number} tradeCost Sum of price * amount of those trades
+ */
+
+/** @type {Record<OrderState, OrderState[]>} Allowed transitions; staying in a state is always allowed */
+export const ORDER_TRANSITIONS = {
+    new: ['open', 'partially_filled', 'filled', 'cancelled', 'rejected'],
+    open: ['partially_filled', 'filled', 'cancelled'],
+    partially_filled: ['filled', 'cancelled'],
+    filled: [],
+    cancelled: [],
+    rejected: [],
+};
+
+/** Amounts closer than this are equal (float noise from summing partial fills). */
+const AMOUNT_EPSILON = 1e-9;
+/** Final orders kept so that fills reported after an order closed are still attributed to it. */
+const MAX_FINAL_ORDERS = 200;
+
+/**
+ * @param {OrderState} state
+ * @returns {boolean}
+ */
+export function isFinalState(state) {
+    return ORDER_TRANSITIONS[state].length === 0;
+}
+
+/**
+ * Lifecycle of the strategy's quote orders: new -> open -> partially filled -> filled /
+ * cancelled / rejected. Driven by ccxt order structures (create/edit responses, fetchOpenOrders,
+ * fetchOrder or the watchOrders stream) and by our own trades, so that the strategy knows how
+ * much of each quote is still resting and which quote produced each fill.
+ *
+ * Filled amounts only grow, and updates that would move an order backwards (stale REST data
+ * arriving after a stream update, a late "open" after a cancel) are ignored.
+ */
+export class OrderTracker {
+    /** @type {Map<string, TrackedOrder>} */
+    orders = new Map();
+
+    /**
+     * Starts tracking an order the strategy has just placed (or adopted at startup).
+     * @param {string} id
+     * @param {object} quote
+     * @param {'buy' | 'sell'} quote.side
+     * @param {number} quote.level
+     * @param {number} quote.price
+     * @param {number} quote.amount
+     * @param {number} now
+     * @returns {TrackedOrder}
+     */
+    track(id, { side, level, price, amount }, now) {
+        /** @type {TrackedOrder} */
+        const order = {
+            id, side, level, price, amount,
+            filled: 0,
+            remaining: amount,
+            state: 'new',
+            createdAt: now,
+            updatedAt: now,
+            tradeFilled: 0,
+            tradeCost: 0,
+        };
+        this.orders.set(id, order);
+        this.prune();
+        return order;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {TrackedOrder | undefined}
+     */
+    get(id) {
+        return this.orders.get(id);
+    }
+
+    /**
+     * Applies an order structure from the exchange.
+     * @param {ccxt.Order} update
+     * @param {number} now
+     * @returns {TrackedOrder | undefined} The tracked order, undefined if it is not ours
+     */
+    applyOrder(update, now) {
+        const order = this.orders.get(update?.id);
+        if (!order) return undefined;
+        if (!isFinalState(order.state)) {
+            if (update.price > 0) order.price = update.price;
+            if (update.amount > 0) order.amount = update.amount;
+        }
+        order.filled = Math.max(order.filled, update.filled ?? 0);
+
+        let next;
+        switch (update.status) {
+            case 'open':
+                next = order.filled > AMOUNT_EPSILON ? 'partially_filled' : 'open';
+                break;
+            case 'closed':
+                next = 'filled';
+                break;
+            case 'canceled':
+            case 'cancelled':
+                next = 'cancelled';
+                break;
+            case 'expired':
+                // A post-only order that expires right away was refused by the exchange
+                next = order.state === 'new' && order.filled <= AMOUNT_EPSILON ? 'rejected' : 'cancelled';
+                break;
+            case 'rejected':
+                next = 'rejected';
+                break;
+            default:
+                // Some exchanges return no status for create/edit: the fills still tell us something
+                next = this.stateFromFills(order);
+        }
+        this.transition(order, next, now);
+        return order;
+    }
+
+    /**
+     * Attributes one of our trades to the quote order that produced it.
+     * @param {ccxt.Trade} trade
+     * @param {number} now
+     * @returns {TrackedOrder | undefined} The order, undefined for trades of orders we do not track
+     */
+    applyTrade(trade, now) {
+        const order = this.orders.get(trade.order);
+        if (!order) return undefined;
+        order.tradeFilled += trade.amount;
+        order.tradeCost += trade.amount * trade.price;
+        order.filled = Math.max(order.filled, order.tradeFilled);
+        this.transition(order, isFinalState(order.state) ? order.state : this.stateFromFills(order), now);
+        return order;
+    }
+
+    /**
+     * The order is known to be gone (cancel accepted, or missing from the open orders) but its
+     * final status is not: it counts as filled if the fills seen so far cover it.
+     * @param {string} id
+     * @param {number} now
+     * @returns {TrackedOrder | undefined}
+     */
+    markClosed(id, now) {
+        const order = this.orders.get(id);
+        if (!order || isFinalState(order.state)) return order;
+        this.transition(order, order.filled >= order.amount - AMOUNT_EPSILON ? 'filled' : 'cancelled', now);
+        return order;
+    }
+
+    /**
+     * Changes the quote of an order that keeps its ID when edited (contracts).
+     * @param {string} id
+     * @param {number} price
+     * @param {number} amount New total amount, including what has already filled
+     * @param {number} now
+     */
+    amend(id, price, amount, now) {
+        const order = this.orders.get(id);
+        if (!order || isFinalState(order.state)) return;
+        order.price = price;
+        order.amount = amount;
+        order.remaining = Math.max(0, amount - order.filled);
+        order.updatedAt = now;
+    }
+
+    /**
+     * @param {TrackedOrder} order
+     * @returns {OrderState}
+     */
+    stateFromFills(order) {
+        if (order.filled >= order.amount - AMOUNT_EPSILON) return 'filled';
+        if (order.filled > AMOUNT_EPSILON) return 'partially_filled';
+        return order.state;
+    }
+
+    /**
+     * @param {TrackedOrder} order
+     * @param {OrderState} next
+     * @param {number} now
+     */
+    transition(order, next, now) {
+        const previous = order.state;
+        if (next !== previous && !ORDER_TRANSITIONS[previous].includes(next)) {
+            log.debug('Ignoring out-of-order update', { orderId: order.id, from: previous, to: next });
+            next = previous;
+        }
+        order.state = next;
+        order.remaining = isFinalState(next) ? 0 : Math.max(0, order.amount - order.filled);
+        order.updatedAt = now;
+        if (next !== previous) {
+            log.debug('Order state changed', { orderId: order.id, side: order.side, ladderLevel: order.level, from: previous, to: next, filled: order.filled, remaining: order.remaining });
+        }
+    }
+
+    /**
+     * Forgets the oldest final orders beyond MAX_FINAL_ORDERS.
+     */
+    prune() {
+        const finals = [...this.orders.values()].filter(order => isFinalState(order.state));
+        for (const order of finals.slice(0, Math.max(0, finals.length - MAX_FINAL_ORDERS))) {
+            this.orders.delete(order.id);
+        }
+    }
+}
@@ -0,0 +1,215 @@
+// src/paper.js
+import { ExchangeService } from './exchange.js';
+import { SimulatedExchangeService } from './simulator.js';
+import { readMarketEvents } from './recorder.js';
+import { inTimeOrder } from './backtest.js';
+import { log } from './utils.js';
+
+/** Clock backed by real time; paper trading runs in the present. */
+const wallClock = {
+    now: () => Date.now(),
+    set: () => {},
+};
+
+/**
+ * Paper-trading adapter: same methods as ExchangeService, but orders rest in a local
+ * matching engine (SimulatedExchangeService) with simulated balances and positions.
+ *
+ * Market data comes from one of:
+ * - live: public order book and trades of the real venue, via a credential-free ExchangeService
+ * - file: a recorded JSONL(.gz) file replayed in real time from its first event
+ *
+ * With live data the funding rate of a perpetual is the real one, and each funding time the
+ * rate was known for settles against the simulated position (paid from or into the balance).
+ */
+export class PaperExchangeService extends SimulatedExchangeService {
+    /** @type {ExchangeService | undefined} */
+    marketDataService = undefined;
+    /** @type {ExchangeService | undefined} Market data connection of another symbol to reuse */
+    sharedMarketData = undefined;
+    /** @type {AsyncIterator<import('./recorder.js').MarketEvent> | undefined} */
+    replay = undefined;
+    /** @type {import('./recorder.js').MarketEvent | undefined} Next replay event not yet due */
+    pendingEvent = undefined;
+    /** @type {number | undefined} Offset between replay data time and wall time */
+    replayOffset = undefined;
+    replayExhausted = false;
+    /** @type {number | undefined} */
+    lastPublicTradeTimestamp = undefined;
+    /** @type {Set<string>} Public trade IDs already applied at lastPublicTradeTimestamp */
+    seenTradeIds = new Set();
+    /** @type {Promise<void> | undefined} */
+    refreshInFlight = undefined;
+    /** @type {number} */
+    lastRefreshAt = 0;
+    /** @type {ccxt.FundingRate | undefined} Latest live funding rate, settled at its funding time */
+    pendingFunding = undefined;
+    /** @type {Array<{ id: string, timestamp: number, amount: number, code: string }>} Simulated funding payments */
+    fundingPayments = [];
+
+    /**
+     * @param {import('./config.js').Config} config Configuration object
+     * @param {object} [options]
+     * @param {ExchangeService} [options.shared] Live market data service of another symbol whose connection is reused
+     */
+    constructor(config, options = {}) {
+        super(config, {
+            clock: wallClock,
+            initialQuoteBalance: config.paperInitialBalance,
+            initialPosition: config.paperInitialPosition,
+            makerFee: config.paperMakerFee,
+            takerFee: config.paperTakerFee,
+        });
+        this.exchange.id = 'paper';
+        this.sharedMarketData = options.shared;
+    }
+
+    async initialize() {
+        if (this.config.paperDataFile) {
+            log('INFO', `Paper trading against recorded market data: ${this.config.paperDataFile}`);
+            this.replay = inTimeOrder(readMarketEvents(this.config.paperDataFile))[Symbol.asyncIterator]();
+        } else {
+            log('INFO', `Paper trading against live ${this.config.exchangeId} market data (no orders are sent).`);
+            // Public endpoints only: never hand real credentials to the data connection
+            this.marketDataService = new ExchangeService(
+                { ...this.config, apiKey: undefined, secretKey: undefined, password: undefined },
+                { shared: this.sharedMarketData }
+            );
+            await this.marketDataService.initialize();
+            this.market = this.marketDataService.getMarket();
+            this.lastPublicTradeTimestamp = Date.now();
+        }
+        await this.refreshMarketData(true);
+    }
+
+    /**
+     * Pulls new market data into the matching engine. runCycle fetches ticker, book,
+     * balance and position concurrently, so concurrent callers share one refresh.
+     * @param {boolean} [force=false] Ignore the minimum refresh interval
+     */
+    async refreshMarketData(force = false) {
+        if (this.refreshInFlight) return this.refreshInFlight;
+        if (!force && Date.now() - this.lastRefreshAt < 500) return;
+        this.refreshInFlight = (this.replay ? this.advanceReplay() : this.pollLiveData())
+            .finally(() => {
+                this.lastRefreshAt = Date.now();
+                this.refreshInFlight = undefined;
+            });
+        return this.refreshInFlight;
+    }
+
+    async pollLiveData() {
+        const [orderBook, trades] = await Promise.all([
+            this.marketDataService.fetchOrderBook(Math.max(this.config.orderBookDepthLevels, 20)),
+            this.marketDataService.fetchTrades(this.lastPublicTradeTimestamp),
+        ]);
+        for (const trade of trades ?? []) {
+            if (trade.timestamp < (this.lastPublicTradeTimestamp ?? 0)) continue;
+            if (trade.timestamp === this.lastPublicTradeTimestamp && this.seenTradeIds.has(trade.id)) continue;
+            if (trade.timestamp !== this.lastPublicTradeTimestamp) {
+                this.lastPublicTradeTimestamp = trade.timestamp;
+                this.seenTradeIds.clear();
+            }
+            this.seenTradeIds.add(trade.id);
+            // Trades fetched this poll can predate orders placed since the last one; the matching
+            // engine only fills an order with trades at or after its timestamp
+            this.processMarketTrade(trade);
+        }
+        if (orderBook) this.setOrderBook(orderBook);
+    }
+
+    async advanceReplay() {
+        if (this.replayExhausted) return;
+        const now = Date.now();
+        while (true) {
+            const event = this.pendingEvent ?? (await this.replay.next()).value;
+            this.pendingEvent = undefined;
+            if (!event) {
+                this.replayExhausted = true;
+                log('WARN', 'Paper trading replay file exhausted; market data is now frozen.');
+                return;
+            }
+            if (typeof event.timestamp !== 'number') continue;
+            this.replayOffset ??= now - event.timestamp;
+            if (event.timestamp + this.replayOffset > now) {
+                this.pendingEvent = event;
+                return;
+            }
+            if (event.type === 'orderbook') this.setOrderBook(event);
+            // Orders are stamped with wall time, so move recorded trades onto the same clock
+            else if (event.type === 'trade') this.processMarketTrade({ ...event, timestamp: event.timestamp + this.replayOffset });
+            else if (event.type === 'ticker' && typeof event.last === 'number') this.setLastPrice(event.last);
+        }
+    }
+
+    async fetchTicker() {
+        await this.refreshMarketData();
+        return super.fetchTicker();
+    }
+
+    /**
+     * @param {number} [limit=20] Depth of the order book
+     */
+    async fetchOrderBook(limit = 20) {
+        await this.refreshMarketData();
+        return super.fetchOrderBook(limit);
+    }
+
+    async fetchQuoteBalance() {
+        await this.refreshMarketData();
+        return super.fetchQuoteBalance();
+    }
+
+    async fetchPosition() {
+        await this.refreshMarketData();
+        return super.fetchPosition();
+    }
+
+    /**
+     * @param {number} [since]
+     * @param {number} [limit]
+     */
+    async fetchMyTrades(since, limit) {
+        await this.refreshMarketData();
+        return super.fetchMyTrades(since, limit);
+    }
+
+    /**
+     * Live funding rate of the real venue; recordings have none.
+     * @returns {Promise<ccxt.FundingRate | undefined>}
+     */
+    async fetchFundingRate() {
+        if (!this.marketDataService) return undefined;
+        this.settleFunding();
+        const fundingRate = await this.marketDataService.fetchFundingRate();
+        if (typeof fundingRate?.fundingRate === 'number' && fundingRate.fundingTimestamp > Date.now()) {
+            this.pendingFunding = fundingRate;
+        }
+        return fundingRate;
+    }
+
+    /**
+     * @param {number} [since]
+     * @returns {Promise<Array<{ id: string, timestamp: number, amount: number, code: string }>>} Simulated payments
+     */
+    async fetchFundingHistory(since) {
+        this.settleFunding();
+        return this.fundingPayments.filter(payment => since === undefined || payment.timestamp >= since);
+    }
+
+    /**
+     * Settles the pending funding once its time has passed: longs pay shorts position × mid × rate
+     * when the rate is positive, and the other way round when it is negative.
+     */
+    settleFunding() {
+        const funding = this.pendingFunding;
+        if (!funding || funding.fundingTimestamp > Date.now()) return;
+        this.pendingFunding = undefined;
+        const mid = this.getMidPrice();
+        if (this.positionSize === 0 || mid === undefined) return;
+        const amount = -this.positionSize * mid * funding.fundingRate;
+        this.quoteBalance += amount;
+        this.fundingPayments.push({ id: `funding-${funding.fundingTimestamp}`, timestamp: funding.fundingTimestamp, amount, code: this.market.quote });
+        log('INFO', `Paper funding settled: ${amount.toFixed(6)} ${this.market.quote} at rate ${funding.fundingRate} on position ${this.positionSize}`);
+    }
+}
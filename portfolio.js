@@ -0,0 +1,71 @@
+// src/portfolio.js
+import { log } from './utils.js';
+
+/**
+ * Portfolio-wide limits shared by the strategies of all symbols in one process.
+ *
+ * Each strategy reports its position every cycle; before placing orders it asks which of its
+ * ladder levels still fit under the limits. Exposure is measured on positions (marked at each
+ * symbol's reference price), not on resting orders, so a limit can be overshot by the orders
+ * resting when it is reached; orders that reduce a position are never blocked.
+ */
+export class PortfolioRiskManager {
+    /** @type {number} Max sum of |position notional| across symbols, in quote currency (0 = no limit) */
+    maxGrossNotional;
+    /** @type {Map<string, { position: number, price: number }>} Latest position per symbol */
+    exposures = new Map();
+
+    /**
+     * @param {object} options
+     * @param {number} options.maxGrossNotional
+     */
+    constructor({ maxGrossNotional }) {
+        this.maxGrossNotional = maxGrossNotional;
+    }
+
+    /**
+     * @param {string} symbol
+     * @param {number} position Signed position in base currency
+     * @param {number} price Reference price used to mark the position
+     */
+    updateExposure(symbol, position, price) {
+        this.exposures.set(symbol, { position, price });
+    }
+
+    /**
+     * @returns {number} Sum of |position * price| in quote currency
+     */
+    getGrossNotional() {
+        let gross = 0;
+        for (const { position, price } of this.exposures.values()) {
+            gross += Math.abs(position * price);
+        }
+        return gross;
+    }
+
+    /**
+     * Keeps the levels of one side whose cumulative notional fits in the remaining headroom.
+     * @template {{ level: number, price: number, amount: number }} T
+     * @param {string} symbol
+     * @param {'buy' | 'sell'} side
+     * @param {T[]} levels Ladder targets, nearest first
+     * @returns {T[]}
+     */
+    filterLevels(symbol, side, levels) {
+        if (!(this.maxGrossNotional > 0) || levels.length === 0) return levels;
+        const position = this.exposures.get(symbol)?.position ?? 0;
+        const increasesExposure = side === 'buy' ? position >= 0 : position <= 0;
+        if (!increasesExposure) return levels;
+
+        let headroom = this.maxGrossNotional - this.getGrossNotional();
+        return levels.filter((target) => {
+            const notional = target.amount * target.price;
+            if (notional > headroom) {
+                log('WARN', `[${symbol}] Portfolio gross notional limit (${this.maxGrossNotional}) leaves ${Math.max(0, headroom).toFixed(2)} headroom; skipping ${side.toUpperCase()} level ${target.level} (${notional.toFixed(2)}).`);
+                return false;
+            }
+            headroom -= notional;
+            return true;
+        });
+    }
+}
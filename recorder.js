@@ -0,0 +1,329 @@
+// src/recorder.js
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+import { log, symbolToDirName } from './utils.js';
+
+/**
+ * Recording schema (version 1). Each line of a recording file is one JSON object:
+ *
+ * Common fields:
+ * - v           {number}  Schema version (1)
+ * - type        {'orderbook' | 'ticker' | 'trade'}
+ * - symbol      {string}  Unified ccxt symbol, e.g. "BTC/USDT"
+ * - timestamp   {number}  Exchange timestamp in ms (falls back to receivedAt when the exchange omits it)
+ * - receivedAt  {number}  Local time in ms when the data was received
+ *
+ * type = 'orderbook': bids, asks {Array<[price, amount]>} best first, nonce {number | undefined}
+ * type = 'ticker':    last, bid, ask, bidVolume, askVolume, baseVolume, quoteVolume {number | undefined}
+ * type = 'trade':     id {string}, price, amount {number}, side {'buy' | 'sell'} (taker side)
+ *
+ * Files: <dir>/<symbol with non-alphanumerics replaced by '-'>/<YYYY-MM-DD>[.<part>].jsonl.gz, one per UTC day,
+ * with a new part started when a file exceeds the size limit or a recorder session restarts. A file left
+ * unterminated by a crash is still readable up to its last flushed snapshot.
+ *
+ * @typedef {object} MarketEvent
+ * @property {number} [v]
+ * @property {'orderbook' | 'trade' | 'ticker'} type
+ * @property {string} [symbol]
+ * @property {number} timestamp Milliseconds since epoch
+ * @property {number} [receivedAt]
+ */
+
+export const RECORDING_SCHEMA_VERSION = 1;
+
+/**
+ * @param {number} timestamp
+ * @returns {string} UTC date as YYYY-MM-DD
+ */
+function utcDay(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Appends events to gzip-compressed JSONL files, rotating per UTC day and by size.
+ */
+export class RotatingJsonlWriter {
+    /** @type {string} */
+    directory;
+    /** @type {number} */
+    maxFileBytes;
+    /** @type {{ day: string, part: number, filePath: string, gzip: zlib.Gzip, file: fs.WriteStream } | undefined} */
+    current = undefined;
+
+    /**
+     * @param {string} directory Output directory for one symbol
+     * @param {number} [maxFileBytes=0] Compressed size limit per file (0 = rotate by day only)
+     */
+    constructor(directory, maxFileBytes = 0) {
+        this.directory = directory;
+        this.maxFileBytes = maxFileBytes;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    /**
+     * @param {MarketEvent} event
+     */
+    write(event) {
+        const day = utcDay(event.receivedAt ?? event.timestamp);
+        if (!this.current || this.current.day !== day) {
+            this.open(day, 0);
+        } else if (this.maxFileBytes > 0 && this.current.file.bytesWritten >= this.maxFileBytes) {
+            this.open(day, this.current.part + 1);
+        }
+        this.current.gzip.write(JSON.stringify(event) + '\n');
+    }
+
+    /**
+     * Makes everything written so far decodable, even if the process dies before close().
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (!this.current) return Promise.resolve();
+        return new Promise(resolve => this.current.gzip.flush(zlib.constants.Z_SYNC_FLUSH, () => resolve()));
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (!this.current) return;
+        const { gzip, file } = this.current;
+        this.current = undefined;
+        await new Promise(resolve => {
+            file.once('close', resolve);
+            gzip.end();
+        });
+    }
+
+    /**
+     * @param {string} day
+     * @param {number} part
+     */
+    open(day, part) {
+        if (this.current) {
+            // Finish the previous file in the background; its stream ends independently
+            this.current.gzip.end();
+        }
+        // Never append to an existing file: after a crash it may end in an unterminated gzip stream
+        let filePath = this.filePathFor(day, part);
+        while (fs.existsSync(filePath)) {
+            part++;
+            filePath = this.filePathFor(day, part);
+        }
+        const file = fs.createWriteStream(filePath, { flags: 'wx' });
+        const gzip = zlib.createGzip();
+        gzip.pipe(file);
+        file.on('error', error => log('ERROR', `Recording file ${filePath} write error:`, error));
+        this.current = { day, part, filePath, gzip, file };
+        log('INFO', `Recording to ${filePath}`);
+    }
+
+    /**
+     * @param {string} day
+     * @param {number} part
+     */
+    filePathFor(day, part) {
+        return path.join(this.directory, part === 0 ? `${day}.jsonl.gz` : `${day}.${part}.jsonl.gz`);
+    }
+}
+
+/**
+ * Polls order book, ticker and public trades for the configured market and writes them
+ * with the recording schema above.
+ */
+export class MarketDataRecorder {
+    /** @type {import('./config.js').Config} */
+    config;
+    /** @type {import('./exchange.js').ExchangeService} */
+    exchangeService;
+    /** @type {RotatingJsonlWriter} */
+    writer;
+    /** @type {number | undefined} */
+    lastTradeTimestamp = undefined;
+    /** @type {Set<string>} Trade IDs already written at lastTradeTimestamp */
+    seenTradeIds = new Set();
+
+    /**
+     * @param {import('./config.js').Config} config Configuration object
+     * @param {import('./exchange.js').ExchangeService} exchangeService Initialized exchange service
+     */
+    constructor(config, exchangeService) {
+        this.config = config;
+        this.exchangeService = exchangeService;
+        const directory = path.join(config.recordDir, symbolToDirName(config.symbol));
+        this.writer = new RotatingJsonlWriter(directory, config.recordMaxFileMb * 1024 * 1024);
+    }
+
+    /**
+     * Records one snapshot of book and ticker, plus all public trades since the previous call.
+     */
+    async recordOnce() {
+        const symbol = this.config.symbol;
+        const [orderBookResult, tickerResult, tradesResult] = await Promise.allSettled([
+            this.exchangeService.fetchOrderBook(this.config.recordDepth),
+            this.exchangeService.fetchTicker(),
+            this.exchangeService.fetchTrades(this.lastTradeTimestamp),
+        ]);
+        const receivedAt = Date.now();
+        /** @type {MarketEvent[]} */
+        const records = [];
+
+        if (tradesResult.status === 'fulfilled') {
+            for (const trade of tradesResult.value ?? []) {
+                if (this.isDuplicateTrade(trade)) continue;
+                records.push({
+                    v: RECORDING_SCHEMA_VERSION,
+                    type: 'trade',
+                    symbol,
+                    timestamp: trade.timestamp,
+                    receivedAt,
+                    id: trade.id,
+                    price: trade.price,
+                    amount: trade.amount,
+                    side: trade.side,
+                });
+            }
+        }
+        if (orderBookResult.status === 'fulfilled' && orderBookResult.value) {
+            const orderBook = orderBookResult.value;
+            records.push({
+                v: RECORDING_SCHEMA_VERSION,
+                type: 'orderbook',
+                symbol,
+                timestamp: orderBook.timestamp ?? receivedAt,
+                receivedAt,
+                nonce: orderBook.nonce,
+                bids: orderBook.bids.map(([price, amount]) => [price, amount]),
+                asks: orderBook.asks.map(([price, amount]) => [price, amount]),
+            });
+        }
+        if (tickerResult.status === 'fulfilled' && tickerResult.value) {
+            const ticker = tickerResult.value;
+            records.push({
+                v: RECORDING_SCHEMA_VERSION,
+                type: 'ticker',
+                symbol,
+                timestamp: ticker.timestamp ?? receivedAt,
+                receivedAt,
+                last: ticker.last,
+                bid: ticker.bid,
+                ask: ticker.ask,
+                bidVolume: ticker.bidVolume,
+                askVolume: ticker.askVolume,
+                baseVolume: ticker.baseVolume,
+                quoteVolume: ticker.quoteVolume,
+            });
+        }
+        // The trades since the last poll mostly predate this poll's snapshots: write the batch in
+        // timestamp order so a replay never sees a trade after the book that followed it
+        // (the sort is stable, so trades stay ahead of a snapshot with the same timestamp)
+        records.sort((a, b) => a.timestamp - b.timestamp);
+        for (const record of records) this.writer.write(record);
+
+        for (const result of [orderBookResult, tickerResult, tradesResult]) {
+            if (result.status === 'rejected') {
+                log('WARN', 'Recorder fetch failed, snapshot partially recorded:', result.reason?.message ?? result.reason);
+            }
+        }
+        await this.writer.flush();
+    }
+
+    /**
+     * @param {{ id?: string, timestamp: number }} trade
+     * @returns {boolean} True when the trade was already written
+     */
+    isDuplicateTrade(trade) {
+        if (this.lastTradeTimestamp !== undefined && trade.timestamp < this.lastTradeTimestamp) return true;
+        if (trade.timestamp === this.lastTradeTimestamp && this.seenTradeIds.has(trade.id)) return true;
+        if (trade.timestamp !== this.lastTradeTimestamp) {
+            this.lastTradeTimestamp = trade.timestamp;
+            this.seenTradeIds.clear();
+        }
+        this.seenTradeIds.add(trade.id);
+        return false;
+    }
+
+    async close() {
+        await this.writer.close();
+    }
+}
+
+// --- Reader API ---
+
+/**
+ * Reads market events from one JSONL file (plain or .gz) in file order. A truncated
+ * trailing gzip member (e.g. after a crash) ends the stream with a warning instead of failing.
+ * @param {string} filePath
+ * @returns {AsyncGenerator<MarketEvent>}
+ */
+export async function* readMarketEvents(filePath) {
+    let input = fs.createReadStream(filePath);
+    if (filePath.endsWith('.gz')) {
+        const gunzip = zlib.createGunzip();
+        input.pipe(gunzip);
+        input = gunzip;
+    }
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineNumber = 0;
+    try {
+        for await (const line of lines) {
+            lineNumber++;
+            if (!line.trim()) continue;
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (error) {
+                log('WARN', `Skipping malformed line ${lineNumber} in ${filePath}: ${error.message}`);
+                continue;
+            }
+            yield event;
+        }
+    } catch (error) {
+        if (error.code !== 'Z_BUF_ERROR' && error.code !== 'Z_DATA_ERROR') throw error;
+        log('WARN', `Stopped reading ${filePath} at truncated or corrupt gzip data after line ${lineNumber}: ${error.message}`);
+    }
+}
+
+/**
+ * Lists the recording files of one symbol in chronological order.
+ * @param {string} dir Recording root directory
+ * @param {string} symbol Unified symbol
+ * @returns {string[]} Absolute file paths
+ */
+export function listRecordingFiles(dir, symbol) {
+    const symbolDir = path.join(dir, symbolToDirName(symbol));
+    if (!fs.existsSync(symbolDir)) return [];
+    const pattern = /^(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl(?:\.gz)?$/;
+    return fs.readdirSync(symbolDir)
+        .map(name => ({ name, match: pattern.exec(name) }))
+        .filter(entry => entry.match)
+        .sort((a, b) => a.match[1].localeCompare(b.match[1]) || Number(a.match[2] ?? 0) - Number(b.match[2] ?? 0))
+        .map(entry => path.join(symbolDir, entry.name));
+}
+
+/**
+ * Reads recorded events of one symbol across day files.
+ * @param {object} options
+ * @param {string} options.dir Recording root directory
+ * @param {string} options.symbol Unified symbol
+ * @param {number} [options.from] Inclusive start timestamp (ms)
+ * @param {number} [options.to] Exclusive end timestamp (ms)
+ * @param {Array<MarketEvent['type']>} [options.types] Event types to return (default: all)
+ * @returns {AsyncGenerator<MarketEvent>}
+ */
+export async function* readRecordedEvents({ dir, symbol, from, to, types }) {
+    const fromDay = from !== undefined ? utcDay(from) : undefined;
+    const toDay = to !== undefined ? utcDay(to) : undefined;
+    for (const filePath of listRecordingFiles(dir, symbol)) {
+        const day = path.basename(filePath).slice(0, 10);
+        if ((fromDay && day < fromDay) || (toDay && day > toDay)) continue;
+        for await (const event of readMarketEvents(filePath)) {
+            if (from !== undefined && event.timestamp < from) continue;
+            if (to !== undefined && event.timestamp >= to) continue;
+            if (types && !types.includes(event.type)) continue;
+            yield event;
+        }
+    }
+}
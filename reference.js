@@ -0,0 +1,147 @@
+// src/reference.js
+import { logger } from './logger.js';
+import { metrics } from './metrics.js';
+import { formatNumber } from './utils.js';
+
+const log = logger.child({ module: 'reference' }).log;
+
+/**
+ * One venue of the reference feed (REFERENCE_SOURCES entry).
+ * @typedef {object} ReferenceSource
+ * @property {string} exchangeId ccxt exchange ID
+ * @property {'spot' | 'future' | 'swap'} marketType
+ * @property {number} weight Weight in the weighted median
+ * @property {string} [symbol] Market symbol on that venue; defaults to the quoted symbol
+ */
+
+/**
+ * @typedef {object} ReferenceQuote
+ * @property {number | undefined} price Weighted median of the fresh sources plus the basis; undefined when too few are fresh
+ * @property {number | undefined} median Weighted median before the basis
+ * @property {number} freshSources
+ * @property {string[]} staleSources Names of the sources without a recent price
+ */
+
+/**
+ * Weighted median: the smallest value at which the cumulative weight reaches half of the total.
+ * When that point falls exactly between two values, their average.
+ * @param {Array<{ value: number, weight: number }>} samples
+ * @returns {number | undefined}
+ */
+export function weightedMedian(samples) {
+    const sorted = samples.filter(sample => Number.isFinite(sample.value) && sample.weight > 0).sort((a, b) => a.value - b.value);
+    if (sorted.length === 0) return undefined;
+    const half = sorted.reduce((sum, sample) => sum + sample.weight, 0) / 2;
+    let cumulative = 0;
+    for (let i = 0; i < sorted.length; i++) {
+        cumulative += sorted[i].weight;
+        if (Math.abs(cumulative - half) < 1e-12 && i + 1 < sorted.length) {
+            return (sorted[i].value + sorted[i + 1].value) / 2;
+        }
+        if (cumulative > half) return sorted[i].value;
+    }
+    return sorted[sorted.length - 1].value;
+}
+
+/**
+ * Reference price for one quoted symbol from the order books of other venues.
+ *
+ * Each cycle the strategy calls update(): every source's book is fetched concurrently and its
+ * depth mid (same method as the local depth-mid) recorded with the book's timestamp. Sources
+ * whose last price is older than REFERENCE_MAX_AGE_MS, including sources that failed to fetch,
+ * are left out; the weighted median of the others, shifted by REFERENCE_BASIS_BPS, is the
+ * reference price, provided at least REFERENCE_MIN_SOURCES are fresh.
+ */
+export class ReferencePriceFeed {
+    /** @type {import('./config.js').Config} Quoted symbol's config; hot reloads update it in place */
+    config;
+    /** @type {Array<{ source: ReferenceSource, name: string, exchangeService: import('./exchange.js').ExchangeService, price: number | undefined, timestamp: number | undefined }>} */
+    sources;
+    /** @type {import('./orderbook.js').OrderBookAnalyzer} */
+    orderBookAnalyzer;
+    /** @type {ReferenceQuote | undefined} */
+    lastQuote = undefined;
+
+    /**
+     * @param {import('./config.js').Config} config
+     * @param {Array<{ source: ReferenceSource, exchangeService: import('./exchange.js').ExchangeService }>} sources Initialized services, one per source
+     * @param {import('./orderbook.js').OrderBookAnalyzer} orderBookAnalyzer
+     */
+    constructor(config, sources, orderBookAnalyzer) {
+        this.config = config;
+        this.orderBookAnalyzer = orderBookAnalyzer;
+        this.sources = sources.map(({ source, exchangeService }) => ({
+            source,
+            name: `${source.exchangeId}:${source.marketType}:${exchangeService.config.symbol}`,
+            exchangeService,
+            price: undefined,
+            timestamp: undefined,
+        }));
+    }
+
+    /**
+     * Fetches every source's book and returns the resulting reference. Fetch errors are logged
+     * per source, never thrown.
+     * @returns {Promise<ReferenceQuote>}
+     */
+    async update() {
+        await Promise.all(this.sources.map(async (entry) => {
+            try {
+                const orderBook = await entry.exchangeService.fetchOrderBook(this.config.orderBookDepthLevels);
+                const price = this.orderBookAnalyzer.calculateDepthMidPrice(orderBook, this.config.orderBookDepthLevels);
+                if (price === null) {
+                    log('WARN', `[${this.config.symbol}] Reference source ${entry.name} returned an empty book.`);
+                    return;
+                }
+                entry.price = price;
+                entry.timestamp = orderBook.timestamp ?? Date.now();
+            } catch (error) {
+                log('ERROR', `[${this.config.symbol}] Failed to fetch the reference book from ${entry.name}:`, error);
+            }
+        }));
+        return this.getQuote(Date.now());
+    }
+
+    /**
+     * @param {number} now
+     * @returns {ReferenceQuote}
+     */
+    getQuote(now) {
+        const { symbol } = this.config;
+        const maxAgeMs = this.config.referenceMaxAgeMs;
+        const fresh = [];
+        const staleSources = [];
+        for (const entry of this.sources) {
+            const ageMs = entry.timestamp !== undefined ? now - entry.timestamp : undefined;
+            metrics.referenceSourceAge.set({ symbol, source: entry.name }, ageMs !== undefined ? ageMs / 1000 : NaN);
+            if (entry.price !== undefined && ageMs !== undefined && ageMs <= maxAgeMs) {
+                fresh.push({ value: entry.price, weight: entry.source.weight });
+            } else {
+                staleSources.push(entry.name);
+            }
+        }
+        const median = fresh.length >= this.config.referenceMinSources ? weightedMedian(fresh) : undefined;
+        const price = median !== undefined ? median * (1 + this.config.referenceBasisBps / 10000) : undefined;
+        metrics.referencePrice.set({ symbol }, price ?? NaN);
+        if (staleSources.length > 0) {
+            log('WARN', `[${symbol}] Reference sources without a price in the last ${maxAgeMs} ms: ${staleSources.join(', ')} (${fresh.length}/${this.sources.length} fresh, ${this.config.referenceMinSources} required)`);
+        }
+        if (price !== undefined) {
+            log('INFO', `[${symbol}] Reference price ${formatNumber(price, 8)} (weighted median ${formatNumber(median, 8)} of ${fresh.length} source(s), basis ${this.config.referenceBasisBps} bps)`);
+        }
+        this.lastQuote = { price, median, freshSources: fresh.length, staleSources };
+        return this.lastQuote;
+    }
+
+    /**
+     * @returns {object} Status for the control API
+     */
+    getStatus() {
+        return {
+            price: this.lastQuote?.price,
+            median: this.lastQuote?.median,
+            basisBps: this.config.referenceBasisBps,
+            sources: this.sources.map(entry => ({ name: entry.name, weight: entry.source.weight, price: entry.price, timestamp: entry.timestamp })),
+        };
+    }
+}
@@ -0,0 +1,129 @@
+// src/reload.js
+import fs from 'fs';
+import { diffConfigs, printValidationReport, reloadConfig, validateMarketConfig, validateRuntimeConfig } from './config.js';
+import { log } from './utils.js';
+
+const WATCH_INTERVAL_MS = 1000;
+
+/**
+ * Reloads strategy parameters without a restart, when the config file changes or on SIGHUP.
+ *
+ * A reload reads every source again (config file, .env, --set overrides) and validates the result
+ * with the same rules as startup, including the market limits. If anything is invalid the whole
+ * reload is rejected and every strategy keeps its current values. Otherwise each strategy gets the
+ * changed hot-reloadable settings (see `hotReload` in CONFIG_SCHEMA), applied together before its
+ * next cycle; changes to other settings are logged as needing a restart.
+ *
+ * Changes are computed against the previously loaded configuration rather than the strategy's
+ * live values, so parameters changed through the control API survive a reload unless the reload
+ * itself changes them. Because of that, the changes are validated once more on top of the live
+ * values; a symbol whose result is invalid keeps its current parameters.
+ */
+export class ConfigReloader {
+    /** @type {import('./strategy.js').MarketMakerStrategy[]} */
+    strategies;
+    /** @type {string | undefined} */
+    configFile;
+    /** @type {Map<string, import('./config.js').Config>} Last successfully loaded config per symbol */
+    loaded = new Map();
+
+    /**
+     * @param {import('./strategy.js').MarketMakerStrategy[]} strategies
+     * @param {object} options
+     * @param {string} [options.configFile] Watched for changes; without it only SIGHUP reloads
+     */
+    constructor(strategies, { configFile }) {
+        this.strategies = strategies;
+        this.configFile = configFile;
+        for (const strategy of strategies) {
+            this.loaded.set(strategy.config.symbol, { ...strategy.config });
+        }
+    }
+
+    start() {
+        process.on('SIGHUP', this.onSignal);
+        if (this.configFile) {
+            // Polling survives editors that replace the file instead of writing it in place
+            fs.watchFile(this.configFile, { interval: WATCH_INTERVAL_MS }, this.onFileChange);
+            log('INFO', `Watching ${this.configFile} for changes; send SIGHUP to reload manually.`);
+        } else {
+            log('INFO', 'Send SIGHUP to reload the configuration.');
+        }
+    }
+
+    close() {
+        process.off('SIGHUP', this.onSignal);
+        if (this.configFile) fs.unwatchFile(this.configFile, this.onFileChange);
+    }
+
+    onSignal = () => {
+        this.reload('SIGHUP');
+    };
+
+    /**
+     * @param {fs.Stats} current
+     * @param {fs.Stats} previous
+     */
+    onFileChange = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        if (current.mtimeMs === 0) {
+            log('WARN', `Config file ${this.configFile} was removed; keeping the current configuration.`);
+            return;
+        }
+        this.reload(`${this.configFile} changed`);
+    };
+
+    /**
+     * @param {string} reason Logged with the result
+     * @returns {boolean} Whether the new configuration was accepted for every symbol
+     */
+    reload(reason) {
+        log('INFO', `Reloading configuration (${reason})...`);
+        const { symbolConfigs, report } = reloadConfig();
+        const nextBySymbol = new Map(symbolConfigs.map(symbolConfig => [symbolConfig.symbol, symbolConfig]));
+        for (const strategy of this.strategies) {
+            const next = nextBySymbol.get(strategy.config.symbol);
+            if (next) {
+                report.errors.push(...validateMarketConfig(next, strategy.exchangeService.getMarket()));
+            } else if (report.errors.length === 0) {
+                report.warnings.push(`[${strategy.config.symbol}] is no longer configured; removing a symbol requires a restart.`);
+            }
+        }
+        try {
+            printValidationReport(report);
+        } catch {
+            log('ERROR', 'Configuration reload rejected; all strategies keep their current parameters.');
+            return false;
+        }
+
+        let changed = false;
+        let rejected = false;
+        for (const strategy of this.strategies) {
+            const { symbol } = strategy.config;
+            const next = nextBySymbol.get(symbol);
+            if (!next) continue;
+            const { reloadable, restartRequired, updates } = diffConfigs(this.loaded.get(symbol), next);
+            for (const { key, from, to } of restartRequired) {
+                log('WARN', `[${symbol}] ${key} changed (${JSON.stringify(from)} -> ${JSON.stringify(to)}) but only takes effect after a restart.`);
+            }
+            if (reloadable.length > 0) {
+                // The live values may differ from the file (control API), e.g. MIN_SPREAD raised above the new MAX_SPREAD
+                const errors = validateRuntimeConfig({ ...strategy.config, ...strategy.pendingConfigUpdate, ...updates });
+                if (errors.length > 0) {
+                    log('ERROR', `[${symbol}] Configuration reload rejected for this symbol, it keeps its current parameters; combined with the live values:\n${errors.map(line => `  ✗ ${line}`).join('\n')}`);
+                    rejected = true;
+                    continue;
+                }
+                changed = true;
+                log('INFO', `[${symbol}] Parameters changed, applied before the next cycle:\n${reloadable
+                    .map(({ key, from, to }) => `  ${key}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`).join('\n')}`);
+                strategy.scheduleConfigUpdate(updates);
+            }
+            this.loaded.set(symbol, { ...next });
+        }
+        if (!changed && !rejected) {
+            log('INFO', 'Configuration reloaded; no hot-reloadable parameter changed.');
+        }
+        return !rejected;
+    }
+}
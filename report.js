@@ -0,0 +1,259 @@
+// src/report.js
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { ExchangeService } from './exchange.js';
+import { PnlLedger, spreadCapture } from './ledger.js';
+import { log, symbolToDirName, readJsonLines } from './utils.js';
+
+/** Page size of fetchMyTrades when pulling fills from the exchange. */
+const TRADES_PAGE_LIMIT = 500;
+/** Fills are requested one window at a time; Binance rejects trade queries spanning more than 7 days. */
+const TRADES_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * One fill as written to the fills CSV.
+ * @typedef {object} FillRow
+ * @property {string} time ISO timestamp
+ * @property {string | undefined} id
+ * @property {string | undefined} orderId
+ * @property {'buy' | 'sell'} side
+ * @property {number} price
+ * @property {number} amount
+ * @property {number} cost price × amount
+ * @property {string | undefined} takerOrMaker
+ * @property {number} fee Fee in quote currency (negative = rebate)
+ * @property {number | undefined} level Ladder level of the quote that filled (local records only)
+ * @property {number} position Position after the fill, counted from the first fill of the report
+ * @property {number} realizedPnl Cumulative gross realized PnL after the fill
+ */
+
+/**
+ * @typedef {object} DailySummary
+ * @property {string} date UTC day (YYYY-MM-DD), or "total"
+ * @property {number} fills
+ * @property {number} volume Base volume, summed like the strategy's totalTradedBaseVolume
+ * @property {number} notional Quote volume
+ * @property {number} makerVolume
+ * @property {number} takerVolume
+ * @property {number} makerFills
+ * @property {number} takerFills
+ * @property {number} fees Quote fees paid (negative = net rebates)
+ * @property {number} realizedPnl Gross realized PnL (average cost method, before fees)
+ * @property {number} netRealizedPnl realizedPnl - fees
+ * @property {number} roundTrips Round trips (flat to flat) closed that day
+ * @property {number | undefined} avgSpreadCaptureBps Average spread capture of those round trips
+ * @property {number} maxInventory Largest absolute position reached
+ * @property {number} endPosition
+ */
+
+/**
+ * Pulls our fills in [from, to) from the exchange, one window at a time and paging within each
+ * window, de-duplicated by trade ID.
+ * @param {import('./exchange.js').ExchangeService} exchangeService Initialized service of the symbol
+ * @param {number} from Inclusive start (ms)
+ * @param {number} to Exclusive end (ms)
+ * @returns {Promise<ccxt.Trade[]>} Sorted by timestamp
+ */
+export async function fetchExchangeFills(exchangeService, from, to) {
+    const fills = [];
+    const seenIds = new Set();
+    for (let windowStart = from; windowStart < to; windowStart += TRADES_WINDOW_MS) {
+        const windowEnd = Math.min(to, windowStart + TRADES_WINDOW_MS);
+        let since = windowStart;
+        while (since < windowEnd) {
+            const page = await exchangeService.fetchMyTrades(since, TRADES_PAGE_LIMIT, { until: windowEnd - 1 });
+            for (const trade of page) {
+                if (trade.timestamp < windowStart || trade.timestamp >= windowEnd) continue;
+                if (trade.id !== undefined) {
+                    if (seenIds.has(trade.id)) continue;
+                    seenIds.add(trade.id);
+                }
+                fills.push(trade);
+            }
+            if (page.length < TRADES_PAGE_LIMIT) break;
+            // The next page starts at the last timestamp; trades sharing it are skipped by ID
+            const last = Math.max(...page.map(trade => trade.timestamp));
+            since = last > since ? last : since + 1;
+        }
+        log('INFO', `Fetched fills up to ${new Date(windowEnd).toISOString()}: ${fills.length} so far.`);
+    }
+    return fills.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Reads our fills in [from, to) from the strategy's fill journal (STATE_DIR/fills-<symbol>-<mode>.jsonl).
+ * @param {string} filePath
+ * @param {number} from Inclusive start (ms)
+ * @param {number} to Exclusive end (ms)
+ * @returns {ccxt.Trade[]} Sorted by timestamp
+ */
+export function readLocalFills(filePath, from, to) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`No local fill records at ${filePath}; the bot writes them from its first fill on (not in backtests).`);
+    }
+    return readJsonLines(filePath)
+        .filter(trade => trade.timestamp >= from && trade.timestamp < to)
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Replays the fills through a fresh PnL ledger, so realized PnL, fees and spread capture are
+ * computed exactly as the running bot computes them. A position held before the first fill is
+ * unknown to the report: positions and inventory count from zero at the first fill.
+ * @param {ccxt.Trade[]} fills Sorted by timestamp
+ * @param {{ base: string | undefined, quote: string | undefined }} currencies Used to convert fees to quote currency
+ * @returns {{ rows: FillRow[], days: DailySummary[], total: DailySummary }}
+ */
+export function buildReport(fills, currencies) {
+    const ledger = new PnlLedger(undefined, currencies);
+    const rows = [];
+    /** @type {Map<string, DailySummary & { captures: number[] }>} */
+    const days = new Map();
+    const newSummary = (date) => ({
+        date, fills: 0, volume: 0, notional: 0, makerVolume: 0, takerVolume: 0, makerFills: 0, takerFills: 0,
+        fees: 0, realizedPnl: 0, netRealizedPnl: 0, roundTrips: 0, avgSpreadCaptureBps: undefined, maxInventory: 0, endPosition: 0,
+        captures: [],
+    });
+    const total = newSummary('total');
+
+    for (const trade of fills) {
+        const realizedBefore = ledger.realizedPnl;
+        const feesBefore = ledger.feesPaid;
+        const openRoundTrip = ledger.openRoundTrip;
+        if (!ledger.applyTrade(trade)) continue;
+        const fee = ledger.feesPaid - feesBefore;
+        const realized = ledger.realizedPnl - realizedBefore;
+        const closedRoundTrip = openRoundTrip && ledger.openRoundTrip !== openRoundTrip ? openRoundTrip : undefined;
+
+        const date = new Date(trade.timestamp).toISOString().slice(0, 10);
+        if (!days.has(date)) days.set(date, newSummary(date));
+        for (const summary of [days.get(date), total]) {
+            summary.fills++;
+            summary.volume += trade.amount;
+            summary.notional += trade.price * trade.amount;
+            if (trade.takerOrMaker === 'maker') {
+                summary.makerVolume += trade.amount;
+                summary.makerFills++;
+            } else if (trade.takerOrMaker === 'taker') {
+                summary.takerVolume += trade.amount;
+                summary.takerFills++;
+            }
+            summary.fees += fee;
+            summary.realizedPnl += realized;
+            summary.netRealizedPnl += realized - fee;
+            if (closedRoundTrip) {
+                summary.roundTrips++;
+                const { bps } = spreadCapture(closedRoundTrip);
+                if (Number.isFinite(bps)) summary.captures.push(bps);
+            }
+            summary.maxInventory = Math.max(summary.maxInventory, Math.abs(ledger.position));
+            summary.endPosition = ledger.position;
+        }
+
+        rows.push({
+            time: new Date(trade.timestamp).toISOString(),
+            id: trade.id,
+            orderId: trade.order,
+            side: trade.side,
+            price: trade.price,
+            amount: trade.amount,
+            cost: trade.price * trade.amount,
+            takerOrMaker: trade.takerOrMaker,
+            fee,
+            level: trade.level,
+            position: ledger.position,
+            realizedPnl: ledger.realizedPnl,
+        });
+    }
+
+    const finish = ({ captures, ...summary }) => ({
+        ...summary,
+        avgSpreadCaptureBps: captures.length > 0 ? captures.reduce((sum, bps) => sum + bps, 0) / captures.length : undefined,
+    });
+    return { rows, days: [...days.values()].map(finish), total: finish(total) };
+}
+
+/**
+ * @param {object[]} rows
+ * @param {string[]} columns
+ * @returns {string} CSV with a header line; undefined values are left empty
+ */
+export function toCsv(rows, columns) {
+    const escape = (value) => {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return `${[columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n')}\n`;
+}
+
+/**
+ * CLI: node report.js --from <ISO date> [--to <ISO date>] [--symbol BTC/USDT] [--source exchange|local] [--output-dir reports]
+ *      [--config config.yaml] [--profile name] [--set KEY=VALUE ...]
+ * Writes a fills CSV and a daily summary CSV for [from, to). Fills come from the exchange
+ * (fetchMyTrades, needs the API keys) or from the bot's local fill records; the default is the
+ * exchange in live mode and the local records otherwise.
+ */
+async function runCli() {
+    const { values } = parseArgs({
+        options: {
+            from: { type: 'string' },
+            to: { type: 'string' },
+            symbol: { type: 'string' },
+            source: { type: 'string' },
+            'output-dir': { type: 'string', default: 'reports' },
+            // Read by config.js: config file, profile and --set KEY=VALUE overrides
+            config: { type: 'string' },
+            profile: { type: 'string' },
+            set: { type: 'string', multiple: true },
+        },
+    });
+    const from = values.from !== undefined ? Date.parse(values.from) : NaN;
+    const to = values.to !== undefined ? Date.parse(values.to) : Date.now();
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+        throw new Error('Usage: node report.js --from <date> [--to <date>] [--symbol <symbol>] [--source exchange|local] [--output-dir reports]');
+    }
+
+    const { config, symbolConfigs } = await import('./config.js');
+    const symbol = values.symbol ?? config.symbol;
+    const symbolConfig = symbolConfigs.find(candidate => candidate.symbol === symbol) ?? { ...config, symbol };
+    const source = values.source ?? (config.executionMode === 'live' ? 'exchange' : 'local');
+    if (!['exchange', 'local'].includes(source)) {
+        throw new Error(`--source must be "exchange" or "local", got "${source}".`);
+    }
+
+    let fills;
+    let currencies;
+    if (source === 'exchange') {
+        const exchangeService = new ExchangeService(symbolConfig);
+        await exchangeService.initialize();
+        currencies = exchangeService.getMarket();
+        fills = await fetchExchangeFills(exchangeService, from, to);
+    } else {
+        // Unified symbols are BASE/QUOTE[:SETTLE]
+        const [base, quote] = symbol.split(':')[0].split('/');
+        currencies = { base, quote };
+        const journalFile = path.join(symbolConfig.stateDir, `fills-${symbolToDirName(symbol)}-${symbolConfig.executionMode}.jsonl`);
+        fills = readLocalFills(journalFile, from, to);
+    }
+
+    const { rows, days, total } = buildReport(fills, currencies);
+    const range = `${symbolToDirName(symbol)}-${new Date(from).toISOString().slice(0, 10)}-${new Date(to).toISOString().slice(0, 10)}`;
+    const fillsFile = path.join(values['output-dir'], `fills-${range}.csv`);
+    const dailyFile = path.join(values['output-dir'], `daily-${range}.csv`);
+    fs.mkdirSync(values['output-dir'], { recursive: true });
+    fs.writeFileSync(fillsFile, toCsv(rows, ['time', 'id', 'orderId', 'side', 'price', 'amount', 'cost', 'takerOrMaker', 'fee', 'level', 'position', 'realizedPnl']));
+    fs.writeFileSync(dailyFile, toCsv([...days, total], ['date', 'fills', 'volume', 'notional', 'makerVolume', 'takerVolume', 'makerFills', 'takerFills',
+        'fees', 'realizedPnl', 'netRealizedPnl', 'roundTrips', 'avgSpreadCaptureBps', 'maxInventory', 'endPosition']));
+    log('INFO', `Report for ${symbol} (${source}, ${new Date(from).toISOString()} - ${new Date(to).toISOString()}):`, total);
+    log('INFO', `Wrote ${rows.length} fill(s) to ${fillsFile} and ${days.length} day(s) to ${dailyFile}`);
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === fs.realpathSync(process.argv[1])) {
+    runCli().catch(err => {
+        log('ERROR', 'Report failed:', err);
+        process.exit(1);
+    });
+}
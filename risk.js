@@ -0,0 +1,283 @@
+// src/risk.js
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { log, readJsonIfExists, writeJsonAtomic } from './utils.js';
+
+/**
+ * - ok:       quoting normally
+ * - cooldown: quoting with widened spreads until cooldownUntil
+ * - tripped:  not quoting until an operator resets the kill switch
+ * @typedef {'ok' | 'cooldown' | 'tripped'} RiskStatus
+ */
+
+/**
+ * @typedef {object} RiskLimits All thresholds are disabled when 0
+ * @property {number} maxSessionLoss Max loss of net PnL since the session started (quote)
+ * @property {number} maxDrawdown Max drop of session PnL from its peak (quote)
+ * @property {number} maxFillsPerMinute Max own fills in any 60 s window
+ * @property {number} maxConsecutiveSameSideFills Max fills in a row on the same side
+ * @property {number} maxPositionGrowthPerMinute Max increase of |position| within 60 s (base)
+ * @property {'halt' | 'cooldown'} action What a breach does
+ * @property {boolean} flattenOnTrip Close the position with a market order when halting
+ * @property {number} cooldownSeconds How long a cool-down lasts
+ * @property {number} cooldownSpreadMultiplier Spread multiplier while cooling down
+ */
+
+/**
+ * @typedef {object} RiskState Persisted so a trip survives restarts
+ * @property {RiskStatus} status
+ * @property {string | undefined} reason
+ * @property {number | undefined} since Time of the breach (ms)
+ * @property {number | undefined} cooldownUntil End of the cool-down (ms)
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Per-symbol circuit breakers. The strategy feeds it fills, positions and session PnL once per
+ * cycle; evaluate() reports a breach once, after which the strategy cancels its orders (and
+ * optionally flattens) when halting, or widens its spreads while cooling down.
+ *
+ * A halt is written to the state file and stays in force until an operator resets it: by
+ * calling reset(), running `node risk.js reset`, or deleting the file. The file is re-read
+ * every cycle while halted, so a reset takes effect without restarting the bot.
+ */
+export class RiskManager {
+    /** @type {RiskLimits} */
+    limits;
+    /** @type {string | undefined} */
+    filePath;
+    /** @type {RiskState} */
+    state = { status: 'ok', reason: undefined, since: undefined, cooldownUntil: undefined };
+
+    /** @type {number | undefined} Net PnL when the session started */
+    sessionStartPnl = undefined;
+    /** @type {number} Highest session PnL seen */
+    peakSessionPnl = 0;
+    /** @type {number} Latest session PnL */
+    sessionPnl = 0;
+    /** @type {number[]} Timestamps of recent fills */
+    fillTimes = [];
+    /** @type {'buy' | 'sell' | undefined} */
+    lastFillSide = undefined;
+    /** @type {number} */
+    consecutiveSameSideFills = 0;
+    /** @type {Array<{ timestamp: number, absPosition: number }>} Positions of the last minute */
+    positionHistory = [];
+
+    /**
+     * @param {RiskLimits} limits
+     * @param {string | undefined} filePath State file; undefined keeps the state in memory (backtests)
+     */
+    constructor(limits, filePath) {
+        this.limits = limits;
+        this.filePath = filePath;
+        this.load();
+        if (this.state.status === 'tripped') {
+            log('WARN', `Risk kill switch is tripped since a previous run (${this.state.reason}); not quoting until it is reset.`);
+        }
+    }
+
+    load() {
+        if (!this.filePath) return;
+        try {
+            const saved = readJsonIfExists(this.filePath);
+            this.state = saved?.status
+                ? saved
+                : { status: 'ok', reason: undefined, since: undefined, cooldownUntil: undefined };
+        } catch (error) {
+            // An unreadable state file must not silently re-enable quoting
+            log('ERROR', `Failed to read risk state ${this.filePath}; treating the kill switch as tripped:`, error);
+            this.state = { status: 'tripped', reason: 'unreadable risk state file', since: Date.now(), cooldownUntil: undefined };
+        }
+    }
+
+    save() {
+        if (!this.filePath) return;
+        try {
+            writeJsonAtomic(this.filePath, this.state);
+        } catch (error) {
+            log('ERROR', `Failed to save risk state ${this.filePath}:`, error);
+        }
+    }
+
+    /**
+     * @param {number} now
+     * @returns {RiskStatus}
+     */
+    getStatus(now) {
+        if (this.state.status === 'tripped') {
+            // Pick up a reset made from outside the process
+            this.load();
+            if (this.state.status !== 'tripped') {
+                log('INFO', 'Risk kill switch was reset externally; resuming quoting.');
+                this.resetCounters();
+            }
+        }
+        if (this.state.status === 'cooldown' && now >= (this.state.cooldownUntil ?? 0)) {
+            log('INFO', `Risk cool-down (${this.state.reason}) ended; quoting normally again.`);
+            this.setState({ status: 'ok', reason: undefined, since: undefined, cooldownUntil: undefined });
+        }
+        return this.state.status;
+    }
+
+    /**
+     * @param {number} now
+     * @returns {number} Multiplier for the target spread (1 unless cooling down)
+     */
+    getSpreadMultiplier(now) {
+        return this.getStatus(now) === 'cooldown' ? this.limits.cooldownSpreadMultiplier : 1;
+    }
+
+    /**
+     * @param {{ timestamp: number, side: 'buy' | 'sell' }} trade One of our fills
+     */
+    recordFill(trade) {
+        this.fillTimes.push(trade.timestamp);
+        if (trade.side === this.lastFillSide) {
+            this.consecutiveSameSideFills++;
+        } else {
+            this.lastFillSide = trade.side;
+            this.consecutiveSameSideFills = 1;
+        }
+    }
+
+    /**
+     * @param {number} now
+     * @param {number} position Signed position in base currency
+     */
+    recordPosition(now, position) {
+        this.positionHistory.push({ timestamp: now, absPosition: Math.abs(position) });
+        while (this.positionHistory.length > 0 && this.positionHistory[0].timestamp < now - MINUTE_MS) {
+            this.positionHistory.shift();
+        }
+    }
+
+    /**
+     * @param {number} netPnl Net PnL from the ledger, marked to the current price
+     */
+    recordPnl(netPnl) {
+        this.sessionStartPnl ??= netPnl;
+        this.sessionPnl = netPnl - this.sessionStartPnl;
+        this.peakSessionPnl = Math.max(this.peakSessionPnl, this.sessionPnl);
+    }
+
+    /**
+     * Checks every threshold. Reports a breach only on the transition out of 'ok'.
+     * @param {number} now
+     * @returns {{ action: 'halt' | 'cooldown', reason: string } | undefined}
+     */
+    evaluate(now) {
+        while (this.fillTimes.length > 0 && this.fillTimes[0] < now - MINUTE_MS) {
+            this.fillTimes.shift();
+        }
+        if (this.getStatus(now) !== 'ok') return undefined;
+
+        const reason = this.findBreach();
+        if (!reason) return undefined;
+
+        const { action } = this.limits;
+        if (action === 'cooldown') {
+            this.setState({ status: 'cooldown', reason, since: now, cooldownUntil: now + this.limits.cooldownSeconds * 1000 });
+            log('WARN', `Risk limit breached (${reason}); widening spreads x${this.limits.cooldownSpreadMultiplier} for ${this.limits.cooldownSeconds} s.`);
+        } else {
+            this.setState({ status: 'tripped', reason, since: now, cooldownUntil: undefined });
+            log('ERROR', `Risk kill switch tripped (${reason}); cancelling orders and refusing to quote until reset.`);
+        }
+        // Start counting afresh so the same fills do not re-trigger after a cool-down or reset
+        this.fillTimes = [];
+        this.consecutiveSameSideFills = 0;
+        this.positionHistory = this.positionHistory.slice(-1);
+        this.peakSessionPnl = this.sessionPnl;
+        return { action, reason };
+    }
+
+    /**
+     * @returns {string | undefined} Description of the first breached limit
+     */
+    findBreach() {
+        const limits = this.limits;
+        if (limits.maxSessionLoss > 0 && -this.sessionPnl >= limits.maxSessionLoss) {
+            return `session loss ${(-this.sessionPnl).toFixed(2)} >= ${limits.maxSessionLoss}`;
+        }
+        const drawdown = this.peakSessionPnl - this.sessionPnl;
+        if (limits.maxDrawdown > 0 && drawdown >= limits.maxDrawdown) {
+            return `drawdown ${drawdown.toFixed(2)} from peak >= ${limits.maxDrawdown}`;
+        }
+        if (limits.maxFillsPerMinute > 0 && this.fillTimes.length > limits.maxFillsPerMinute) {
+            return `${this.fillTimes.length} fills in the last minute > ${limits.maxFillsPerMinute}`;
+        }
+        if (limits.maxConsecutiveSameSideFills > 0 && this.consecutiveSameSideFills > limits.maxConsecutiveSameSideFills) {
+            return `${this.consecutiveSameSideFills} consecutive ${this.lastFillSide} fills > ${limits.maxConsecutiveSameSideFills}`;
+        }
+        if (limits.maxPositionGrowthPerMinute > 0 && this.positionHistory.length > 1) {
+            const latest = this.positionHistory[this.positionHistory.length - 1].absPosition;
+            const lowest = Math.min(...this.positionHistory.map(point => point.absPosition));
+            if (latest - lowest > limits.maxPositionGrowthPerMinute) {
+                return `position grew by ${(latest - lowest).toFixed(8)} within a minute > ${limits.maxPositionGrowthPerMinute}`;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Operator reset: clears a trip or cool-down and restarts the session baseline.
+     */
+    reset() {
+        log('INFO', `Risk state reset (was ${this.state.status}${this.state.reason ? `: ${this.state.reason}` : ''}).`);
+        this.resetCounters();
+        this.setState({ status: 'ok', reason: undefined, since: undefined, cooldownUntil: undefined });
+    }
+
+    resetCounters() {
+        this.sessionStartPnl = undefined;
+        this.peakSessionPnl = 0;
+        this.sessionPnl = 0;
+        this.fillTimes = [];
+        this.consecutiveSameSideFills = 0;
+        this.positionHistory = [];
+    }
+
+    /**
+     * @param {RiskState} state
+     */
+    setState(state) {
+        this.state = state;
+        this.save();
+    }
+}
+
+/**
+ * CLI: node risk.js reset [--dir <STATE_DIR>]
+ * Clears every tripped kill switch in the state directory; running bots resume on their next cycle.
+ */
+async function runCli() {
+    const { positionals, values } = parseArgs({
+        allowPositionals: true,
+        options: { dir: { type: 'string', default: process.env.STATE_DIR ?? 'state' } },
+    });
+    if (positionals[0] !== 'reset') {
+        throw new Error('Usage: node risk.js reset [--dir <state dir>]');
+    }
+    const files = fs.existsSync(values.dir)
+        ? fs.readdirSync(values.dir).filter(name => name.startsWith('risk-') && name.endsWith('.json'))
+        : [];
+    for (const name of files) {
+        const filePath = path.join(values.dir, name);
+        const state = readJsonIfExists(filePath);
+        if (state?.status && state.status !== 'ok') {
+            writeJsonAtomic(filePath, { status: 'ok', reason: undefined, since: undefined, cooldownUntil: undefined });
+            log('INFO', `Reset ${name} (was ${state.status}: ${state.reason}).`);
+        }
+    }
+    log('INFO', `Checked ${files.length} risk state file(s) in ${values.dir}.`);
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === fs.realpathSync(process.argv[1])) {
+    runCli().catch(err => {
+        log('ERROR', 'Risk reset failed:', err);
+        process.exit(1);
+    });
+}
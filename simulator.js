@@ -0,0 +1,575 @@
+// src/simulator.js
+import ccxt from 'ccxt';
+import { log } from './utils.js';
+
+/**
+ * @typedef {object} SimOrder
+ * @property {string} id
+ * @property {string | undefined} clientOrderId
+ * @property {'buy' | 'sell'} side
+ * @property {number} price
+ * @property {number} amount
+ * @property {number} filled
+ * @property {'open' | 'closed' | 'canceled'} status
+ * @property {number} timestamp
+ * @property {number} quotedAt Time the current price was placed (creation or last edit); earlier trades never fill it
+ * @property {boolean} postOnly Rejected instead of filled when placed or edited across the book
+ */
+
+/**
+ * @typedef {object} SimFill
+ * @property {string} id
+ * @property {string} order Order ID that produced the fill
+ * @property {'buy' | 'sell'} side
+ * @property {number} price
+ * @property {number} amount
+ * @property {number} cost
+ * @property {number} fee Fee in quote currency (negative for rebates)
+ * @property {'maker' | 'taker'} takerOrMaker
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {object} MarketTrade Public trade used by the fill model
+ * @property {number} timestamp
+ * @property {number} price
+ * @property {number} amount
+ * @property {'buy' | 'sell'} side Taker side
+ */
+
+/**
+ * Deterministic clock for simulations. Time only moves when the driver calls set().
+ */
+export class SimulatedClock {
+    /** @type {number} */
+    current;
+
+    /**
+     * @param {number} [start=0] Initial time in ms
+     */
+    constructor(start = 0) {
+        this.current = start;
+    }
+
+    now() {
+        return this.current;
+    }
+
+    /**
+     * @param {number} timestamp New time in ms; the clock never moves backwards
+     */
+    set(timestamp) {
+        this.current = Math.max(this.current, timestamp);
+    }
+}
+
+/**
+ * Drop-in replacement for ExchangeService that keeps balances, position and resting
+ * orders locally and fills them against market data pushed in by a driver
+ * (backtest replay or a live feed).
+ *
+ * Fill model:
+ * - Resting orders fill when a public trade prints at or through their price
+ *   (taker sell at or below our bid, taker buy at or above our ask), up to the trade size, at our price (maker fee).
+ * - Orders that cross the current book when placed or edited fill immediately against the
+ *   book levels they cross (taker fee); any remainder rests.
+ * - Order flags as the strategy passes them (unified, see ExchangeService.mapOrderParams):
+ *   postOnly orders that would cross are rejected with OrderImmediatelyFillable; IOC cancels
+ *   the remainder after matching, FOK cancels without filling unless the book covers the whole
+ *   amount; reduceOnly (contracts) is cut to the position and rejected if it would increase it.
+ */
+export class SimulatedExchangeService {
+    /** @type {object} Minimal ccxt-like surface used directly by the strategy */
+    exchange;
+    /** @type {ccxt.Market} */
+    market;
+    /** @type {string} */
+    marketSymbol;
+    /** @type {import('./config.js').Config} */
+    config;
+    /** @type {SimulatedClock} */
+    clock;
+
+    /** @type {number} */
+    quoteBalance;
+    /** @type {number} Signed position in base currency (positive = long) */
+    positionSize;
+    /** @type {number} */
+    makerFee;
+    /** @type {number} */
+    takerFee;
+    /** @type {Map<string, SimOrder>} */
+    orders = new Map();
+    /** @type {SimFill[]} */
+    fills = [];
+    /** @type {ccxt.OrderBook | undefined} */
+    orderBook = undefined;
+    /** @type {number | undefined} */
+    lastPrice = undefined;
+    /** @type {Array<(orderBook: ccxt.OrderBook) => void>} Called with every order book the driver sets */
+    orderBookListeners = [];
+
+    nextOrderId = 1;
+    nextFillId = 1;
+
+    /**
+     * @param {import('./config.js').Config} config Configuration object
+     * @param {object} [options]
+     * @param {Partial<ccxt.Market>} [options.market] Market definition (precision, limits); defaults derived from config.symbol
+     * @param {SimulatedClock} [options.clock]
+     * @param {number} [options.initialQuoteBalance=10000]
+     * @param {number} [options.initialPosition=0]
+     * @param {number} [options.makerFee=0.0002] Fee rate for passive fills (negative for rebates)
+     * @param {number} [options.takerFee=0.0005] Fee rate for fills that cross the book
+     */
+    constructor(config, options = {}) {
+        this.config = config;
+        this.marketSymbol = config.symbol;
+        this.clock = options.clock ?? new SimulatedClock();
+        this.quoteBalance = options.initialQuoteBalance ?? 10000;
+        this.positionSize = options.initialPosition ?? 0;
+        this.makerFee = options.makerFee ?? 0.0002;
+        this.takerFee = options.takerFee ?? 0.0005;
+
+        const [base, quote] = config.symbol.split('/');
+        const marketType = config.defaultMarketType || 'future';
+        this.market = {
+            id: config.symbol.replace('/', ''),
+            symbol: config.symbol,
+            base,
+            quote: quote?.split(':')[0],
+            type: marketType,
+            spot: marketType === 'spot',
+            contract: marketType !== 'spot',
+            precision: { price: 0.01, amount: 0.001 },
+            limits: { amount: { min: 0.001 }, cost: { min: config.minNotionalValue } },
+            ...options.market,
+        };
+
+        this.exchange = {
+            id: 'simulated',
+            has: { editOrder: true, fetchOrder: true, fetchPositions: true, fetchMyTrades: true },
+            rateLimit: 0,
+            milliseconds: () => this.clock.now(),
+        };
+        log('INFO', `Simulated exchange ready for ${this.marketSymbol}: balance=${this.quoteBalance} ${this.market.quote}, position=${this.positionSize} ${this.market.base}`);
+    }
+
+    async initialize() {
+        // Nothing to load; kept for interface parity with ExchangeService
+    }
+
+    getMarket() {
+        return this.market;
+    }
+
+    // --- Market data input (called by the driver) ---
+
+    /**
+     * @param {ccxt.OrderBook} orderBook Snapshot with bids/asks as [price, amount][]
+     */
+    setOrderBook(orderBook) {
+        this.orderBook = orderBook;
+        for (const listener of this.orderBookListeners) listener(orderBook);
+    }
+
+    /**
+     * Same as ExchangeService.onOrderBook: called with every order book update (each backtest
+     * or replay event, each live poll in paper trading).
+     * @param {(orderBook: ccxt.OrderBook) => void} listener
+     */
+    onOrderBook(listener) {
+        this.orderBookListeners.push(listener);
+    }
+
+    /**
+     * @param {number} price Last traded price
+     */
+    setLastPrice(price) {
+        this.lastPrice = price;
+    }
+
+    /**
+     * Applies a public trade to resting orders. Trades printed before an order was quoted at its
+     * current price cannot have hit it and are skipped for that order, so late or out-of-order
+     * trade batches do not fill quotes placed after them.
+     * @param {MarketTrade} trade
+     * @returns {SimFill[]} Fills produced by this trade
+     */
+    processMarketTrade(trade) {
+        this.lastPrice = trade.price;
+        const makerSide = trade.side === 'sell' ? 'buy' : 'sell';
+        const candidates = [...this.orders.values()]
+            .filter(order => order.status === 'open' && order.side === makerSide)
+            .filter(order => !(trade.timestamp < order.quotedAt))
+            .filter(order => makerSide === 'buy' ? order.price >= trade.price : order.price <= trade.price)
+            // Best-priced orders are hit first
+            .sort((a, b) => makerSide === 'buy' ? b.price - a.price : a.price - b.price);
+
+        const produced = [];
+        let remaining = trade.amount;
+        for (const order of candidates) {
+            if (remaining <= 0) break;
+            const fillAmount = Math.min(order.amount - order.filled, remaining);
+            remaining -= fillAmount;
+            produced.push(this.applyFill(order, order.price, fillAmount, 'maker'));
+        }
+        return produced;
+    }
+
+    /**
+     * Mid price of the current book, falling back to the last trade price.
+     * @returns {number | undefined}
+     */
+    getMidPrice() {
+        const bestBid = this.orderBook?.bids?.[0]?.[0];
+        const bestAsk = this.orderBook?.asks?.[0]?.[0];
+        if (typeof bestBid === 'number' && typeof bestAsk === 'number') {
+            return (bestBid + bestAsk) / 2;
+        }
+        return this.lastPrice;
+    }
+
+    /**
+     * Quote balance plus position marked to the mid price.
+     * @returns {number}
+     */
+    getEquity() {
+        const mid = this.getMidPrice() ?? 0;
+        return this.quoteBalance + this.positionSize * mid;
+    }
+
+    /**
+     * @returns {SimOrder[]}
+     */
+    getOpenOrders() {
+        return [...this.orders.values()].filter(order => order.status === 'open');
+    }
+
+    // --- ExchangeService interface ---
+
+    async fetchTicker() {
+        const mid = this.getMidPrice();
+        return {
+            symbol: this.marketSymbol,
+            timestamp: this.clock.now(),
+            last: this.lastPrice ?? mid,
+            bid: this.orderBook?.bids?.[0]?.[0],
+            ask: this.orderBook?.asks?.[0]?.[0],
+        };
+    }
+
+    /**
+     * @param {number} [limit=20] Depth of the order book
+     */
+    async fetchOrderBook(limit = 20) {
+        if (!this.orderBook) return undefined;
+        return {
+            ...this.orderBook,
+            symbol: this.marketSymbol,
+            bids: this.orderBook.bids.slice(0, limit),
+            asks: this.orderBook.asks.slice(0, limit),
+            timestamp: this.clock.now(),
+        };
+    }
+
+    async fetchQuoteBalance() {
+        // Mirror the 'free' balance: quote reserved by resting buys is not available
+        const reserved = this.getOpenOrders()
+            .filter(order => order.side === 'buy')
+            .reduce((sum, order) => sum + (order.amount - order.filled) * order.price, 0);
+        return this.quoteBalance - reserved;
+    }
+
+    async fetchPosition() {
+        if (!this.market.contract) return undefined;
+        if (this.positionSize === 0) return undefined;
+        return {
+            symbol: this.marketSymbol,
+            contracts: Math.abs(this.positionSize),
+            side: this.positionSize > 0 ? 'long' : 'short',
+            timestamp: this.clock.now(),
+            info: { positionAmt: String(this.positionSize) },
+        };
+    }
+
+    /**
+     * @param {number} amount Quantity
+     * @param {number} price Price
+     * @param {object} [params={}] Additional parameters for the order
+     */
+    async createLimitBuyOrder(amount, price, params = {}) {
+        return this.createOrder('buy', amount, price, params);
+    }
+
+    /**
+     * @param {number} amount Quantity
+     * @param {number} price Price
+     * @param {object} [params={}] Additional parameters for the order
+     */
+    async createLimitSellOrder(amount, price, params = {}) {
+        return this.createOrder('sell', amount, price, params);
+    }
+
+    /**
+     * Fills immediately against the current book as a taker; any unfilled rest is cancelled.
+     * @param {'buy' | 'sell'} side
+     * @param {number} amount Quantity
+     * @param {object} [params={}] Additional parameters for the order
+     */
+    async createMarketOrder(side, amount, params = {}) {
+        const order = this.createOrder(side, amount, side === 'buy' ? Number.MAX_VALUE : Number.MIN_VALUE, params);
+        const simOrder = this.orders.get(order.id);
+        if (simOrder.status === 'open') simOrder.status = 'canceled';
+        return this.toCcxtOrder(simOrder);
+    }
+
+    /**
+     * @param {string} id Order ID
+     * @returns {Promise<boolean>}
+     */
+    async cancelOrder(id) {
+        const order = this.orders.get(id);
+        if (order && order.status === 'open') {
+            order.status = 'canceled';
+        }
+        return true;
+    }
+
+    async cancelAllOrders() {
+        for (const order of this.getOpenOrders()) {
+            order.status = 'canceled';
+        }
+        return true;
+    }
+
+    async fetchOpenOrders() {
+        return this.getOpenOrders().map(order => this.toCcxtOrder(order));
+    }
+
+    /**
+     * @param {string} id Order ID
+     */
+    async fetchOrder(id) {
+        const order = this.orders.get(id);
+        return order ? this.toCcxtOrder(order) : undefined;
+    }
+
+    /**
+     * @param {string} id Order ID to edit
+     * @param {'limit'} type Order type
+     * @param {'buy' | 'sell'} side Order side
+     * @param {number} amount New total amount (contracts), or amount of the replacement order (spot)
+     * @param {number} price New price
+     * @param {object} [params] Only clientOrderId is honoured; the order keeps its other flags
+     */
+    async editOrder(id, type, side, amount, price, params = {}) {
+        const order = this.orders.get(id);
+        if (!order || order.status !== 'open') {
+            throw new ccxt.OrderNotFound(`simulated: order ${id} is not open`);
+        }
+        if (this.market.spot) {
+            // Spot edits are cancel-replace, as on Binance: the original order is cancelled even if
+            // the replacement is rejected
+            order.status = 'canceled';
+            return this.createOrder(order.side, amount, price, { postOnly: order.postOnly, clientOrderId: params.clientOrderId ?? order.clientOrderId });
+        }
+        if (amount <= order.filled) {
+            throw new ccxt.InvalidOrder(`simulated: new amount ${amount} is not above filled ${order.filled}`);
+        }
+        if (order.postOnly && this.crossesBook(order.side, price)) {
+            throw new ccxt.OrderImmediatelyFillable(`simulated: post-only ${order.side} order ${id} at ${price} would cross the book`);
+        }
+        order.amount = amount;
+        order.price = price;
+        order.quotedAt = this.clock.now();
+        if (params.clientOrderId) order.clientOrderId = params.clientOrderId;
+        this.matchAgainstBook(order);
+        return this.toCcxtOrder(order);
+    }
+
+    /**
+     * Our fills in ccxt trade format.
+     * @param {number} [since]
+     * @param {number} [limit]
+     */
+    async fetchMyTrades(since, limit) {
+        const trades = this.fills
+            .filter(fill => since === undefined || fill.timestamp >= since)
+            .map(fill => ({
+                id: fill.id,
+                order: fill.order,
+                symbol: this.marketSymbol,
+                timestamp: fill.timestamp,
+                datetime: new Date(fill.timestamp).toISOString(),
+                side: fill.side,
+                price: fill.price,
+                amount: fill.amount,
+                cost: fill.cost,
+                takerOrMaker: fill.takerOrMaker,
+                fee: { cost: fill.fee, currency: this.market.quote },
+            }));
+        return limit ? trades.slice(0, limit) : trades;
+    }
+
+    /**
+     * Recordings carry no funding data, so the simulated market has no funding.
+     * @returns {Promise<undefined>}
+     */
+    async fetchFundingRate() {
+        return undefined;
+    }
+
+    /**
+     * @returns {Promise<[]>} No funding is ever paid on the simulated market
+     */
+    async fetchFundingHistory() {
+        return [];
+    }
+
+    // --- Internals ---
+
+    /**
+     * @param {'buy' | 'sell'} side
+     * @param {number} amount
+     * @param {number} price
+     * @param {object} params
+     */
+    createOrder(side, amount, price, params) {
+        if (!(amount > 0) || !(price > 0)) {
+            throw new ccxt.InvalidOrder(`simulated: invalid amount ${amount} or price ${price}`);
+        }
+        if (params?.postOnly && this.crossesBook(side, price)) {
+            throw new ccxt.OrderImmediatelyFillable(`simulated: post-only ${side} order at ${price} would cross the book`);
+        }
+        if (params?.reduceOnly && this.market.contract) {
+            const reducible = side === 'buy' ? Math.max(0, -this.positionSize) : Math.max(0, this.positionSize);
+            if (!(reducible > 0)) {
+                throw new ccxt.InvalidOrder(`simulated: reduce-only ${side} order would increase the position`);
+            }
+            amount = Math.min(amount, reducible);
+        }
+        /** @type {SimOrder} */
+        const order = {
+            id: String(this.nextOrderId++),
+            clientOrderId: params?.clientOrderId,
+            side,
+            price,
+            amount,
+            filled: 0,
+            status: 'open',
+            timestamp: this.clock.now(),
+            quotedAt: this.clock.now(),
+            postOnly: Boolean(params?.postOnly),
+        };
+        this.orders.set(order.id, order);
+        if (params?.timeInForce === 'FOK' && this.crossingAmount(side, price) < amount - 1e-12) {
+            order.status = 'canceled';
+            return this.toCcxtOrder(order);
+        }
+        this.matchAgainstBook(order);
+        if (params?.timeInForce === 'IOC' && order.status === 'open') {
+            order.status = 'canceled';
+        }
+        return this.toCcxtOrder(order);
+    }
+
+    /**
+     * @param {'buy' | 'sell'} side
+     * @param {number} price
+     * @returns {boolean} Whether an order at this price would take liquidity from the current book
+     */
+    crossesBook(side, price) {
+        return this.crossingAmount(side, price) > 0;
+    }
+
+    /**
+     * @param {'buy' | 'sell'} side
+     * @param {number} price
+     * @returns {number} Book amount an order at this price could take
+     */
+    crossingAmount(side, price) {
+        const levels = (side === 'buy' ? this.orderBook?.asks : this.orderBook?.bids) ?? [];
+        let amount = 0;
+        for (const [levelPrice, levelAmount] of levels) {
+            if (side === 'buy' ? levelPrice > price : levelPrice < price) break;
+            amount += levelAmount;
+        }
+        return amount;
+    }
+
+    /**
+     * Fills the crossing part of an order against the current book as a taker.
+     * @param {SimOrder} order
+     */
+    matchAgainstBook(order) {
+        const levels = order.side === 'buy' ? this.orderBook?.asks : this.orderBook?.bids;
+        if (!levels) return;
+        for (const [levelPrice, levelAmount] of levels) {
+            const remaining = order.amount - order.filled;
+            if (remaining <= 0) break;
+            const crosses = order.side === 'buy' ? levelPrice <= order.price : levelPrice >= order.price;
+            if (!crosses) break;
+            this.applyFill(order, levelPrice, Math.min(remaining, levelAmount), 'taker');
+        }
+    }
+
+    /**
+     * @param {SimOrder} order
+     * @param {number} price
+     * @param {number} amount
+     * @param {'maker' | 'taker'} takerOrMaker
+     * @returns {SimFill}
+     */
+    applyFill(order, price, amount, takerOrMaker) {
+        const cost = price * amount;
+        const fee = cost * (takerOrMaker === 'maker' ? this.makerFee : this.takerFee);
+        order.filled += amount;
+        if (order.amount - order.filled <= 1e-12) {
+            order.status = 'closed';
+        }
+        if (order.side === 'buy') {
+            this.quoteBalance -= cost;
+            this.positionSize += amount;
+        } else {
+            this.quoteBalance += cost;
+            this.positionSize -= amount;
+        }
+        this.quoteBalance -= fee;
+
+        /** @type {SimFill} */
+        const fill = {
+            id: String(this.nextFillId++),
+            order: order.id,
+            side: order.side,
+            price,
+            amount,
+            cost,
+            fee,
+            takerOrMaker,
+            timestamp: this.clock.now(),
+        };
+        this.fills.push(fill);
+        log('DEBUG', `Simulated ${takerOrMaker} fill: ${order.side} ${amount} @ ${price} (order ${order.id})`);
+        return fill;
+    }
+
+    /**
+     * @param {SimOrder} order
+     */
+    toCcxtOrder(order) {
+        return {
+            id: order.id,
+            clientOrderId: order.clientOrderId,
+            symbol: this.marketSymbol,
+            type: 'limit',
+            side: order.side,
+            price: order.price,
+            amount: order.amount,
+            filled: order.filled,
+            remaining: order.amount - order.filled,
+            status: order.status,
+            timestamp: order.timestamp,
+        };
+    }
+}
@@ -1,10 +1,35 @@
 // src/strategy.js
-import { config } from './config.js';
 import { ExchangeService } from './exchange.js';
+import path from 'path';
 import { OrderBookAnalyzer } from './orderbook.js';
-import { log, formatNumber, adjustPriceToTickSize, adjustAmountToStepSize, getPrecision, sleep } from './utils.js';
+import { PnlLedger } from './ledger.js';
+import { VolatilityEstimator } from './volatility.js';
+import { ArrivalIntensityEstimator, reservationPrice, optimalSpread } from './avellaneda.js';
+import { RiskManager } from './risk.js';
+import { OrderTracker, isFinalState } from './orders.js';
+import { FundingMonitor } from './funding.js';
+import { MarkoutTracker } from './markout.js';
+import { metrics, errorClassName } from './metrics.js';
+import { logger as rootLogger, runWithLogContext } from './logger.js';
+import { formatNumber, adjustPriceToTickSize, adjustAmountToStepSize, getPrecision, sleep, symbolToDirName, buildClientOrderId, parseClientOrderId, readJsonIfExists, writeJsonAtomic, appendJsonLines } from './utils.js';
 import ccxt from 'ccxt';
 
+const logger = rootLogger.child({ module: 'strategy' });
+const log = logger.log;
+
+/**
+ * 单层挂单的跟踪状态 (订单生命周期见 orders.js，remaining 为实际仍挂着的数量)
+ * @typedef {import('./orders.js').TrackedOrder} LadderSlot
+ */
+
+/**
+ * 单层挂单的目标
+ * @typedef {object} LadderTarget
+ * @property {number} level 层索引 (0 为最靠近中间价的一层)
+ * @property {number} price 目标价格
+ * @property {number} amount 目标数量
+ */
+
 export class MarketMakerStrategy {
     /** @type {import('./config.js').Config} */
     config;
@@ -12,6 +37,12 @@ export class MarketMakerStrategy {
     exchangeService;
     /** @type {OrderBookAnalyzer} */
     orderBookAnalyzer;
+    /** @type {import('./portfolio.js').PortfolioRiskManager | undefined} */
+    portfolio; // 多交易对运行时共享的组合风险限制
+    /** @type {import('./hedge.js').InventoryHedger | undefined} */
+    hedger; // 在第二个交易场所对冲库存 (HEDGE_ENABLED)
+    /** @type {import('./reference.js').ReferencePriceFeed | undefined} */
+    referenceFeed; // 其他交易所订单簿给出的外部参考价格 (REFERENCE_SOURCES)
     /** @type {ccxt.Market | undefined} */
     market;
     /** @type {number | undefined} */
@@ -25,27 +56,71 @@ export class MarketMakerStrategy {
     /** @type {number} */
     minAmount;
 
-    // --- 订单状态跟踪 ---
-    /** @type {string | null} */
-    currentBuyOrderId = null;
-    /** @type {string | null} */
-    currentSellOrderId = null;
+    // --- 订单状态跟踪 (每侧按层索引) ---
+    /** @type {{buy: Array<LadderSlot | null>, sell: Array<LadderSlot | null>}} */
+    ladderOrders = { buy: [], sell: [] };
+    /** @type {OrderTracker} */
+    orderTracker = new OrderTracker(); // 订单状态机 (新建 → 挂单 → 部分成交 → 成交/取消/拒绝)，并把成交归属到报价
 
     // --- 成交量跟踪 ---
     /** @type {number} */
     totalTradedBaseVolume = 0; // 总基础货币成交量 (例如 BTC)
     /** @type {number | undefined} */
     lastTradeTimestamp = undefined; // 上次获取成交记录的时间戳
+    /** @type {PnlLedger} */
+    pnlLedger; // 盈亏账本 (由 fetchMyTrades 驱动)
+    /** @type {RiskManager} */
+    riskManager; // 风控熔断 (亏损、回撤、成交异常)
+    /** @type {FundingMonitor | undefined} */
+    fundingMonitor = undefined; // 永续合约的资金费率和资金费流水 (其他市场没有)
+    /** @type {MarkoutTracker} */
+    markoutTracker; // 成交后 +1s/+5s/+30s/+60s 的中间价变动 (逆向选择分析)
+
+    // --- 持久化状态 (崩溃恢复) ---
+    /** @type {string | undefined} */
+    stateFile = undefined; // 每个周期结束后写入的策略状态快照，回测不落盘
+    /** @type {string | undefined} */
+    fillJournalFile = undefined; // 逐笔追加的成交记录 (JSONL，report.js 的本地数据源)，回测不落盘
+    /** @type {{buy: Array<LadderSlot | null>, sell: Array<LadderSlot | null>} | undefined} */
+    restoredLadderOrders = undefined; // 上次运行快照中的挂单，启动对账后清除
+
+    // --- 运行时控制 (控制 API) ---
+    /** @type {boolean} */
+    paused = false; // 暂停时撤销本实例订单且不报价，成交记录照常更新
+    /** @type {number} */
+    cycleCount = 0; // 本进程已开始的周期数，用作日志中的 cycleId
+    /** @type {{ startedAt: number, durationMs: number } | undefined} */
+    lastCycle = undefined; // 上一个周期的开始时间和耗时 (毫秒)
+    /** @type {{ balance: number, position: number, referencePrice: number | undefined, markPrice: number } | undefined} */
+    lastMarketState = undefined; // 上一个周期取得的余额、持仓、参考价格和盯市价格
+    /** @type {'buy' | 'sell' | undefined} */
+    reduceOnlySide = undefined; // 达到持仓限制时的减仓方向，该侧报价按配置设为 reduce-only
+    /** @type {Partial<import('./config.js').Config> | undefined} */
+    pendingConfigUpdate = undefined; // 热重载的新参数，在下一个周期开始前一次性应用
+
+    // --- 波动率自适应价差 ---
+    /** @type {VolatilityEstimator | undefined} */
+    volatilityEstimator = undefined; // 只有波动率价差或 Avellaneda-Stoikov 模型需要时才创建
+
+    // --- Avellaneda-Stoikov 报价模型 ---
+    /** @type {ArrivalIntensityEstimator | undefined} */
+    arrivalEstimator = undefined; // 由本账户的 Maker 成交估计 k
 
     /**
      * @param {import('./config.js').Config} config 配置对象
      * @param {ExchangeService} exchangeService 交易所服务实例
      * @param {OrderBookAnalyzer} orderBookAnalyzer 订单簿分析器实例
+     * @param {import('./portfolio.js').PortfolioRiskManager} [portfolio] 组合风险管理器 (可选)
+     * @param {import('./hedge.js').InventoryHedger} [hedger] 库存对冲器 (可选)
+     * @param {import('./reference.js').ReferencePriceFeed} [referenceFeed] 外部参考价格 (可选)
      */
-    constructor(config, exchangeService, orderBookAnalyzer) {
+    constructor(config, exchangeService, orderBookAnalyzer, portfolio, hedger, referenceFeed) {
         this.config = config;
         this.exchangeService = exchangeService;
         this.orderBookAnalyzer = orderBookAnalyzer;
+        this.portfolio = portfolio;
+        this.hedger = hedger;
+        this.referenceFeed = referenceFeed;
 
         this.market = this.exchangeService.getMarket();
         if (!this.market) {
@@ -75,8 +150,214 @@ export class MarketMakerStrategy {
         }
         // --- 结束库存倾斜配置验证 ---
 
-        // 可选：获取初始成交记录时间戳
-        // this.lastTradeTimestamp = Date.now() - (24 * 60 * 60 * 1000); // 从过去24小时开始跟踪 (按需调整)
+        // 回测不落盘，实盘和模拟盘各自使用独立的账本文件
+        const ledgerFile = this.config.executionMode === 'backtest'
+            ? undefined
+            : path.join(this.config.stateDir, `pnl-${symbolToDirName(this.config.symbol)}-${this.config.executionMode}.json`);
+        this.pnlLedger = new PnlLedger(ledgerFile, this.market);
+        const riskFile = this.config.executionMode === 'backtest'
+            ? undefined
+            : path.join(this.config.stateDir, `risk-${symbolToDirName(this.config.symbol)}-${this.config.executionMode}.json`);
+        this.riskManager = new RiskManager({
+            maxSessionLoss: this.config.riskMaxSessionLoss ?? 0,
+            maxDrawdown: this.config.riskMaxDrawdown ?? 0,
+            maxFillsPerMinute: this.config.riskMaxFillsPerMinute ?? 0,
+            maxConsecutiveSameSideFills: this.config.riskMaxConsecutiveSameSideFills ?? 0,
+            maxPositionGrowthPerMinute: this.config.riskMaxPositionGrowthPerMinute ?? 0,
+            action: this.config.riskAction ?? 'halt',
+            flattenOnTrip: this.config.riskFlattenOnTrip ?? false,
+            cooldownSeconds: this.config.riskCooldownSeconds ?? 300,
+            cooldownSpreadMultiplier: this.config.riskCooldownSpreadMultiplier ?? 3,
+        }, riskFile);
+
+        const useVolatilitySpread = this.config.volatilityModel && this.config.volatilityModel !== 'none';
+        const useAvellanedaStoikov = this.config.pricingModel === 'avellaneda-stoikov';
+        if (useVolatilitySpread || useAvellanedaStoikov) {
+            this.volatilityEstimator = new VolatilityEstimator({
+                // Avellaneda-Stoikov 需要 σ；未选择波动率模型时使用 EWMA
+                model: useVolatilitySpread ? this.config.volatilityModel : 'ewma',
+                windowSeconds: this.config.volatilityWindowSeconds,
+                ewmaLambda: this.config.volatilityEwmaLambda,
+                bucketSeconds: this.config.volatilityBucketSeconds,
+                minSamples: this.config.volatilityMinSamples,
+            });
+        }
+        if (useAvellanedaStoikov) {
+            this.arrivalEstimator = new ArrivalIntensityEstimator({
+                maxFills: this.config.asKWindowFills,
+                minFills: this.config.asKMinFills,
+            });
+        }
+
+        if (this.market.swap) {
+            this.fundingMonitor = new FundingMonitor(this.config, this.exchangeService, this.now());
+        }
+
+        // 已完成的 markout 逐笔追加到 JSONL 文件，回测只在内存中统计
+        const markoutFile = this.config.executionMode === 'backtest'
+            ? undefined
+            : path.join(this.config.stateDir, `markouts-${symbolToDirName(this.config.symbol)}-${this.config.executionMode}.jsonl`);
+        this.markoutTracker = new MarkoutTracker(this.config, markoutFile);
+        // 每次订单簿更新 (WebSocket 推送、模拟盘和回测的每个订单簿) 都记录中间价，markout 的精度不受周期间隔限制
+        this.exchangeService.onOrderBook?.((orderBook) => {
+            const bestBid = orderBook.bids?.[0]?.[0];
+            const bestAsk = orderBook.asks?.[0]?.[0];
+            if (typeof bestBid === 'number' && typeof bestAsk === 'number') {
+                this.markoutTracker.recordMid(this.now(), (bestBid + bestAsk) / 2);
+            }
+        });
+
+        this.stateFile = this.config.executionMode === 'backtest'
+            ? undefined
+            : path.join(this.config.stateDir, `strategy-${symbolToDirName(this.config.symbol)}-${this.config.executionMode}.json`);
+        this.fillJournalFile = this.config.executionMode === 'backtest'
+            ? undefined
+            : path.join(this.config.stateDir, `fills-${symbolToDirName(this.config.symbol)}-${this.config.executionMode}.jsonl`);
+        this.loadState();
+    }
+
+    /**
+     * 恢复上次运行保存的策略状态：成交时间戳、总成交量和挂单。
+     * 之后的 reconcileOpenOrders 与交易所对账，并补记停机期间的成交。
+     */
+    loadState() {
+        if (!this.stateFile) return;
+        try {
+            const state = readJsonIfExists(this.stateFile);
+            if (!state) {
+                // 没有快照时从账本的最后一笔成交继续，避免重复计入已记录的成交量
+                if (this.pnlLedger.lastTradeTimestamp !== undefined) {
+                    this.lastTradeTimestamp = this.pnlLedger.lastTradeTimestamp + 1;
+                }
+                log('INFO', `策略状态: ${this.stateFile} 不存在，成交量从零开始。`);
+                return;
+            }
+            this.lastTradeTimestamp = state.lastTradeTimestamp;
+            this.totalTradedBaseVolume = state.totalTradedBaseVolume ?? 0;
+            this.restoredLadderOrders = state.ladderOrders;
+            this.markoutTracker.restorePending(state.markoutPending);
+            const orderCount = [...(state.ladderOrders?.buy ?? []), ...(state.ladderOrders?.sell ?? [])].filter(Boolean).length;
+            log('INFO', `策略状态已从 ${this.stateFile} 恢复 (保存于 ${new Date(state.savedAt).toISOString()}): 总成交量 ${formatNumber(this.totalTradedBaseVolume, this.amountPrecision)} ${this.market?.base}，挂单 ${orderCount} 个。`);
+        } catch (error) {
+            // 损坏的快照不能被静默覆盖，本次运行只在内存中保存状态
+            log('ERROR', `策略状态: 读取 ${this.stateFile} 失败，本次运行不保存策略状态:`, error);
+            this.stateFile = undefined;
+        }
+    }
+
+    /**
+     * 原子地写入策略状态快照 (每个周期结束后和撤单后调用)。
+     */
+    saveState() {
+        if (!this.stateFile) return;
+        try {
+            writeJsonAtomic(this.stateFile, {
+                savedAt: Date.now(),
+                lastTradeTimestamp: this.lastTradeTimestamp,
+                totalTradedBaseVolume: this.totalTradedBaseVolume,
+                ladderOrders: this.ladderOrders,
+                markoutPending: this.markoutTracker.pending,
+            });
+        } catch (error) {
+            log('ERROR', `策略状态: 写入 ${this.stateFile} 失败:`, error);
+        }
+    }
+
+    /**
+     * 当前时间 (毫秒)。回测和模拟盘的 exchange.milliseconds() 返回模拟时钟，保证结果可复现。
+     * @returns {number}
+     */
+    now() {
+        return this.exchangeService.exchange?.milliseconds?.() ?? Date.now();
+    }
+
+    /**
+     * 记录本周期的中间价，供波动率估计和 k 估计 (成交距中间价的距离) 使用。
+     * @param {number} midPrice 本周期的参考价格
+     */
+    recordMidPrice(midPrice) {
+        const now = this.now();
+        this.volatilityEstimator?.addSample(now, midPrice);
+        this.arrivalEstimator?.recordMid(now, midPrice);
+    }
+
+    /**
+     * 计算目标价差百分比。启用波动率模型时，价差 = 倍数 × 波动率，
+     * 并限制在下限和上限之间；样本不足时使用固定的 targetSpreadPct。
+     * @returns {number}
+     */
+    calculateTargetSpreadPct() {
+        if (!this.volatilityEstimator || this.config.volatilityModel === 'none') return this.config.targetSpreadPct;
+
+        const volatility = this.volatilityEstimator.volatility(this.config.volatilityHorizonSeconds);
+        if (volatility === undefined) {
+            log('INFO', `波动率估计预热中 (${this.volatilityEstimator.samples.length}/${this.config.volatilityMinSamples} 个样本)，使用固定价差 ${this.config.targetSpreadPct * 100}%。`);
+            return this.config.targetSpreadPct;
+        }
+        const spreadPct = Math.max(
+            this.config.volatilitySpreadFloorPct,
+            Math.min(this.config.volatilitySpreadCapPct, this.config.volatilitySpreadMultiplier * volatility)
+        );
+        log('INFO', `波动率 (${this.config.volatilityModel}, ${this.config.volatilityHorizonSeconds} 秒): ${(volatility * 100).toFixed(4)}%，价差百分比: ${(spreadPct * 100).toFixed(4)}%`);
+        return spreadPct;
+    }
+
+    /**
+     * Avellaneda-Stoikov 报价：围绕保留价格 r 放置宽度为最优价差 δ 的买卖价。
+     * 库存 q 以 BASE_AMOUNT 为单位；σ 尚未预热时不做库存调整，k 未知时使用常规目标价差。
+     * @param {number} midPrice 参考价格
+     * @param {number} positionSize 当前持仓相对目标库存的偏差 (基础货币，没有资金费率目标时即当前持仓)
+     * @param {number} fallbackSpreadAbs 常规目标价差 (绝对值)
+     * @returns {{buyPrice: number, sellPrice: number}}
+     */
+    calculateAvellanedaStoikovQuotes(midPrice, positionSize, fallbackSpreadAbs) {
+        const gamma = this.config.asRiskAversion;
+        const horizon = this.config.asHorizonSeconds;
+        const inventory = this.config.baseAmount > 0 ? positionSize / this.config.baseAmount : 0;
+        const variancePerSecond = this.volatilityEstimator?.variancePerSecond();
+        const k = this.config.asArrivalK ?? this.arrivalEstimator?.estimate();
+
+        if (variancePerSecond === undefined) {
+            log('INFO', `Avellaneda-Stoikov: 波动率预热中，暂用中间价和常规价差 ${formatNumber(fallbackSpreadAbs, this.pricePrecision)}。`);
+            return { buyPrice: midPrice - fallbackSpreadAbs / 2, sellPrice: midPrice + fallbackSpreadAbs / 2 };
+        }
+        // 对数收益率方差换算为价格方差
+        const priceVariance = variancePerSecond * midPrice * midPrice;
+        const reservation = reservationPrice(midPrice, inventory, gamma, priceVariance, horizon);
+        let spread = k !== undefined ? optimalSpread(gamma, priceVariance, horizon, k) : fallbackSpreadAbs;
+        spread = Math.max(this.config.minSpread ?? 0, Math.min(this.config.maxSpread ?? Infinity, spread));
+
+        log('INFO', `Avellaneda-Stoikov: q=${inventory.toFixed(3)}, γ=${gamma}, σ²=${priceVariance.toExponential(3)}/秒, τ=${horizon}秒, k=${k !== undefined ? k.toFixed(4) : `未知 (成交 ${this.arrivalEstimator?.distances.length ?? 0}/${this.config.asKMinFills})`}`);
+        log('INFO', `Avellaneda-Stoikov: 保留价格=${formatNumber(reservation, this.pricePrecision)}, 价差=${formatNumber(spread, this.pricePrecision)}`);
+        return { buyPrice: reservation - spread / 2, sellPrice: reservation + spread / 2 };
+    }
+
+    /**
+     * 按 REFERENCE_WEIGHT 把本交易所的公允价格拉向外部参考价格。
+     * @param {number} localFairPrice 由本交易所订单簿计算的参考价格
+     * @returns {Promise<number | undefined>} 本周期使用的参考价格；undefined 表示本周期应停止报价
+     */
+    async applyExternalReference(localFairPrice) {
+        if (!this.referenceFeed) return localFairPrice;
+        const reference = await this.referenceFeed.update();
+        if (reference.price === undefined) {
+            metrics.referenceDeviationBps.remove({ symbol: this.config.symbol });
+            if (this.config.referenceStaleAction === 'local') {
+                log('WARN', `外部参考价格不可用 (${reference.freshSources} 个来源有新价格)，本周期只使用本交易所订单簿。`);
+                return localFairPrice;
+            }
+            log('WARN', `外部参考价格不可用 (${reference.freshSources} 个来源有新价格，需要 ${this.config.referenceMinSources} 个)，停止报价。`);
+            return undefined;
+        }
+        const deviationBps = (localFairPrice - reference.price) / reference.price * 10000;
+        metrics.referenceDeviationBps.set({ symbol: this.config.symbol }, deviationBps);
+        if (this.config.referenceMaxDeviationBps > 0 && Math.abs(deviationBps) > this.config.referenceMaxDeviationBps) {
+            log('WARN', `本交易所价格 ${formatNumber(localFairPrice, this.pricePrecision)} 偏离外部参考价格 ${formatNumber(reference.price, this.pricePrecision)} ${deviationBps.toFixed(1)} 基点，超过 ${this.config.referenceMaxDeviationBps} 基点，停止报价。`);
+            return undefined;
+        }
+        const fairPrice = localFairPrice + this.config.referenceWeight * (reference.price - localFairPrice);
+        log('INFO', `外部参考价格: ${formatNumber(reference.price, this.pricePrecision)} (偏离 ${deviationBps.toFixed(1)} 基点)，权重 ${this.config.referenceWeight}，公允价格: ${formatNumber(fairPrice, this.pricePrecision)}`);
+        return fairPrice;
     }
 
     // --- 成交量跟踪辅助函数 ---
@@ -86,29 +367,43 @@ export class MarketMakerStrategy {
         log('INFO', '正在更新成交量...');
         try {
             // 获取自上次已知时间戳以来的成交记录
-            const trades = await this.exchangeService.exchange.fetchMyTrades(
-                this.config.symbol,
+            const trades = await this.exchangeService.fetchMyTrades(
                 this.lastTradeTimestamp, // 'since' 参数
                 undefined, // limit (可选, 让 ccxt 处理默认值)
                 // { 'orderId': '...' } // 如果需要，某些交易所允许按 orderId 过滤
             );
 
             if (trades && trades.length > 0) {
+                // 账本自行按时间戳和成交 ID 去重
+                this.pnlLedger.applyTrades(trades);
+
                 let newVolume = 0;
                 let latestTimestamp = this.lastTradeTimestamp ?? 0;
+                const journalRecords = [];
 
                 for (const trade of trades) {
                     // 基本检查以避免时间戳相同时可能出现的重复
                     if (trade.timestamp > (this.lastTradeTimestamp ?? 0)) {
                         // 累加成交量 (假设 trade.amount 始终是基础货币)
                         newVolume += trade.amount;
+                        this.arrivalEstimator?.addFill(trade);
+                        this.riskManager.recordFill(trade);
+                        metrics.fills.inc({ symbol: this.config.symbol, side: trade.side });
                         latestTimestamp = Math.max(latestTimestamp, trade.timestamp);
-                        log('DEBUG', `发现新成交: ${trade.side} ${trade.amount} @ ${trade.price}, 时间戳: ${trade.timestamp}`);
+                        // 归属到产生该成交的报价 (平仓单、手动订单等不在跟踪范围内)
+                        const quote = this.orderTracker.applyTrade(trade, this.now());
+                        this.markoutTracker.addFill(trade, quote?.level);
+                        // ccxt 成交结构 (去掉原始 info)，与 report.js 从交易所获取的成交格式相同
+                        const { info, ...journalRecord } = trade;
+                        journalRecords.push({ ...journalRecord, level: quote?.level });
+                        logger.debug('发现新成交', { side: trade.side, orderId: trade.order, tradeId: trade.id, price: trade.price, amount: trade.amount, timestamp: trade.timestamp, ladderLevel: quote?.level, quotePrice: quote?.price, orderState: quote?.state });
                     }
                 }
 
+                this.appendFillJournal(journalRecords);
                 if (newVolume > 0) {
                     this.totalTradedBaseVolume += newVolume;
+                    metrics.tradedVolume.inc({ symbol: this.config.symbol }, newVolume);
                     // 更新下次获取的时间戳。增加 1ms 以防止再次获取同一笔最后的成交。
                     this.lastTradeTimestamp = latestTimestamp + 1;
                     log('INFO', `成交量增加 ${formatNumber(newVolume, this.amountPrecision)}。新的总成交量: ${formatNumber(this.totalTradedBaseVolume, this.amountPrecision)} ${this.market?.base}`);
@@ -125,9 +420,66 @@ export class MarketMakerStrategy {
     }
 
 
+    /**
+     * 把新成交追加到本地成交记录 (写入失败只记录错误，不影响成交量统计)。
+     * @param {object[]} records
+     */
+    appendFillJournal(records) {
+        if (!this.fillJournalFile) return;
+        try {
+            appendJsonLines(this.fillJournalFile, records);
+        } catch (error) {
+            log('ERROR', `成交记录: 写入 ${this.fillJournalFile} 失败:`, error);
+        }
+    }
+
+    /**
+     * 安排在下一个周期开始前应用新的配置参数 (热重载)，避免周期中途参数不一致。
+     * 多次安排的更新会合并，后安排的值优先。
+     * @param {Partial<import('./config.js').Config>} updates
+     */
+    scheduleConfigUpdate(updates) {
+        this.pendingConfigUpdate = { ...this.pendingConfigUpdate, ...updates };
+    }
+
+    /**
+     * 运行一个策略周期。周期内的所有日志 (包括交易所调用的日志) 都带有 symbol 和 cycleId 字段。
+     */
     async runCycle() {
-        log('INFO', '--- 开始策略周期 ---');
+        if (this.pendingConfigUpdate) {
+            Object.assign(this.config, this.pendingConfigUpdate);
+            log('INFO', `[${this.config.symbol}] 已应用重新加载的配置参数:`, this.pendingConfigUpdate);
+            this.pendingConfigUpdate = undefined;
+        }
+        this.cycleCount++;
+        return runWithLogContext({ symbol: this.config.symbol, cycleId: this.cycleCount }, () => this.runCycleInContext());
+    }
+
+    async runCycleInContext() {
+        log('INFO', `--- 开始策略周期 [${this.config.symbol}] ---`);
+        const cycleStartedAt = Date.now();
         try {
+            // 0. 风控熔断：熔断期间不报价，只继续记录成交
+            if (this.riskManager.getStatus(this.now()) === 'tripped') {
+                log('WARN', `风控熔断中 (${this.riskManager.state.reason})，不报价。运行 \`node risk.js reset\` 或删除 ${this.riskManager.filePath ?? '风控状态'} 以恢复。`);
+                if ([...this.ladderOrders.buy, ...this.ladderOrders.sell].some(Boolean)) {
+                    await this.cancelOwnOrders();
+                }
+                this.recordQuoteMetrics();
+                await this.updateTradedVolume();
+                return;
+            }
+            // 通过控制 API 暂停：撤销本实例订单，不报价
+            if (this.paused) {
+                log('WARN', '报价已通过控制 API 暂停，不报价。');
+                if ([...this.ladderOrders.buy, ...this.ladderOrders.sell].some(Boolean)) {
+                    await this.cancelOwnOrders();
+                }
+                this.recordQuoteMetrics();
+                await this.updateTradedVolume();
+                return;
+            }
+
             // 1. 获取数据
             const [ticker, orderBook, balance, position] = await Promise.all([
                 this.exchangeService.fetchTicker(),
@@ -152,13 +504,15 @@ export class MarketMakerStrategy {
 
             // 记录市场状态
             log('INFO', `订单簿: 最佳买价=${bestBid}, 最佳卖价=${bestAsk}`);
+            this.markoutTracker.recordMid(this.now(), (bestBid + bestAsk) / 2); // 只用 REST 时每个周期的唯一采样
             if (ticker && typeof ticker.last === 'number') {
                 log('INFO', `行情: 最新价=${ticker.last}`);
             }
             log('INFO', `余额: ${formatNumber(balance, 4)} ${this.market?.quote}`); // 格式化余额显示
             // 确保 currentPositionSize 是数字，如果 undefined/null 则默认为 0
             // 尝试从 position 对象中获取合约数量，兼容不同交易所返回结构
-            let currentPositionSize = position?.contracts // 标准 ccxt 字段
+            // ccxt 的 contracts 是绝对值，方向由 side 给出
+            let currentPositionSize = (position?.contracts != null ? Number(position.contracts) * (position.side === 'short' ? -1 : 1) : undefined) // 标准 ccxt 字段
                 ?? position?.info?.positionAmt // 币安合约常见字段
                 ?? position?.info?.qty // OKX 合约常见字段
                 ?? 0; // 默认为 0
@@ -167,24 +521,61 @@ export class MarketMakerStrategy {
 
             const positionSide = currentPositionSize > 0 ? 'long' : (currentPositionSize < 0 ? 'short' : 'none');
             log('INFO', `持仓: 数量=${formatNumber(currentPositionSize, this.amountPrecision)} ${this.market?.base}, 方向=${positionSide}`);
+            this.riskManager.recordPosition(this.now(), currentPositionSize);
+            metrics.position.set({ symbol: this.config.symbol }, currentPositionSize);
+            // 合计两个场所的持仓，超过阈值时在对冲场所下单 (失败只记录，不影响报价)
+            await this.hedger?.rebalance(currentPositionSize);
+            // 永续合约：刷新资金费率并记入资金费，目标库存偏向收取资金费的一方 (未启用 FUNDING_AWARE 时为 0)
+            await this.fundingMonitor?.refresh(this.now(), this.pnlLedger);
+            const inventoryTarget = this.fundingMonitor?.getTargetPosition(this.now()) ?? 0;
+            const inventoryDeviation = currentPositionSize - inventoryTarget;
+            metrics.inventoryTarget.set({ symbol: this.config.symbol }, inventoryTarget);
+            if (inventoryTarget !== 0) {
+                log('INFO', `资金费率目标库存: ${formatNumber(inventoryTarget, this.amountPrecision)} ${this.market?.base}，相对目标的库存偏差: ${formatNumber(inventoryDeviation, this.amountPrecision)}`);
+            }
 
 
             // 2. 计算基础价格
-            const depthMidPrice = this.orderBookAnalyzer.calculateDepthMidPrice(orderBook, this.config.orderBookDepthLevels);
-            if (depthMidPrice === null) {
-                log('ERROR', '计算深度中间价失败。跳过周期。');
+            const localFairPrice = this.orderBookAnalyzer.calculateFairPrice(orderBook, this.config.fairValueMethod, {
+                depthLevels: this.config.orderBookDepthLevels,
+                imbalanceLevels: this.config.imbalanceLevels,
+                imbalanceSensitivity: this.config.imbalanceSensitivity,
+            });
+            if (localFairPrice === null) {
+                log('ERROR', `计算参考价格 (${this.config.fairValueMethod}) 失败。跳过周期。`);
                 await this.cancelStaleOrdersIfNeeded();
                 return;
             }
-            log('INFO', `深度中间价: ${formatNumber(depthMidPrice, this.pricePrecision)}`);
+            // 盈亏按深度中间价盯市，不随报价模型 (FAIR_VALUE_METHOD) 和外部参考价格变化
+            const markPrice = this.orderBookAnalyzer.calculateDepthMidPrice(orderBook, this.config.orderBookDepthLevels) ?? localFairPrice;
+            const imbalance = this.orderBookAnalyzer.calculateImbalance(orderBook, this.config.imbalanceLevels);
+            log('INFO', `参考价格 (${this.config.fairValueMethod}): ${formatNumber(localFairPrice, this.pricePrecision)}, 订单簿不平衡度: ${imbalance !== null ? imbalance.toFixed(3) : 'N/A'}`);
+
+            // 外部参考价格：锚定到其他交易所的成交价位，本交易所偏离过大或参考价格不可用时停止报价
+            const referencePrice = await this.applyExternalReference(localFairPrice);
+            if (referencePrice === undefined) {
+                if ([...this.ladderOrders.buy, ...this.ladderOrders.sell].some(Boolean)) {
+                    await this.cancelOwnOrders();
+                }
+                this.lastMarketState = { balance, position: currentPositionSize, referencePrice, markPrice };
+                this.recordQuoteMetrics();
+                await this.updateTradedVolume();
+                // 不报价时持仓仍有风险，照常按本交易所价格盯市并执行风控检查
+                await this.checkRisk(markPrice);
+                return;
+            }
 
-            let targetSpreadAbs = depthMidPrice * this.config.targetSpreadPct;
+            this.lastMarketState = { balance, position: currentPositionSize, referencePrice, markPrice };
+            this.portfolio?.updateExposure(this.config.symbol, currentPositionSize, referencePrice);
+            this.recordMidPrice(referencePrice);
+            const targetSpreadPct = this.calculateTargetSpreadPct();
+            let targetSpreadAbs = referencePrice * targetSpreadPct;
             targetSpreadAbs = Math.max(this.config.minSpread ?? 0, Math.min(this.config.maxSpread ?? Infinity, targetSpreadAbs)); // 添加默认值处理
-            log('INFO', `目标价差: ${formatNumber(targetSpreadAbs, this.pricePrecision)} (绝对值), ${this.config.targetSpreadPct * 100}% (百分比)`);
+            log('INFO', `目标价差: ${formatNumber(targetSpreadAbs, this.pricePrecision)} (绝对值), ${targetSpreadPct * 100}% (百分比)`);
 
             // --- 初始目标价格 (倾斜前) ---
-            let initialTargetBuyPrice = depthMidPrice - targetSpreadAbs / 2;
-            let initialTargetSellPrice = depthMidPrice + targetSpreadAbs / 2;
+            let initialTargetBuyPrice = referencePrice - targetSpreadAbs / 2;
+            let initialTargetSellPrice = referencePrice + targetSpreadAbs / 2;
             log('INFO', `初始目标价格 (倾斜前): 买=${formatNumber(initialTargetBuyPrice, this.pricePrecision)}, 卖=${formatNumber(initialTargetSellPrice, this.pricePrecision)}`);
 
 
@@ -194,10 +585,12 @@ export class MarketMakerStrategy {
             let skewAdjustment = 0;
             const positionLimit = this.config.positionLimit ?? 0; // 获取持仓限制，提供默认值
 
-            // 仅当倾斜强度和持仓限制都有效时才执行
-            if (this.config.inventorySkewIntensity > 0 && positionLimit > 0) {
-                // 计算库存相对于限制的比例 (-1 到 +1)
-                let inventoryRatio = currentPositionSize / positionLimit;
+            if (this.config.pricingModel === 'avellaneda-stoikov') {
+                // 替代线性倾斜：由保留价格和最优价差直接给出买卖价
+                ({ buyPrice: targetBuyPrice, sellPrice: targetSellPrice } = this.calculateAvellanedaStoikovQuotes(referencePrice, inventoryDeviation, targetSpreadAbs));
+            } else if (this.config.inventorySkewIntensity > 0 && positionLimit > 0) { // 仅当倾斜强度和持仓限制都有效时才执行
+                // 计算库存 (相对目标库存) 相对于限制的比例 (-1 到 +1)
+                let inventoryRatio = inventoryDeviation / positionLimit;
                 inventoryRatio = Math.max(-1, Math.min(1, inventoryRatio)); // 限制在 [-1, 1] 区间
 
                 // 计算价格需要移动的量 (倾斜调整量)
@@ -218,6 +611,26 @@ export class MarketMakerStrategy {
             }
             // --- 结束库存倾斜逻辑 ---
 
+            // 成交后 markout 持续为负 (被逆向选择) 的一侧远离参考价格
+            if (this.config.markoutWiden) {
+                const buyWidening = this.markoutTracker.getWidening('buy');
+                const sellWidening = this.markoutTracker.getWidening('sell');
+                if (buyWidening.widenBps > 0 || sellWidening.widenBps > 0) {
+                    targetBuyPrice -= referencePrice * buyWidening.widenBps / 10000;
+                    targetSellPrice += referencePrice * sellWidening.widenBps / 10000;
+                    log('INFO', `markout 加宽 (+${this.config.markoutWidenHorizonSeconds}s): 买方 ${buyWidening.widenBps.toFixed(2)} bps (平均 ${buyWidening.meanBps?.toFixed(2) ?? 'N/A'} bps, ${buyWidening.fills} 笔)，卖方 ${sellWidening.widenBps.toFixed(2)} bps (平均 ${sellWidening.meanBps?.toFixed(2) ?? 'N/A'} bps, ${sellWidening.fills} 笔): 买=${formatNumber(targetBuyPrice, this.pricePrecision)}, 卖=${formatNumber(targetSellPrice, this.pricePrecision)}`);
+                }
+            }
+
+            // 风控冷却期：围绕报价中心加宽价差
+            const riskSpreadMultiplier = this.riskManager.getSpreadMultiplier(this.now());
+            if (riskSpreadMultiplier > 1) {
+                const quoteCenter = (targetBuyPrice + targetSellPrice) / 2;
+                const halfSpread = (targetSellPrice - targetBuyPrice) / 2 * riskSpreadMultiplier;
+                targetBuyPrice = quoteCenter - halfSpread;
+                targetSellPrice = quoteCenter + halfSpread;
+                log('WARN', `风控冷却中 (${this.riskManager.state.reason})，价差放大 ${riskSpreadMultiplier} 倍: 买=${formatNumber(targetBuyPrice, this.pricePrecision)}, 卖=${formatNumber(targetSellPrice, this.pricePrecision)}`);
+            }
 
             // --- 最终价格调整和验证 ---
             targetBuyPrice = adjustPriceToTickSize(targetBuyPrice, this.tickSize);
@@ -271,16 +684,19 @@ export class MarketMakerStrategy {
             let placeBuy = true;
             let placeSell = true;
             const absPositionSize = Math.abs(currentPositionSize);
+            this.reduceOnlySide = undefined;
 
             if (positionLimit > 0) { // 仅当设置了限制时检查
                 if (currentPositionSize > 0 && absPositionSize >= positionLimit) {
                     log('WARN', `持仓限制 (${positionLimit}) 已达到/超过 (多头)。阻止下新的买单。`);
                     placeBuy = false;
+                    this.reduceOnlySide = 'sell';
                     // 保留增强的卖单数量逻辑以帮助在达到限制时减少持仓
                     sellAmount = Math.max(sellAmount, absPositionSize);
                 } else if (currentPositionSize < 0 && absPositionSize >= positionLimit) {
                     log('WARN', `持仓限制 (-${positionLimit}) 已达到/超过 (空头)。阻止下新的卖单。`);
                     placeSell = false;
+                    this.reduceOnlySide = 'buy';
                     // 保留增强的买单数量逻辑以帮助在达到限制时减少持仓
                     buyAmount = Math.max(buyAmount, absPositionSize);
                 }
@@ -291,53 +707,71 @@ export class MarketMakerStrategy {
             sellAmount = adjustAmountToStepSize(sellAmount, this.stepSize);
             log('INFO', `目标数量 (调整后): 买=${formatNumber(buyAmount, this.amountPrecision)}, 卖=${formatNumber(sellAmount, this.amountPrecision)}`);
 
-            // 名义价值检查 (Notional Value Check)
+            // 按配置展开多层报价 (第 0 层即上面计算出的价格和数量)
+            let buyLevels = placeBuy ? this.buildLadderTargets('buy', targetBuyPrice, buyAmount) : [];
+            let sellLevels = placeSell ? this.buildLadderTargets('sell', targetSellPrice, sellAmount) : [];
+
+            // 名义价值检查 (Notional Value Check)，逐层进行
             const MIN_NOTIONAL_VALUE = this.config.minNotionalValue ?? 10; // 从配置或默认值获取
-            if (placeBuy && buyAmount > 0 && (buyAmount * targetBuyPrice < MIN_NOTIONAL_VALUE)) {
-                log('WARN', `计算出的买单名义价值 (${(buyAmount * targetBuyPrice).toFixed(2)}) 低于最小值 (${MIN_NOTIONAL_VALUE})。跳过买单。`);
-                placeBuy = false;
-                buyAmount = 0; // 设置为 0 以确保在需要时取消订单
-            }
-            if (placeSell && sellAmount > 0 && (sellAmount * targetSellPrice < MIN_NOTIONAL_VALUE)) {
-                log('WARN', `计算出的卖单名义价值 (${(sellAmount * targetSellPrice).toFixed(2)}) 低于最小值 (${MIN_NOTIONAL_VALUE})。跳过卖单。`);
-                placeSell = false;
-                sellAmount = 0;
-            }
-
-            // 余额检查
-            const estimatedBuyCost = buyAmount * targetBuyPrice;
-            if (placeBuy && estimatedBuyCost > balance && estimatedBuyCost > 0) {
-                log('WARN', `余额不足 (${formatNumber(balance, 4)}) 来下买单 (约需 ${formatNumber(estimatedBuyCost, 4)})。停止买单放置。`);
-                placeBuy = false;
-                buyAmount = 0; // 如果无法放置，则将金额设置为 0
-            }
-            // 卖方余额/持仓检查 (如果做多或持平，不能卖出超过持有的数量)
-            if (placeSell && sellAmount > 0) {
-                // 如果当前持有多头或零仓位
-                if (currentPositionSize >= 0) {
-                    // 允许少量误差 (stepSize)
-                    const maxSellable = currentPositionSize + (this.stepSize ?? 0.00000001);
-                    if (sellAmount > maxSellable) {
-                        log('WARN', `试图卖出 ${formatNumber(sellAmount, this.amountPrecision)} 但仅持有 ${formatNumber(currentPositionSize, this.amountPrecision)}。调整卖出数量。`);
-                        sellAmount = adjustAmountToStepSize(Math.max(0, currentPositionSize), this.stepSize); // 最多卖出持有的数量
-                        // 再次检查调整后的数量是否有效
-                        if (sellAmount < this.minAmount || (sellAmount * targetSellPrice < MIN_NOTIONAL_VALUE)) {
-                            log('WARN', `调整后的卖出数量 ${formatNumber(sellAmount, this.amountPrecision)} 过小或低于名义价值。跳过卖单。`);
-                            placeSell = false;
-                            sellAmount = 0;
+            const meetsNotional = (side) => (target) => {
+                if (target.amount > 0 && target.amount * target.price < MIN_NOTIONAL_VALUE) {
+                    log('WARN', `${side.toUpperCase()} 第 ${target.level} 层名义价值 (${(target.amount * target.price).toFixed(2)}) 低于最小值 (${MIN_NOTIONAL_VALUE})。跳过该层。`);
+                    return false;
+                }
+                return target.amount > 0;
+            };
+            buyLevels = buyLevels.filter(meetsNotional('buy'));
+            sellLevels = sellLevels.filter(meetsNotional('sell'));
+
+            // 余额检查 (所有买单层累计占用)
+            let cumulativeBuyCost = 0;
+            buyLevels = buyLevels.filter((target) => {
+                const levelCost = target.amount * target.price;
+                if (cumulativeBuyCost + levelCost > balance) {
+                    log('WARN', `余额不足 (${formatNumber(balance, 4)}) 来下买单第 ${target.level} 层 (累计约需 ${formatNumber(cumulativeBuyCost + levelCost, 4)})。跳过该层。`);
+                    return false;
+                }
+                cumulativeBuyCost += levelCost;
+                return true;
+            });
+            // 卖方余额/持仓检查 (如果做多或持平，所有卖单层累计不能超过持有的数量；
+            // 资金费率目标库存为空头时，允许卖出至目标库存)
+            if (currentPositionSize >= 0 && sellLevels.length > 0) {
+                // 允许少量误差 (stepSize)
+                const sellTolerance = this.stepSize ?? 0.00000001;
+                let remainingPosition = currentPositionSize - Math.min(0, inventoryTarget);
+                sellLevels = sellLevels.filter((target) => {
+                    if (target.amount > remainingPosition + sellTolerance) {
+                        log('WARN', `卖单第 ${target.level} 层试图卖出 ${formatNumber(target.amount, this.amountPrecision)} 但仅剩可卖 ${formatNumber(Math.max(0, remainingPosition), this.amountPrecision)}。调整卖出数量。`);
+                        const trimmedAmount = adjustAmountToStepSize(Math.max(0, remainingPosition), this.stepSize); // 最多卖出剩余持有的数量
+                        if (trimmedAmount <= 0 || trimmedAmount < this.minAmount || trimmedAmount * target.price < MIN_NOTIONAL_VALUE) {
+                            log('WARN', `调整后的卖出数量 ${formatNumber(trimmedAmount, this.amountPrecision)} 过小或低于名义价值。跳过该层。`);
+                            remainingPosition = 0;
+                            return false;
                         }
+                        target.amount = trimmedAmount;
                     }
-                }
+                    remainingPosition -= target.amount;
+                    return true;
+                });
                 // 如果允许保证金交易并且当前是空头，此检查可能不太相关，
                 // 假设保证金充足（持仓限制已处理）。
             }
 
+            // 组合风险检查 (所有交易对持仓的总名义价值)
+            if (this.portfolio) {
+                buyLevels = this.portfolio.filterLevels(this.config.symbol, 'buy', buyLevels);
+                sellLevels = this.portfolio.filterLevels(this.config.symbol, 'sell', sellLevels);
+            }
+
 
-            // 5. 订单管理 (使用最终倾斜后的价格和调整后的数量)
+            // 5. 订单管理 (先同步挂单状态，再逐层只处理有变化的订单)
+            await this.syncLadderWithOpenOrders();
             const results = await Promise.allSettled([
-                this.manageOrder('buy', placeBuy, buyAmount, targetBuyPrice),
-                this.manageOrder('sell', placeSell, sellAmount, targetSellPrice)
+                this.syncLadder('buy', buyLevels),
+                this.syncLadder('sell', sellLevels)
             ]);
+            this.recordQuoteMetrics(orderBook, referencePrice);
 
             // 可选：记录订单管理结果
             // log('DEBUG', '订单管理结果:', results);
@@ -346,10 +780,12 @@ export class MarketMakerStrategy {
             // --- 成交量跟踪 ---
             // 在生产中降低调用频率！
             await this.updateTradedVolume();
+            await this.checkRisk(markPrice);
 
 
         } catch (error) {
             log('ERROR', '策略周期中出错:', error);
+            metrics.errors.inc({ symbol: this.config.symbol, source: 'cycle', error: errorClassName(error) });
             if (error instanceof ccxt.AuthenticationError) {
                 log('ERROR', '身份验证失败。检查 API 密钥。正在停止机器人。');
                 throw error; // 向上抛出以停止主循环
@@ -364,24 +800,299 @@ export class MarketMakerStrategy {
             // 如果周期中发生重大错误，尝试取消订单
             await this.cancelStaleOrdersIfNeeded();
         } finally {
-            log('INFO', '--- 结束策略周期 ---');
+            this.lastCycle = { startedAt: cycleStartedAt, durationMs: Date.now() - cycleStartedAt };
+            metrics.cycleDuration.observe({ symbol: this.config.symbol }, this.lastCycle.durationMs / 1000);
+            this.saveState();
+            log('INFO', `--- 结束策略周期 [${this.config.symbol}] ---`);
+        }
+    }
+
+    /**
+     * 风控检查 (本周期的成交、持仓和盈亏)：记录盈亏并评估风控，触发熔断时停止交易。
+     * @param {number} markPrice 盯市价格 (深度中间价)
+     */
+    async checkRisk(markPrice) {
+        this.pnlLedger.logSummary(markPrice);
+        this.riskManager.recordPnl(this.pnlLedger.getSnapshot(markPrice).netPnl);
+        const breach = this.riskManager.evaluate(this.now());
+        if (breach?.action === 'halt') {
+            await this.haltTrading();
+        }
+    }
+
+    /**
+     * 当前状态快照 (控制 API 的 GET /status)。
+     * @returns {object} 可直接序列化为 JSON
+     */
+    getStatus() {
+        const quotes = (side) => this.ladderOrders[side]
+            .map((slot, level) => slot && { level, id: slot.id, price: slot.price, amount: slot.amount, filled: slot.filled, remaining: slot.remaining, state: slot.state })
+            .filter(Boolean);
+        const referencePrice = this.lastMarketState?.referencePrice;
+        const markPrice = this.lastMarketState?.markPrice;
+        return {
+            symbol: this.config.symbol,
+            paused: this.paused,
+            risk: this.riskManager.state,
+            quotes: { buy: quotes('buy'), sell: quotes('sell') },
+            position: this.lastMarketState?.position,
+            balance: this.lastMarketState?.balance,
+            referencePrice,
+            pnl: markPrice !== undefined ? this.pnlLedger.getSnapshot(markPrice) : undefined,
+            totalTradedBaseVolume: this.totalTradedBaseVolume,
+            hedge: this.hedger?.getStatus(this.lastMarketState?.position),
+            funding: this.fundingMonitor?.getStatus(this.now()),
+            reference: this.referenceFeed?.getStatus(),
+            markouts: this.markoutTracker.getSummary(),
+            lastCycle: this.lastCycle,
+        };
+    }
+
+    /**
+     * 更新报价指标：我方最优买卖价之间的价差 (tick 和基点)，以及距离订单簿最优价的 tick 数。
+     * @param {ccxt.OrderBook} [orderBook] 本周期的订单簿 (未报价的周期不传，移除所有报价指标)
+     * @param {number} [referencePrice] 本周期的参考价格
+     */
+    recordQuoteMetrics(orderBook, referencePrice) {
+        const symbol = this.config.symbol;
+        // 价格都已对齐 tick，取整去掉浮点误差
+        const toTicks = (priceDistance) => Math.round(priceDistance / (this.tickSize ?? NaN) * 1e6) / 1e6;
+        const buyPrices = this.ladderOrders.buy.filter(Boolean).map(slot => slot.price);
+        const sellPrices = this.ladderOrders.sell.filter(Boolean).map(slot => slot.price);
+        const ourBid = buyPrices.length > 0 ? Math.max(...buyPrices) : NaN;
+        const ourAsk = sellPrices.length > 0 ? Math.min(...sellPrices) : NaN;
+        // 任一侧没有挂单时值为 NaN，对应的指标会被移除
+        metrics.quotedSpreadTicks.set({ symbol }, toTicks(ourAsk - ourBid));
+        metrics.quotedSpreadBps.set({ symbol }, (ourAsk - ourBid) / (referencePrice ?? NaN) * 10000);
+        metrics.quoteDistanceFromTop.set({ symbol, side: 'buy' }, toTicks((orderBook?.bids[0]?.[0] ?? NaN) - ourBid));
+        metrics.quoteDistanceFromTop.set({ symbol, side: 'sell' }, toTicks(ourAsk - (orderBook?.asks[0]?.[0] ?? NaN)));
+    }
+
+    /**
+     * 按配置的 tick 偏移和数量倍数展开某一侧的多层报价目标
+     * @param {'buy' | 'sell'} side 买卖方向
+     * @param {number} basePrice 第 0 层目标价格 (已对齐 tick)
+     * @param {number} baseAmount 基础数量 (已对齐 step)
+     * @returns {LadderTarget[]} 各层目标
+     */
+    buildLadderTargets(side, basePrice, baseAmount) {
+        const targets = [];
+        const direction = side === 'buy' ? -1 : 1; // 买单向下、卖单向上远离中间价
+        for (let level = 0; level < this.config.ladderLevels; level++) {
+            const tickOffset = this.config.ladderTickOffsets[level] ?? 0;
+            const sizeMultiplier = this.config.ladderSizeMultipliers[level] ?? 1;
+            const price = adjustPriceToTickSize(basePrice + direction * tickOffset * (this.tickSize ?? 0), this.tickSize);
+            const amount = adjustAmountToStepSize(baseAmount * sizeMultiplier, this.stepSize);
+            if (price <= 0) {
+                log('WARN', `${side.toUpperCase()} 第 ${level} 层价格 ${formatNumber(price, this.pricePrecision)} 无效。跳过该层。`);
+                continue;
+            }
+            targets.push({ level, price, amount });
         }
+        log('INFO', `${side.toUpperCase()} 报价阶梯: ${targets.map(t => `L${t.level} ${formatNumber(t.amount, this.amountPrecision)}@${formatNumber(t.price, this.pricePrecision)}`).join(', ') || '无'}`);
+        return targets;
     }
 
     /**
-     * 使用编辑或创建来管理订单簿的单侧（买或卖）。
      * @param {'buy' | 'sell'} side 买卖方向
-     * @param {boolean} shouldPlace 风险管理是否允许放置/编辑此侧订单
+     * @param {number} level 层索引
+     * @returns {LadderSlot | null} 该层当前跟踪的订单
+     */
+    getLadderSlot(side, level) {
+        return this.ladderOrders[side][level] ?? null;
+    }
+
+    /**
+     * @param {'buy' | 'sell'} side 买卖方向
+     * @param {number} level 层索引
+     * @param {LadderSlot | null} slot 新的跟踪状态，null 表示该层无挂单
+     */
+    setLadderSlot(side, level, slot) {
+        this.ladderOrders[side][level] = slot;
+    }
+
+    /**
+     * 开始跟踪新挂出的报价订单并放入对应层。下单响应中的状态随即生效：已全部成交或被拒绝的订单不占层。
+     * @param {'buy' | 'sell'} side 买卖方向
+     * @param {number} level 层索引
+     * @param {ccxt.Order} order 下单或改单返回的订单
+     * @param {number} price 挂单价格
+     * @param {number} amount 挂单数量
+     */
+    trackQuote(side, level, order, price, amount) {
+        const tracked = this.orderTracker.track(order.id, { side, level, price, amount }, this.now());
+        this.orderTracker.applyOrder(order, this.now());
+        this.setLadderSlot(side, level, isFinalState(tracked.state) ? null : tracked);
+    }
+
+    /**
+     * 取消某一层的报价订单。只有撤单成功 (含订单已不存在) 时才结束跟踪并清空该层；
+     * 撤单失败时保留该层，由下个周期的 syncLadderSlot 按挂单列表或 fetchOrder 确认订单状态，避免重复挂单。
+     * @param {'buy' | 'sell'} side 买卖方向
+     * @param {number} level 层索引
+     * @param {string} orderId 订单 ID
+     * @param {string} logPrefix 日志前缀
+     * @returns {Promise<boolean>} 是否已撤单
+     */
+    async cancelQuote(side, level, orderId, logPrefix) {
+        if (await this.exchangeService.cancelOrder(orderId) === false) {
+            log('WARN', `${logPrefix}: 取消订单 ${orderId} 失败，继续跟踪该订单，下个周期确认状态后再处理。`);
+            return false;
+        }
+        metrics.orders.inc({ symbol: this.config.symbol, side, action: 'cancelled' });
+        this.orderTracker.markClosed(orderId, this.now());
+        this.setLadderSlot(side, level, null);
+        return true;
+    }
+
+    /**
+     * 判断已跟踪的订单是否已经满足目标 (价格和实际剩余挂单数量在半个 tick/step 内一致)
+     * @param {LadderSlot} slot 已跟踪的订单
+     * @param {LadderTarget} target 目标
+     * @returns {boolean}
+     */
+    isSameQuote(slot, target) {
+        const priceTolerance = (this.tickSize ?? 0) / 2;
+        const amountTolerance = (this.stepSize ?? 0) / 2;
+        return Math.abs(slot.price - target.price) <= priceTolerance
+            && Math.abs(slot.remaining - target.amount) <= amountTolerance;
+    }
+
+    /**
+     * 用交易所当前挂单更新各层订单的状态 (已成交/剩余数量)，清理已结束的层，使差异比较基于真实挂单。
+     * 不在挂单列表中的订单通过 fetchOrder 确认最终状态 (成交、取消或拒绝)。
+     * 获取失败时保持现有状态，避免重复挂单。
+     */
+    async syncLadderWithOpenOrders() {
+        const hasTrackedOrders = [...this.ladderOrders.buy, ...this.ladderOrders.sell].some(Boolean);
+        if (!hasTrackedOrders) return;
+
+        let openOrders;
+        try {
+            openOrders = await this.exchangeService.fetchOpenOrders();
+        } catch (error) {
+            log('WARN', '获取当前挂单失败，本周期沿用已跟踪的订单状态:', error);
+            return;
+        }
+        const openById = new Map(openOrders.map(order => [order.id, order]));
+        const updates = [];
+        for (const side of /** @type {const} */ (['buy', 'sell'])) {
+            this.ladderOrders[side].forEach((slot, level) => {
+                if (slot) updates.push(this.syncLadderSlot(side, level, slot, openById.get(slot.id)));
+            });
+        }
+        await Promise.all(updates);
+    }
+
+    /**
+     * @param {'buy' | 'sell'} side 买卖方向
+     * @param {number} level 层索引
+     * @param {LadderSlot} slot 已跟踪的订单
+     * @param {ccxt.Order | undefined} openOrder 挂单列表中的该订单，不在列表中为 undefined
+     */
+    async syncLadderSlot(side, level, slot, openOrder) {
+        const filledBefore = slot.filled;
+        if (openOrder) {
+            this.orderTracker.applyOrder(openOrder, this.now());
+        } else {
+            const finalOrder = await this.exchangeService.fetchOrder(slot.id);
+            if (finalOrder) {
+                // 挂单列表可能滞后：fetchOrder 显示仍在挂 (含部分成交) 时保留该层，下个周期再核对
+                this.orderTracker.applyOrder(finalOrder, this.now());
+            } else {
+                // 不支持 fetchOrder 或查不到订单时，按已知成交判断是否已成交
+                this.orderTracker.markClosed(slot.id, this.now());
+            }
+        }
+        const fields = { side, ladderLevel: level, orderId: slot.id, price: slot.price, amount: slot.amount, filled: slot.filled, remaining: slot.remaining, state: slot.state };
+        if (isFinalState(slot.state)) {
+            logger.info(`${side.toUpperCase()} 第 ${level} 层订单已结束 (${slot.state})。`, fields);
+            this.setLadderSlot(side, level, null);
+        } else if (slot.filled > filledBefore) {
+            logger.info(`${side.toUpperCase()} 第 ${level} 层订单部分成交，剩余 ${formatNumber(slot.remaining, this.amountPrecision)}。`, fields);
+        }
+    }
+
+    /**
+     * 将某一侧的挂单与目标阶梯做差异比较，只编辑、取消或放置有变化的层。
+     * @param {'buy' | 'sell'} side 买卖方向
+     * @param {LadderTarget[]} targets 通过风控检查后的各层目标
+     */
+    async syncLadder(side, targets) {
+        const levelCount = Math.max(this.ladderOrders[side].length, this.config.ladderLevels);
+        const tasks = [];
+        for (let level = 0; level < levelCount; level++) {
+            const target = targets.find(t => t.level === level);
+            const slot = this.getLadderSlot(side, level);
+            if (!slot && !target) continue;
+            if (slot && target && this.isSameQuote(slot, target)) {
+                log('DEBUG', `${side.toUpperCase()} 第 ${level} 层订单 ${slot.id} 未变化，跳过。`);
+                continue;
+            }
+            tasks.push(target
+                ? this.manageOrder(side, level, true, target.amount, target.price)
+                : this.manageOrder(side, level, false, 0, slot.price));
+        }
+        await Promise.allSettled(tasks);
+        // 层数配置减少后，去掉末尾的空槽
+        while (this.ladderOrders[side].length > 0 && !this.ladderOrders[side][this.ladderOrders[side].length - 1]) {
+            this.ladderOrders[side].pop();
+        }
+    }
+
+    /**
+     * 报价订单的统一下单参数，由 ExchangeService.mapOrderParams 映射为各交易所的参数。
+     * @param {'buy' | 'sell'} side 买卖方向
+     * @returns {{ postOnly?: boolean, reduceOnly?: boolean }}
+     */
+    quoteOrderParams(side) {
+        const params = {};
+        if (this.config.orderPostOnly) params.postOnly = true;
+        if (this.config.orderReduceOnlyAtLimit && side === this.reduceOnlySide) params.reduceOnly = true;
+        return params;
+    }
+
+    /**
+     * 下单或改单；post-only 订单因会吃单被拒绝时，向远离中间价方向移动一个 tick 后在本周期内重试，
+     * 最多 orderPostOnlyRetries 次。重试用尽后抛出最后一次的 OrderImmediatelyFillable。
+     * @param {'buy' | 'sell'} side 买卖方向
+     * @param {string} logPrefix 日志前缀
+     * @param {number} price 初始价格
+     * @param {(price: number) => Promise<ccxt.Order | undefined>} submit 按给定价格下单或改单
+     * @returns {Promise<{ order: ccxt.Order | undefined, price: number }>} 订单及最终使用的价格
+     */
+    async withPostOnlyRetry(side, logPrefix, price, submit) {
+        const retries = this.config.orderPostOnly && this.tickSize ? this.config.orderPostOnlyRetries : 0;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return { order: await submit(price), price };
+            } catch (error) {
+                if (!(error instanceof ccxt.OrderImmediatelyFillable)) throw error;
+                metrics.orders.inc({ symbol: this.config.symbol, side, action: 'post_only_rejected' });
+                if (attempt >= retries) throw error;
+                const repriced = adjustPriceToTickSize(price + (side === 'buy' ? -1 : 1) * this.tickSize, this.tickSize);
+                log('WARN', `${logPrefix}: post-only 订单 @ ${formatNumber(price, this.pricePrecision)} 会吃单被拒绝，改为 ${formatNumber(repriced, this.pricePrecision)} 重试 (${attempt + 1}/${retries})。`);
+                price = repriced;
+            }
+        }
+    }
+
+    /**
+     * 使用编辑或创建来管理订单簿单侧的某一层（买或卖）。
+     * @param {'buy' | 'sell'} side 买卖方向
+     * @param {number} level 层索引
+     * @param {boolean} shouldPlace 风险管理是否允许放置/编辑此层订单
      * @param {number} targetAmount 订单的目标数量
      * @param {number} targetPrice 订单的目标价格
      */
-    async manageOrder(side, shouldPlace, targetAmount, targetPrice) {
-        const orderId = side === 'buy' ? this.currentBuyOrderId : this.currentSellOrderId;
+    async manageOrder(side, level, shouldPlace, targetAmount, targetPrice) {
+        const slot = this.getLadderSlot(side, level);
+        const orderId = slot?.id ?? null;
         // 绑定正确的创建订单函数到 createFn
         const createFn = side === 'buy'
             ? this.exchangeService.createLimitBuyOrder.bind(this.exchangeService)
             : this.exchangeService.createLimitSellOrder.bind(this.exchangeService);
-        const logPrefix = side.toUpperCase();
+        const logPrefix = `${side.toUpperCase()} L${level}`;
 
         let placeNewOrder = false; // 标记是否需要放置新订单
 
@@ -401,31 +1112,40 @@ export class MarketMakerStrategy {
             if (shouldPlace) { // 如果经过数量检查后仍允许放置/编辑
                 log('INFO', `${logPrefix}: 尝试编辑现有订单 ${orderId} 为数量 ${formattedAmount} @ ${formattedPrice}`);
                 try {
-                    // 可选优化：先获取订单状态，如果价格和数量未变则跳过编辑
-                    // const existingOrder = await this.exchangeService.fetchOrder(orderId);
-                    // if (existingOrder && existingOrder.price === targetPrice && existingOrder.remaining === targetAmount) {
-                    //    log('INFO', `${logPrefix}: 订单 ${orderId} 参数未变，跳过编辑。`);
-                    //    return; // 无需操作
-                    // }
-
                     // 调用 editOrder，注意使用原始（未格式化）的 targetAmount 和 targetPrice
                     // 注意: editOrder 在 ccxt 中可能不被所有交易所完全支持或行为一致
                     if (this.exchangeService.exchange.has?.['editOrder']) {
-                        await this.exchangeService.editOrder( // 使用封装的 editOrder 方法
-                            orderId,
-                            'limit', // type 通常是 limit
-                            side,
-                            targetAmount,
-                            targetPrice
-                        );
-                        log('INFO', `${logPrefix}: 订单 ${orderId} 编辑成功。`);
-                        // 假设编辑后 ID 不变（对于 Binance 通常是这样）
+                        // 现货改单实际是撤单重下，会生成新订单，需要重新打上本实例的标记；
+                        // 合约改单保留原订单及其 clientOrderId
+                        const editParams = this.market?.spot
+                            ? { ...this.quoteOrderParams(side), clientOrderId: buildClientOrderId(this.config.botInstanceId, side, level) }
+                            : this.quoteOrderParams(side);
+                        // 合约改单的数量是含已成交部分的总数量，使剩余挂单等于目标；现货新订单只需目标数量
+                        const editAmount = this.market?.spot ? targetAmount : formatNumber(slot.filled + targetAmount, this.amountPrecision);
+                        const { order: editedOrder, price: editedPrice } = await this.withPostOnlyRetry(side, logPrefix, targetPrice,
+                            (price) => this.exchangeService.editOrder( // 使用封装的 editOrder 方法
+                                orderId,
+                                'limit', // type 通常是 limit
+                                side,
+                                editAmount,
+                                price,
+                                editParams
+                            ));
+                        logger.info(`${logPrefix}: 订单编辑成功。`, { side, ladderLevel: level, orderId, newOrderId: editedOrder?.id, price: editedPrice, amount: editAmount, filled: slot.filled });
+                        metrics.orders.inc({ symbol: this.config.symbol, side, action: 'edited' });
+                        // 对于 Binance 合约编辑后 ID 不变；如果交易所返回了新 ID (现货撤单重下)，原订单已结束，跟踪新订单
+                        if (editedOrder?.id && editedOrder.id !== orderId) {
+                            this.orderTracker.markClosed(orderId, this.now());
+                            this.trackQuote(side, level, editedOrder, editedPrice, editAmount);
+                        } else {
+                            this.orderTracker.amend(orderId, editedPrice, editAmount, this.now());
+                            if (editedOrder) this.orderTracker.applyOrder(editedOrder, this.now());
+                            if (isFinalState(slot.state)) this.setLadderSlot(side, level, null);
+                        }
                     } else {
                         log('WARN', `${logPrefix}: 交易所不支持 editOrder。将执行取消+创建操作。`);
-                        // 如果不支持编辑，则取消旧订单并标记放置新订单
-                        await this.exchangeService.cancelOrder(orderId); // 尝试取消
-                        if (side === 'buy') this.currentBuyOrderId = null; else this.currentSellOrderId = null;
-                        placeNewOrder = true; // 标记放置新订单
+                        // 如果不支持编辑，则取消旧订单，撤单成功后放置新订单
+                        placeNewOrder = await this.cancelQuote(side, level, orderId, logPrefix);
                     }
 
 
@@ -434,42 +1154,34 @@ export class MarketMakerStrategy {
                     // 处理特定错误：无需修改
                     if (error instanceof ccxt.ExchangeError && error.message.includes('-5027')) { // Binance: "无需修改订单"
                         log('INFO', `${logPrefix}: 订单 ${orderId} 参数未变，无需编辑。`);
+                        this.orderTracker.amend(orderId, targetPrice, formatNumber(slot.filled + targetAmount, this.amountPrecision), this.now());
                         placeNewOrder = false; // 保持现有订单ID，不放置新的
                     }
+                    // 处理特定错误：post-only 重试后仍会吃单，本周期撤掉该层 (不以 Taker 成交)
+                    else if (error instanceof ccxt.OrderImmediatelyFillable) {
+                        log('WARN', `${logPrefix}: post-only 改单重试 ${this.config.orderPostOnlyRetries} 次后仍会吃单，取消订单 ${orderId}，本周期不再挂单。`);
+                        // cancelOrder 不抛错：失败时返回 false (已记录错误)；订单不存在视为成功
+                        // (现货改单是撤单重下，新订单被拒绝时原订单已撤销)
+                        await this.cancelQuote(side, level, orderId, logPrefix);
+                        placeNewOrder = false;
+                    }
                     // 处理特定错误：订单未找到
                     else if (error instanceof ccxt.OrderNotFound || error.message.includes('Unknown order')) {
                         log('INFO', `${logPrefix}: 现有订单 ${orderId} 未找到，可能已成交/取消。`);
-                        if (side === 'buy') this.currentBuyOrderId = null; else this.currentSellOrderId = null;
+                        this.orderTracker.markClosed(orderId, this.now());
+                        this.setLadderSlot(side, level, null);
                         placeNewOrder = true; // 标记放置新订单
                     }
                     // 处理其他编辑错误
                     else {
                         log('WARN', `${logPrefix}: 编辑失败（其他原因），尝试取消订单 ${orderId}。`);
-                        try {
-                            await this.exchangeService.cancelOrder(orderId);
-                        } catch (cancelError) {
-                            log('ERROR', `${logPrefix}: 编辑失败后取消订单 ${orderId} 也失败:`, cancelError);
-                        } finally {
-                            // 无论取消是否成功，都清除 ID 并尝试放置新的
-                            if (side === 'buy') this.currentBuyOrderId = null; else this.currentSellOrderId = null;
-                            placeNewOrder = true;
-                        }
+                        // 撤单成功才放置新的；撤单失败时原订单可能仍在挂着
+                        placeNewOrder = await this.cancelQuote(side, level, orderId, logPrefix);
                     }
                 }
             } else { // 如果 shouldPlace 为 false (例如，风险限制、数量无效)
-                log('INFO', `${logPrefix}: 条件不满足，无法编辑订单 ${orderId} (放置标志: ${shouldPlace}, 数量: ${formattedAmount})。正在取消现有订单。`);
-                try {
-                    await this.exchangeService.cancelOrder(orderId);
-                } catch (cancelError) {
-                    if (cancelError instanceof ccxt.OrderNotFound) {
-                        log('INFO', `${logPrefix}: 在取消时订单 ${orderId} 未找到，可能已成交/取消。`);
-                    } else {
-                        log('ERROR', `${logPrefix}: 取消订单 ${orderId} 失败:`, cancelError);
-                    }
-                } finally {
-                    // 无论取消是否成功，都清除 ID
-                    if (side === 'buy') this.currentBuyOrderId = null; else this.currentSellOrderId = null;
-                }
+                logger.info(`${logPrefix}: 条件不满足，无法编辑订单 (放置标志: ${shouldPlace})。正在取消现有订单。`, { side, ladderLevel: level, orderId, amount: targetAmount });
+                await this.cancelQuote(side, level, orderId, logPrefix);
             }
         } else { // 没有跟踪现有的订单 ID
             placeNewOrder = true; // 可能需要放置新订单
@@ -480,28 +1192,33 @@ export class MarketMakerStrategy {
         if (placeNewOrder && shouldPlace && targetAmount >= this.minAmount) {
             log('INFO', `${logPrefix}: 放置新订单: ${formattedAmount} @ ${formattedPrice}`);
             try {
-                const newOrder = await createFn(targetAmount, targetPrice); // 使用原始值调用 API
+                const clientOrderId = buildClientOrderId(this.config.botInstanceId, side, level); // 标记为本实例的订单
+                const { order: newOrder, price: placedPrice } = await this.withPostOnlyRetry(side, logPrefix, targetPrice,
+                    (price) => createFn(targetAmount, price, { ...this.quoteOrderParams(side), clientOrderId })); // 使用原始值调用 API
                 if (newOrder && newOrder.id) {
-                    log('INFO', `${logPrefix}: 新订单放置成功。ID: ${newOrder.id}`);
-                    // 记录新订单 ID
-                    if (side === 'buy') this.currentBuyOrderId = newOrder.id; else this.currentSellOrderId = newOrder.id;
+                    logger.info(`${logPrefix}: 新订单放置成功。`, { side, ladderLevel: level, orderId: newOrder.id, price: placedPrice, amount: targetAmount });
+                    metrics.orders.inc({ symbol: this.config.symbol, side, action: 'placed' });
+                    // 跟踪新订单
+                    this.trackQuote(side, level, newOrder, placedPrice, targetAmount);
                 } else {
                     log('WARN', `${logPrefix}: createLimitOrder 未返回有效的订单 ID。`);
-                    if (side === 'buy') this.currentBuyOrderId = null; else this.currentSellOrderId = null;
+                    this.setLadderSlot(side, level, null);
                 }
             } catch (error) {
                 log('ERROR', `${logPrefix}: 放置新订单失败:`, error);
                 // 处理特定错误，如名义价值不足
-                if (error instanceof ccxt.InvalidOrder && error.message.includes('notional')) {
+                if (error instanceof ccxt.OrderImmediatelyFillable) {
+                    log('WARN', `${logPrefix}: post-only 下单重试 ${this.config.orderPostOnlyRetries} 次后仍会吃单，本周期不挂该层。`);
+                } else if (error instanceof ccxt.InvalidOrder && error.message.includes('notional')) {
                     log('ERROR', `${logPrefix}: 新订单未通过最小名义价值检查。`);
                 }
                 // 确保放置失败时 ID 为 null
-                if (side === 'buy') this.currentBuyOrderId = null; else this.currentSellOrderId = null;
+                this.setLadderSlot(side, level, null);
             }
         } else if (placeNewOrder) {
             // 如果 placeNewOrder 为 true，但未放置 (因为 shouldPlace=false 或 amount<minAmount)
             // 确保 ID 保持 null
-            if (side === 'buy') this.currentBuyOrderId = null; else this.currentSellOrderId = null;
+            this.setLadderSlot(side, level, null);
             // 添加日志说明为什么未放置新订单
             if (!shouldPlace) {
                 log('INFO', `${logPrefix}: 跳过新订单放置，因为放置标志为 false。`);
@@ -511,39 +1228,179 @@ export class MarketMakerStrategy {
         }
     }
 
-    /** 辅助函数：如果订单 ID 被存储但出现问题，则尝试取消订单 */
+    /**
+     * 启动时获取挂单，失败时按 1、2、4、8 秒退避重试。
+     * @param {number} [attempts=5] 最多尝试次数
+     * @returns {Promise<ccxt.Order[] | undefined>} 全部失败时为 undefined
+     */
+    async fetchStartupOpenOrders(attempts = 5) {
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            try {
+                return await this.exchangeService.fetchOpenOrders();
+            } catch (error) {
+                log('WARN', `启动对账获取挂单失败 (${attempt}/${attempts}):`, error);
+                if (attempt < attempts) await sleep(1000 * 2 ** (attempt - 1));
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * 启动对账：处理上次运行遗留的本实例订单 (通过 clientOrderId 前缀或状态快照中的订单 ID 识别)。
+     * 按 orphanOrderPolicy 将其收编到对应层或取消；其他人手动下的订单一律不动。
+     * 之后补记停机期间的成交，使成交量和盈亏从上次运行继续累计。
+     */
+    async reconcileOpenOrders() {
+        log('INFO', `启动对账: 查找实例 ${this.config.botInstanceId} 遗留的订单 (策略: ${this.config.orphanOrderPolicy})...`);
+        const openOrders = await this.fetchStartupOpenOrders();
+        if (!openOrders) {
+            // 不因交易所暂时不可用而退出：遗留订单本次不处理，停机期间的成交由周期内的成交量更新补记
+            log('ERROR', '启动对账失败: 多次获取挂单均失败，跳过遗留订单处理，继续启动。');
+            return;
+        }
+        let foreignCount = 0;
+        const cancelPromises = [];
+
+        /** @type {Map<string, { side: 'buy' | 'sell', level: number }>} 快照中的订单 ID -> 方向和层 */
+        const restoredOrders = new Map();
+        for (const side of /** @type {const} */ (['buy', 'sell'])) {
+            (this.restoredLadderOrders?.[side] ?? []).forEach((slot, level) => {
+                if (slot) restoredOrders.set(slot.id, { side, level });
+            });
+        }
+        const openOrderIds = new Set(openOrders.map(order => order.id));
+        for (const [id, { side, level }] of restoredOrders) {
+            if (!openOrderIds.has(id)) {
+                log('INFO', `快照中的 ${side.toUpperCase()} 第 ${level} 层订单 ${id} 已不在挂单中 (停机期间成交或被撤销)。`);
+            }
+        }
+
+        for (const order of openOrders) {
+            const tag = parseClientOrderId(this.config.botInstanceId, order.clientOrderId) ?? restoredOrders.get(order.id);
+            if (!tag) {
+                foreignCount++;
+                continue;
+            }
+            const canAdopt = this.config.orphanOrderPolicy === 'adopt'
+                && tag.side === order.side
+                && tag.level < this.config.ladderLevels
+                && !this.getLadderSlot(tag.side, tag.level);
+            if (canAdopt) {
+                log('INFO', `收编遗留订单 ${order.id} (${order.clientOrderId}) 到 ${tag.side.toUpperCase()} 第 ${tag.level} 层: ${order.amount} @ ${order.price} (已成交 ${order.filled ?? 0})`);
+                this.trackQuote(tag.side, tag.level, order, order.price, order.amount);
+            } else {
+                log('INFO', `取消遗留订单 ${order.id} (${order.clientOrderId})。`);
+                cancelPromises.push(this.exchangeService.cancelOrder(order.id));
+            }
+        }
+        await Promise.allSettled(cancelPromises);
+        log('INFO', `启动对账完成: 收编 ${[...this.ladderOrders.buy, ...this.ladderOrders.sell].filter(Boolean).length} 个，取消 ${cancelPromises.length} 个，忽略非本实例订单 ${foreignCount} 个。`);
+        this.restoredLadderOrders = undefined;
+
+        if (this.lastTradeTimestamp !== undefined) {
+            const volumeBefore = this.totalTradedBaseVolume;
+            log('INFO', `补记 ${new Date(this.lastTradeTimestamp).toISOString()} 之后 (停机期间) 的成交...`);
+            await this.updateTradedVolume();
+            log('INFO', `停机期间成交量 ${formatNumber(this.totalTradedBaseVolume - volumeBefore, this.amountPrecision)} ${this.market?.base}，总成交量 ${formatNumber(this.totalTradedBaseVolume, this.amountPrecision)} ${this.market?.base}。`);
+        }
+        this.saveState();
+    }
+
+    /**
+     * 取消本实例的所有订单 (已跟踪的各层订单 + 交易所上带本实例标记的订单)，不影响手动订单。
+     */
+    async cancelOwnOrders() {
+        /** @type {Map<string, 'buy' | 'sell'>} 订单 ID -> 方向 */
+        const sides = new Map();
+        for (const side of /** @type {const} */ (['buy', 'sell'])) {
+            this.ladderOrders[side].filter(Boolean).forEach(slot => sides.set(slot.id, side));
+        }
+        try {
+            const openOrders = await this.exchangeService.fetchOpenOrders();
+            for (const order of openOrders) {
+                if (parseClientOrderId(this.config.botInstanceId, order.clientOrderId)) sides.set(order.id, order.side);
+            }
+        } catch (error) {
+            log('WARN', '获取挂单失败，只取消已跟踪的订单:', error);
+        }
+        log('INFO', `正在取消本实例的 ${sides.size} 个订单...`);
+        const failedIds = new Set();
+        await Promise.allSettled([...sides].map(async ([id, side]) => {
+            if (await this.exchangeService.cancelOrder(id) !== false) {
+                metrics.orders.inc({ symbol: this.config.symbol, side, action: 'cancelled' });
+                this.orderTracker.markClosed(id, this.now());
+            } else {
+                failedIds.add(id);
+            }
+        }));
+        // 撤单失败的订单可能仍在挂着，继续跟踪
+        for (const side of /** @type {const} */ (['buy', 'sell'])) {
+            this.ladderOrders[side] = this.ladderOrders[side].map(slot => (slot && failedIds.has(slot.id) ? slot : null));
+        }
+        if (failedIds.size > 0) log('WARN', `${failedIds.size} 个订单撤单失败，继续跟踪: ${[...failedIds].join(', ')}`);
+        this.saveState();
+    }
+
+    /**
+     * 风控熔断：取消本实例的所有订单，按配置用市价单平仓。
+     */
+    async haltTrading() {
+        await this.cancelOwnOrders();
+        if (!this.config.riskFlattenOnTrip) return;
+        if (this.market?.spot) {
+            log('WARN', '风控平仓: 现货不支持平仓 (余额不视为持仓)，请手动处理。');
+            return;
+        }
+
+        try {
+            const position = await this.exchangeService.fetchPosition();
+            const amount = adjustAmountToStepSize(Math.abs(Number(position?.contracts ?? 0)), this.stepSize);
+            if (!position || !(amount > 0)) {
+                log('INFO', '风控平仓: 当前无持仓。');
+                return;
+            }
+            // ccxt 的 contracts 是绝对值，方向由 side 给出
+            const side = position.side === 'short' ? 'buy' : 'sell';
+            const timeInForce = this.config.unwindTimeInForce ?? 'market';
+            if (timeInForce === 'market') {
+                log('WARN', `风控平仓: 市价${side === 'buy' ? '买入' : '卖出'} ${formatNumber(amount, this.amountPrecision)} ${this.market?.base}`);
+                await this.exchangeService.createMarketOrder(side, amount, { reduceOnly: true });
+                return;
+            }
+            // IOC / FOK 限价单: 以对手方最优价再让出若干 tick 为限价，限制滑点
+            const orderBook = await this.exchangeService.fetchOrderBook(5);
+            const bestPrice = side === 'buy' ? orderBook?.asks[0]?.[0] : orderBook?.bids[0]?.[0];
+            if (!(bestPrice > 0) || !this.tickSize) {
+                throw new Error('无法取得对手方最优价或 tick size，无法计算平仓限价。');
+            }
+            const slippage = (side === 'buy' ? 1 : -1) * (this.config.unwindSlippageTicks ?? 0) * this.tickSize;
+            const limitPrice = adjustPriceToTickSize(bestPrice + slippage, this.tickSize);
+            log('WARN', `风控平仓: ${timeInForce} 限价${side === 'buy' ? '买入' : '卖出'} ${formatNumber(amount, this.amountPrecision)} ${this.market?.base} @ ${formatNumber(limitPrice, this.pricePrecision)}`);
+            const createFn = side === 'buy'
+                ? this.exchangeService.createLimitBuyOrder.bind(this.exchangeService)
+                : this.exchangeService.createLimitSellOrder.bind(this.exchangeService);
+            const order = await createFn(amount, limitPrice, { timeInForce, reduceOnly: true });
+            if (!(order?.filled >= amount)) {
+                log('ERROR', `风控平仓: ${timeInForce} 订单只成交 ${formatNumber(order?.filled ?? 0, this.amountPrecision)} / ${formatNumber(amount, this.amountPrecision)}，请检查剩余持仓。`);
+            }
+        } catch (error) {
+            log('ERROR', '风控平仓失败，请手动处理持仓:', error);
+        }
+    }
+
+    /** 辅助函数：如果订单 ID 被存储但出现问题，则尝试取消所有层的订单 */
     async cancelStaleOrdersIfNeeded() {
         log('WARN', '因周期跳过，尝试取消可能过时的订单...');
         const cancelPromises = [];
-        const buyId = this.currentBuyOrderId; // 临时存储 ID
-        const sellId = this.currentSellOrderId; // 临时存储 ID
-
-        if (buyId) {
-            log('INFO', `正在取消可能过时的买单: ${buyId}`);
-            this.currentBuyOrderId = null; // 乐观地将 ID 置空
-            cancelPromises.push(
-                this.exchangeService.cancelOrder(buyId).catch((err) => {
-                    // 仅记录非 "未找到" 的错误，因为 ID 已置空
-                    if (!(err instanceof ccxt.OrderNotFound)) {
-                        log('ERROR', `取消过时买单 ${buyId} 失败:`, err);
-                    } else {
-                        log('INFO', `过时买单 ${buyId} 已不存在。`);
-                    }
-                })
-            );
-        }
-        if (sellId) {
-            log('INFO', `正在取消可能过时的卖单: ${sellId}`);
-            this.currentSellOrderId = null; // 乐观地将 ID 置空
-            cancelPromises.push(
-                this.exchangeService.cancelOrder(sellId).catch((err) => {
-                    if (!(err instanceof ccxt.OrderNotFound)) {
-                        log('ERROR', `取消过时卖单 ${sellId} 失败:`, err);
-                    } else {
-                        log('INFO', `过时卖单 ${sellId} 已不存在。`);
-                    }
-                })
-            );
+
+        for (const side of /** @type {const} */ (['buy', 'sell'])) {
+            this.ladderOrders[side].forEach((slot, level) => {
+                if (!slot) return;
+                const sideName = side === 'buy' ? '买单' : '卖单';
+                log('INFO', `正在取消可能过时的${sideName} (第 ${level} 层): ${slot.id}`);
+                // 撤单失败的层保留，下个周期再确认
+                cancelPromises.push(this.cancelQuote(side, level, slot.id, `${side.toUpperCase()} L${level}`));
+            });
         }
         if (cancelPromises.length > 0) {
             await Promise.allSettled(cancelPromises); // 等待所有取消尝试完成
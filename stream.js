@@ -0,0 +1,109 @@
+// src/stream.js
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'stream' }).log;
+
+/**
+ * @typedef {'orderBook' | 'ticker' | 'orders' | 'myTrades' | 'balance' | 'positions'} StreamChannelName
+ */
+
+/**
+ * Connection state and latest data of one WebSocket subscription.
+ */
+export class StreamChannel {
+    /** @type {StreamChannelName} */
+    name;
+    /** @type {boolean} */
+    connected = false;
+    /** @type {number | undefined} Time from which the channel has delivered every update without a gap */
+    healthySince = undefined;
+    /** @type {number | undefined} Time of the last message */
+    updatedAt = undefined;
+    /** @type {any} */
+    data = undefined;
+
+    /**
+     * @param {StreamChannelName} name
+     */
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+/**
+ * In-memory market and account state kept up to date by ExchangeService's watch loops.
+ * Readers ask whether a channel is usable; when it is not, ExchangeService falls back to REST.
+ */
+export class StreamState {
+    /** @type {Record<StreamChannelName, StreamChannel>} */
+    channels;
+    /** @type {number} Max age of market data (book, ticker) before it is considered stale */
+    staleAfterMs;
+
+    /**
+     * @param {number} staleAfterMs
+     */
+    constructor(staleAfterMs) {
+        this.staleAfterMs = staleAfterMs;
+        this.channels = /** @type {Record<StreamChannelName, StreamChannel>} */ ({});
+        for (const name of /** @type {StreamChannelName[]} */ (['orderBook', 'ticker', 'orders', 'myTrades', 'balance', 'positions'])) {
+            this.channels[name] = new StreamChannel(name);
+        }
+    }
+
+    /**
+     * Market data channels must have updated recently; account channels only push on change,
+     * so for them an open subscription is enough.
+     * @param {StreamChannelName} name
+     * @returns {boolean}
+     */
+    isUsable(name) {
+        const channel = this.channels[name];
+        if (!channel.connected || channel.data === undefined) return false;
+        if (name === 'orderBook' || name === 'ticker') {
+            return Date.now() - (channel.updatedAt ?? 0) <= this.staleAfterMs;
+        }
+        return true;
+    }
+
+    /**
+     * @param {StreamChannelName} name
+     * @param {any} data
+     */
+    update(name, data) {
+        const channel = this.channels[name];
+        const now = Date.now();
+        if (!channel.connected) {
+            channel.connected = true;
+            channel.healthySince = now;
+            log('INFO', `Stream ${name} connected; serving it from memory.`);
+        }
+        channel.data = data;
+        channel.updatedAt = now;
+    }
+
+    /**
+     * @param {StreamChannelName} name
+     * @param {Error} error
+     */
+    markDisconnected(name, error) {
+        const channel = this.channels[name];
+        if (channel.connected) {
+            log('WARN', `Stream ${name} dropped (${error.message}); falling back to REST until it reconnects.`);
+        }
+        channel.connected = false;
+        channel.healthySince = undefined;
+    }
+
+    /**
+     * Summary for logging / status output.
+     * @returns {Record<string, { connected: boolean, ageMs: number | undefined }>}
+     */
+    describe() {
+        const now = Date.now();
+        return Object.fromEntries(Object.values(this.channels).map(channel => [
+            channel.name,
+            { connected: channel.connected, ageMs: channel.updatedAt !== undefined ? now - channel.updatedAt : undefined },
+        ]));
+    }
+}
@@ -0,0 +1,60 @@
+// test/avellaneda.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reservationPrice, optimalSpread, ArrivalIntensityEstimator } from '../avellaneda.js';
+
+/**
+ * @param {number | undefined} actual
+ * @param {number} expected
+ */
+function assertClose(actual, expected) {
+    assert.ok(actual !== undefined && Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+test('reservation price shifts away from the mid against the inventory', () => {
+    // q * γ * σ² * τ = 2 * 0.1 * 0.5 * 10 = 1
+    assertClose(reservationPrice(100, 2, 0.1, 0.5, 10), 99);
+    assertClose(reservationPrice(100, -2, 0.1, 0.5, 10), 101);
+    assert.equal(reservationPrice(100, 0, 0.1, 0.5, 10), 100);
+});
+
+test('optimal spread adds the inventory risk term to the arrival term', () => {
+    const riskAversion = 0.1;
+    const arrivalDecay = 2;
+    const arrivalTerm = (2 / riskAversion) * Math.log(1 + riskAversion / arrivalDecay);
+
+    assertClose(optimalSpread(riskAversion, 0, 10, arrivalDecay), arrivalTerm);
+    assertClose(optimalSpread(riskAversion, 0.5, 10, arrivalDecay), 0.5 + arrivalTerm);
+    // Fills arriving further from mid (smaller k) call for a wider spread
+    assert.ok(optimalSpread(riskAversion, 0, 10, 0.5) > optimalSpread(riskAversion, 0, 10, arrivalDecay));
+});
+
+test('estimates k as the inverse mean distance of maker fills from the preceding mid', () => {
+    const estimator = new ArrivalIntensityEstimator({ minFills: 2 });
+    estimator.recordMid(1000, 100);
+    estimator.recordMid(2000, 102);
+
+    assert.equal(estimator.addFill({ timestamp: 1500, price: 99.5 }), true);
+    assert.equal(estimator.estimate(), undefined);
+    assert.equal(estimator.addFill({ timestamp: 2500, price: 103.5, takerOrMaker: 'maker' }), true);
+
+    // Distances 0.5 (from 100) and 1.5 (from 102)
+    assertClose(estimator.estimate(), 1);
+});
+
+test('ignores taker fills and fills before the first mid', () => {
+    const estimator = new ArrivalIntensityEstimator({ minFills: 1 });
+    estimator.recordMid(1000, 100);
+
+    assert.equal(estimator.addFill({ timestamp: 500, price: 99 }), false);
+    assert.equal(estimator.addFill({ timestamp: 1500, price: 99, takerOrMaker: 'taker' }), false);
+    assert.equal(estimator.estimate(), undefined);
+});
+
+test('keeps only the most recent fills', () => {
+    const estimator = new ArrivalIntensityEstimator({ maxFills: 2, minFills: 2 });
+    estimator.recordMid(0, 100);
+    for (const price of [110, 101, 101]) estimator.addFill({ timestamp: 1, price });
+
+    assertClose(estimator.estimate(), 1);
+});
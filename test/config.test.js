@@ -0,0 +1,148 @@
+// test/config.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+// config.js loads and validates at import time and exits on errors, so each case loads it in a
+// child process with its own arguments and environment
+const configUrl = new URL('../config.js', import.meta.url).href;
+const RESULT_MARKER = '@@config-result@@';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+const loaderPath = path.join(workDir, 'load-config.mjs');
+fs.writeFileSync(loaderPath, [
+    `const { config, symbolConfigs } = await import(${JSON.stringify(configUrl)});`,
+    `process.stdout.write('\\n${RESULT_MARKER}' + JSON.stringify({ config, symbolConfigs }) + '\\n');`,
+].join('\n'));
+
+/**
+ * @param {object} [options]
+ * @param {string[]} [options.args] Command line arguments (--config, --profile, --set)
+ * @param {Record<string, string>} [options.env] Environment on top of paper mode
+ * @returns {{ status: number | null, output: string, config?: import('../config.js').Config, symbolConfigs?: import('../config.js').Config[] }}
+ */
+function loadConfig({ args = [], env = {} } = {}) {
+    const result = spawnSync(process.execPath, [loaderPath, ...args], {
+        cwd: workDir,
+        encoding: 'utf8',
+        timeout: 30_000,
+        env: { PATH: process.env.PATH, EXECUTION_MODE: 'paper', ...env },
+    });
+    const output = `${result.stdout}${result.stderr}`;
+    const line = result.stdout.split('\n').find(text => text.startsWith(RESULT_MARKER));
+    return { status: result.status, output, ...(line ? JSON.parse(line.slice(RESULT_MARKER.length)) : {}) };
+}
+
+/**
+ * @param {string} name
+ * @param {string} text
+ * @returns {string} Path of the file written to the work directory
+ */
+function writeConfigFile(name, text) {
+    const filePath = path.join(workDir, name);
+    fs.writeFileSync(filePath, text);
+    return filePath;
+}
+
+test('applies defaults when nothing is configured', () => {
+    const { status, config, symbolConfigs, output } = loadConfig();
+    assert.equal(status, 0, output);
+    assert.equal(config.executionMode, 'paper');
+    assert.equal(config.symbol, 'BTC/USDT');
+    assert.deepEqual(config.symbols, ['BTC/USDT']);
+    assert.equal(config.interval, 5);
+    assert.equal(symbolConfigs.length, 1);
+});
+
+test('layers config file defaults, profiles, environment and --set in that order', () => {
+    const configFile = writeConfigFile('layers.yaml', [
+        'defaults:',
+        '  BASE_AMOUNT: 0.01',
+        '  MIN_SPREAD: 2',
+        '  INTERVAL: 3',
+        '  LADDER_SIZE_MULTIPLIERS: [1, 2]',
+        'profiles:',
+        '  base:',
+        '    INTERVAL: 7',
+        '    MIN_SPREAD: 3',
+        '  aggressive:',
+        '    extends: base',
+        '    MIN_SPREAD: 0.5',
+    ].join('\n'));
+
+    const { status, config, output } = loadConfig({
+        args: ['--config', configFile, '--profile', 'aggressive', '--set', 'BASE_AMOUNT=0.05'],
+        env: { INTERVAL: '9', BASE_AMOUNT: '0.02' },
+    });
+    assert.equal(status, 0, output);
+    assert.equal(config.configProfile, 'aggressive');
+    assert.equal(config.baseAmount, 0.05);
+    assert.equal(config.interval, 9);
+    assert.equal(config.minSpread, 0.5);
+    assert.deepEqual(config.ladderSizeMultipliers, [1, 2]);
+});
+
+test('reports every type, range and enum error before refusing to start', () => {
+    const { status, output } = loadConfig({
+        args: ['--set', 'BASE_AMOUNT=abc', '--set', 'LOG_MAX_FILES=1.5', '--set', 'LOG_MAX_FILE_MB=-1'],
+        env: { LOG_FORMAT: 'xml' },
+    });
+    assert.equal(status, 1);
+    assert.match(output, /配置验证失败 \(4 个错误\)/);
+    assert.match(output, /BASE_AMOUNT: 处理配置项 BASE_AMOUNT 时出错/);
+    assert.match(output, /LOG_MAX_FILES = 1\.5 \[命令行 --set\]: 必须是整数/);
+    assert.match(output, /LOG_MAX_FILE_MB = -1 \[命令行 --set\]: 不能小于 0/);
+    assert.match(output, /LOG_FORMAT = "xml" \[环境变量\]: 必须是 text、json 之一/);
+});
+
+test('rejects unknown keys in the config file and malformed --set arguments', () => {
+    const configFile = writeConfigFile('typo.yaml', 'defaults:\n  BASE_AMOUT: 0.01\n');
+    const typo = loadConfig({ args: ['--config', configFile] });
+    assert.equal(typo.status, 1);
+    assert.match(typo.output, /BASE_AMOUT \[.*typo\.yaml \(defaults\)\]: 未知的配置项/);
+
+    const malformed = loadConfig({ args: ['--set', 'BASE_AMOUNT'] });
+    assert.equal(malformed.status, 1);
+    assert.match(malformed.output, /必须是 KEY=VALUE 的形式/);
+});
+
+test('rejects a profile that does not exist or is used without a config file', () => {
+    const configFile = writeConfigFile('profiles.yaml', 'profiles:\n  a:\n    extends: b\n  b:\n    extends: a\n');
+    assert.match(loadConfig({ args: ['--config', configFile, '--profile', 'missing'] }).output, /没有 profile "missing"/);
+    assert.match(loadConfig({ args: ['--config', configFile, '--profile', 'a'] }).output, /extends 形成了循环/);
+    const withoutFile = loadConfig({ args: ['--profile', 'a'] });
+    assert.equal(withoutFile.status, 1);
+    assert.match(withoutFile.output, /没有通过 --config 或 CONFIG_FILE 指定配置文件/);
+});
+
+test('applies cross-field rules as errors or warnings', () => {
+    const spreads = loadConfig({ env: { MIN_SPREAD: '10', MAX_SPREAD: '5' } });
+    assert.equal(spreads.status, 1);
+    assert.match(spreads.output, /MIN_SPREAD \/ MAX_SPREAD: MIN_SPREAD \(10\) 不能大于 MAX_SPREAD \(5\)/);
+
+    const skew = loadConfig({ env: { INVENTORY_SKEW_INTENSITY: '0.5', POSITION_LIMIT: '0' } });
+    assert.equal(skew.status, 1);
+    assert.match(skew.output, /要求 POSITION_LIMIT \(0\) 为正数/);
+
+    const ladder = loadConfig({ env: { LADDER_LEVELS: '3', LADDER_SIZE_MULTIPLIERS: '1,2' } });
+    assert.equal(ladder.status, 1);
+    assert.match(ladder.output, /LADDER_SIZE_MULTIPLIERS \(2 项\) 都至少需要 LADDER_LEVELS \(3\) 项/);
+
+    const window = loadConfig({ env: { VOLATILITY_MODEL: 'ewma', VOLATILITY_WINDOW_SECONDS: '5', INTERVAL: '5' } });
+    assert.equal(window.status, 0, window.output);
+    assert.match(window.output, /配置警告[\s\S]*VOLATILITY_WINDOW_SECONDS \(5\) 小于两个策略周期/);
+});
+
+test('validates per-symbol overrides with the same schema and rules', () => {
+    const ok = loadConfig({ env: { SYMBOLS: 'BTC/USDT,ETH/USDT', ETH_USDT__BASE_AMOUNT: '0.5' } });
+    assert.equal(ok.status, 0, ok.output);
+    assert.deepEqual(ok.symbolConfigs.map(symbolConfig => [symbolConfig.symbol, symbolConfig.baseAmount]), [['BTC/USDT', 0.01], ['ETH/USDT', 0.5]]);
+
+    const invalid = loadConfig({ env: { SYMBOLS: 'BTC/USDT,ETH/USDT', ETH_USDT__MIN_SPREAD: '100' } });
+    assert.equal(invalid.status, 1);
+    assert.match(invalid.output, /\[ETH\/USDT\] MIN_SPREAD \/ MAX_SPREAD: MIN_SPREAD \(100\) 不能大于 MAX_SPREAD \(50\)/);
+});
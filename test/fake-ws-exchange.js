@@ -0,0 +1,103 @@
+// test/fake-ws-exchange.js
+import ccxt from 'ccxt';
+
+/**
+ * @typedef {'orderBook' | 'orders' | 'myTrades'} FakeChannelName
+ */
+
+/**
+ * Local stand-in for a ccxt pro exchange, injected through ExchangeService's options.wsExchange.
+ *
+ * Like a ccxt pro subscription, each watch* call resolves with the next message pushed for its
+ * channel (messages pushed while nobody is watching are queued). drop() rejects the pending call
+ * as a lost socket would; close() ends every subscription, as ccxt pro does on close().
+ */
+export class FakeWsExchange {
+    has = { watchOrderBook: true, watchOrders: true, watchMyTrades: true };
+    /** @type {Map<FakeChannelName, Array<{ message?: any, error?: Error }>>} Pushed but not yet watched */
+    queues = new Map();
+    /** @type {Map<FakeChannelName, { resolve: (message: any) => void, reject: (error: Error) => void }>} Pending watch* calls */
+    waiters = new Map();
+    /** @type {Record<FakeChannelName, number>} watch* calls per channel */
+    watchCalls = { orderBook: 0, orders: 0, myTrades: 0 };
+    closed = false;
+
+    /**
+     * @param {string} symbol
+     * @param {number} [limit]
+     * @returns {Promise<ccxt.OrderBook>}
+     */
+    watchOrderBook(symbol, limit) {
+        return this.next('orderBook');
+    }
+
+    /**
+     * @param {string} symbol
+     * @returns {Promise<ccxt.Order[]>}
+     */
+    watchOrders(symbol) {
+        return this.next('orders');
+    }
+
+    /**
+     * @param {string} symbol
+     * @returns {Promise<ccxt.Trade[]>}
+     */
+    watchMyTrades(symbol) {
+        return this.next('myTrades');
+    }
+
+    /**
+     * Delivers a message to the channel's subscriber.
+     * @param {FakeChannelName} channel
+     * @param {any} message Order book, or array of orders / trades
+     */
+    push(channel, message) {
+        this.deliver(channel, { message });
+    }
+
+    /**
+     * Fails the channel's subscription as a dropped connection would.
+     * @param {FakeChannelName} channel
+     * @param {Error} [error]
+     */
+    drop(channel, error = new ccxt.NetworkError(`fake ${channel} socket closed`)) {
+        this.deliver(channel, { error });
+    }
+
+    async close() {
+        this.closed = true;
+        for (const waiter of this.waiters.values()) {
+            waiter.reject(new ccxt.ExchangeClosedByUser('fake connection closed by user'));
+        }
+        this.waiters.clear();
+    }
+
+    /**
+     * @param {FakeChannelName} channel
+     * @param {{ message?: any, error?: Error }} item
+     */
+    deliver(channel, item) {
+        const waiter = this.waiters.get(channel);
+        if (!waiter) {
+            if (!this.queues.has(channel)) this.queues.set(channel, []);
+            this.queues.get(channel).push(item);
+            return;
+        }
+        this.waiters.delete(channel);
+        if (item.error) waiter.reject(item.error);
+        else waiter.resolve(item.message);
+    }
+
+    /**
+     * @param {FakeChannelName} channel
+     * @returns {Promise<any>}
+     */
+    next(channel) {
+        this.watchCalls[channel]++;
+        if (this.closed) return Promise.reject(new ccxt.ExchangeClosedByUser('fake connection closed by user'));
+        const queued = this.queues.get(channel)?.shift();
+        if (queued) return queued.error ? Promise.reject(queued.error) : Promise.resolve(queued.message);
+        return new Promise((resolve, reject) => this.waiters.set(channel, { resolve, reject }));
+    }
+}
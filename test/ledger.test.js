@@ -0,0 +1,113 @@
+// test/ledger.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PnlLedger } from '../ledger.js';
+
+const market = { base: 'BTC', quote: 'USDT' };
+
+/**
+ * @param {string} id
+ * @param {number} timestamp
+ * @param {'buy' | 'sell'} side
+ * @param {number} amount
+ * @param {number} price
+ * @param {{ cost: number, currency: string }} [fee]
+ */
+const trade = (id, timestamp, side, amount, price, fee) => ({ id, timestamp, side, amount, price, fee });
+
+/**
+ * @param {number} actual
+ * @param {number} expected
+ */
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+test('realizes PnL against the average entry price across a position flip', () => {
+    const ledger = new PnlLedger(undefined, market);
+    ledger.applyTrades([
+        trade('1', 1000, 'buy', 1, 100),
+        trade('2', 2000, 'buy', 1, 102),
+        trade('3', 3000, 'sell', 3, 110),
+    ]);
+
+    // Closes 2 long at an average of 101, then opens 1 short at 110
+    assertClose(ledger.realizedPnl, 18);
+    assertClose(ledger.position, -1);
+    assertClose(ledger.avgEntryPrice, 110);
+    assert.equal(ledger.roundTrips.length, 1);
+    assert.equal(ledger.openRoundTrip.sellAmount, 1);
+
+    ledger.applyTrades([trade('4', 4000, 'buy', 1, 105)]);
+    assertClose(ledger.realizedPnl, 23);
+    assert.equal(ledger.position, 0);
+    assert.equal(ledger.roundTrips.length, 2);
+    assert.equal(ledger.openRoundTrip, undefined);
+});
+
+test('marks the open position to the given price in the snapshot', () => {
+    const ledger = new PnlLedger(undefined, market);
+    ledger.applyTrades([trade('1', 1000, 'sell', 2, 100, { cost: 0.5, currency: 'USDT' })]);
+
+    const snapshot = ledger.getSnapshot(95);
+    assertClose(snapshot.unrealizedPnl, 10);
+    assertClose(snapshot.netPnl, 9.5);
+    assert.equal(ledger.getSnapshot(undefined).unrealizedPnl, 0);
+});
+
+test('converts base-currency fees to quote and tracks other fee currencies separately', () => {
+    const ledger = new PnlLedger(undefined, market);
+    ledger.applyTrades([
+        trade('1', 1000, 'buy', 1, 100, { cost: 0.1, currency: 'USDT' }),
+        trade('2', 2000, 'buy', 1, 200, { cost: 0.001, currency: 'BTC' }),
+        trade('3', 3000, 'sell', 1, 150, { cost: 0.02, currency: 'BNB' }),
+        trade('4', 4000, 'sell', 1, 150, { cost: -0.05, currency: 'USDT' }),
+    ]);
+
+    assertClose(ledger.feesPaid, 0.1 + 0.2 - 0.05);
+    assert.deepEqual(ledger.otherFees, { BNB: 0.02 });
+    assertClose(ledger.roundTrips[0].fees, 0.25);
+});
+
+test('skips duplicate trades, within a batch and when refetched', () => {
+    const ledger = new PnlLedger(undefined, market);
+    const buy = trade('1', 1000, 'buy', 1, 100);
+
+    assert.equal(ledger.applyTrades([buy, buy]), 1);
+    assert.equal(ledger.applyTrades([buy, trade('2', 1000, 'buy', 1, 100)]), 1);
+    assert.equal(ledger.tradeCount, 2);
+    assertClose(ledger.position, 2);
+});
+
+test('applies a batch in timestamp order and ignores trades older than the last one applied', () => {
+    const ledger = new PnlLedger(undefined, market);
+    assert.equal(ledger.applyTrades([
+        trade('2', 2000, 'sell', 1, 110),
+        trade('1', 1000, 'buy', 1, 100),
+    ]), 2);
+    // Sorted, the buy opens and the sell closes the position
+    assertClose(ledger.realizedPnl, 10);
+    assert.equal(ledger.position, 0);
+
+    assert.equal(ledger.applyTrades([trade('0', 500, 'buy', 1, 90)]), 0);
+    assert.equal(ledger.position, 0);
+});
+
+test('persists totals and seen trades across restarts', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'ledger.json');
+
+    const first = new PnlLedger(filePath, market);
+    first.applyTrades([trade('1', 1000, 'buy', 1, 100, { cost: 0.1, currency: 'USDT' })]);
+
+    const restarted = new PnlLedger(filePath, market);
+    assert.equal(restarted.position, 1);
+    assertClose(restarted.feesPaid, 0.1);
+    assert.equal(restarted.applyTrades([trade('1', 1000, 'buy', 1, 100)]), 0);
+    assert.equal(restarted.applyTrades([trade('2', 2000, 'sell', 1, 105)]), 1);
+    assertClose(restarted.realizedPnl, 5);
+});
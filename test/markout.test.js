@@ -0,0 +1,133 @@
+// test/markout.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MarkoutTracker, markoutBps } from '../markout.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ level: 'WARN' });
+
+const config = {
+    symbol: 'BTC/USDT',
+    markoutWindowFills: 20,
+    markoutWidenHorizonSeconds: 5,
+    markoutWidenMinFills: 2,
+    markoutWidenMultiplier: 2,
+    markoutWidenMaxBps: 15,
+};
+
+/** 2024-01-01T10:00:00Z */
+const START = Date.UTC(2024, 0, 1, 10);
+
+/**
+ * @param {string} id
+ * @param {number} timestamp
+ * @param {'buy' | 'sell'} side
+ * @param {number} price
+ */
+const fill = (id, timestamp, side, price) => ({ id, order: `order-${id}`, timestamp, side, price, amount: 1, takerOrMaker: 'maker' });
+
+/**
+ * @param {number} actual
+ * @param {number} expected
+ */
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Feeds mids so that the mid is `mid(t)` at the fill and at every horizon after it.
+ * @param {MarkoutTracker} tracker
+ * @param {number} from
+ * @param {(offsetMs: number) => number} mid
+ */
+function feedMids(tracker, from, mid) {
+    for (const offset of [0, 1000, 5000, 30_000, 60_000]) tracker.recordMid(from + offset, mid(offset));
+}
+
+test('signs markouts in our favour', () => {
+    assertClose(markoutBps('buy', 100, 101), 100);
+    assertClose(markoutBps('sell', 100, 101), -100);
+});
+
+test('interpolates the mid at each horizon and resolves the fill once all are known', () => {
+    const tracker = new MarkoutTracker(config, undefined);
+    tracker.recordMid(START, 100);
+    tracker.addFill(fill('1', START, 'buy', 100), 0);
+    tracker.recordMid(START + 2000, 102);
+    assert.equal(tracker.pending.length, 1);
+
+    tracker.recordMid(START + 60_000, 102);
+    assert.equal(tracker.pending.length, 0);
+    const stats = tracker.getStats('side:buy');
+    assert.equal(stats.count, 1);
+    // Mid 101 at +1s (halfway between the samples), 102 from +5s on
+    assertClose(stats.meanBps[1], 100);
+    assertClose(stats.meanBps[60], 200);
+});
+
+test('leaves horizons without a sample around them null', () => {
+    const tracker = new MarkoutTracker(config, undefined);
+    tracker.addFill(fill('1', START, 'sell', 100), 1);
+    tracker.recordMid(START + 30_000, 99);
+    tracker.recordMid(START + 60_000, 98);
+
+    const stats = tracker.getStats('side:sell');
+    assert.equal(stats.count, 1);
+    assert.equal(stats.meanBps[1], undefined);
+    assert.equal(stats.meanBps[5], undefined);
+    assertClose(stats.meanBps[30], 100);
+    assertClose(stats.meanBps[60], 200);
+});
+
+test('groups statistics by side, ladder level and hour of day', () => {
+    const tracker = new MarkoutTracker(config, undefined);
+    tracker.recordMid(START - 1000, 100);
+    tracker.addFill(fill('1', START, 'buy', 100), 0);
+    tracker.addFill(fill('2', START, 'sell', 100), 1);
+    tracker.addFill(fill('3', START, 'sell', 100), undefined);
+    feedMids(tracker, START, () => 100);
+
+    const summary = tracker.getSummary();
+    assert.deepEqual(Object.keys(summary.bySide), ['buy', 'sell']);
+    assert.deepEqual(Object.fromEntries(Object.entries(summary.byLevel).map(([level, stats]) => [level, stats.count])), { 0: 1, 1: 1, other: 1 });
+    assert.equal(summary.byHourUtc[10].count, 3);
+    assert.equal(summary.pending, 0);
+});
+
+test('widens a side whose recent fills are adversely selected, up to the cap', () => {
+    const tracker = new MarkoutTracker(config, undefined);
+    tracker.recordMid(START - 1000, 100);
+    tracker.addFill(fill('1', START, 'buy', 100), 0);
+    feedMids(tracker, START, offset => (offset === 0 ? 100 : 99.95));
+    // One toxic fill is below MARKOUT_WIDEN_MIN_FILLS
+    assert.equal(tracker.getWidening('buy').widenBps, 0);
+
+    tracker.addFill(fill('2', START + 60_000, 'buy', 100), 0);
+    feedMids(tracker, START + 60_000, offset => (offset === 0 ? 99.95 : 99.95 - offset / 60_000));
+
+    const widening = tracker.getWidening('buy');
+    // -5 and about -13 bps at +5s: twice the mean is capped at 15
+    assert.equal(widening.fills, 2);
+    assert.ok(widening.meanBps < -7.5);
+    assert.equal(widening.widenBps, 15);
+    assert.equal(tracker.getWidening('sell').widenBps, 0);
+});
+
+test('appends resolved fills to the file and rebuilds the statistics from it on startup', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'markout-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'markouts.jsonl');
+
+    const tracker = new MarkoutTracker(config, filePath);
+    tracker.recordMid(START - 1000, 100);
+    tracker.addFill(fill('1', START, 'sell', 100), 0);
+    feedMids(tracker, START, offset => (offset === 0 ? 100 : 100.1));
+    assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 1);
+
+    const restarted = new MarkoutTracker(config, filePath);
+    assert.deepEqual(restarted.getSummary(), tracker.getSummary());
+    assert.deepEqual(restarted.getWidening('sell'), tracker.getWidening('sell'));
+});
@@ -0,0 +1,139 @@
+// test/orders.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OrderTracker, isFinalState } from '../orders.js';
+import { MarketMakerStrategy } from '../strategy.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ level: 'WARN' });
+
+const quote = { side: 'buy', level: 0, price: 100, amount: 1 };
+
+/**
+ * @param {string} status
+ * @param {number} filled
+ * @param {object} [fields]
+ */
+const update = (status, filled, fields = {}) => ({ id: 'o1', status, filled, price: 100, amount: 1, ...fields });
+
+test('follows an order from new through partial fills to filled', () => {
+    const tracker = new OrderTracker();
+    const order = tracker.track('o1', quote, 1000);
+    assert.equal(order.state, 'new');
+
+    tracker.applyOrder(update('open', 0), 1001);
+    assert.equal(order.state, 'open');
+    tracker.applyOrder(update('open', 0.4), 1002);
+    assert.deepEqual([order.state, order.filled, order.remaining], ['partially_filled', 0.4, 0.6]);
+    tracker.applyOrder(update('closed', 1), 1003);
+    assert.deepEqual([order.state, order.remaining, order.updatedAt], ['filled', 0, 1003]);
+    assert.equal(isFinalState(order.state), true);
+});
+
+test('ignores updates that would move an order backwards', () => {
+    const tracker = new OrderTracker();
+    const order = tracker.track('o1', quote, 1000);
+    tracker.applyOrder(update('open', 0.5), 1001);
+
+    // Stale REST data after a stream update: fills never shrink, state never goes back
+    tracker.applyOrder(update('open', 0.2), 1002);
+    assert.deepEqual([order.state, order.filled], ['partially_filled', 0.5]);
+
+    tracker.applyOrder(update('canceled', 0.5), 1003);
+    tracker.applyOrder(update('open', 0.5, { price: 101 }), 1004);
+    assert.deepEqual([order.state, order.remaining, order.price], ['cancelled', 0, 100]);
+});
+
+test('treats an order that expires before resting as rejected', () => {
+    const tracker = new OrderTracker();
+    assert.equal(tracker.applyOrder(update('expired', 0), 1000), undefined);
+    const order = tracker.track('o1', quote, 1000);
+    tracker.applyOrder(update('expired', 0), 1001);
+    assert.equal(order.state, 'rejected');
+});
+
+test('derives the state from our trades when the order status is missing', () => {
+    const tracker = new OrderTracker();
+    const order = tracker.track('o1', quote, 1000);
+
+    tracker.applyTrade({ order: 'o1', amount: 0.25, price: 100 }, 1001);
+    tracker.applyTrade({ order: 'o1', amount: 0.25, price: 99 }, 1002);
+    assert.deepEqual([order.state, order.filled, order.tradeCost], ['partially_filled', 0.5, 49.75]);
+    assert.equal(tracker.applyTrade({ order: 'other', amount: 1, price: 100 }, 1003), undefined);
+
+    tracker.applyOrder({ id: 'o1', filled: 1 }, 1004);
+    assert.equal(order.state, 'filled');
+});
+
+test('markClosed settles a vanished order as filled or cancelled from the fills seen', () => {
+    const tracker = new OrderTracker();
+    const filled = tracker.track('filled', quote, 1000);
+    const partial = tracker.track('partial', quote, 1000);
+    tracker.applyTrade({ order: 'filled', amount: 1, price: 100 }, 1001);
+    tracker.applyTrade({ order: 'partial', amount: 0.3, price: 100 }, 1001);
+    // Filled by its trades already: markClosed leaves it as it is
+    assert.equal(filled.state, 'filled');
+
+    tracker.markClosed('filled', 1002);
+    tracker.markClosed('partial', 1002);
+    assert.equal(filled.state, 'filled');
+    assert.deepEqual([partial.state, partial.filled, partial.remaining], ['cancelled', 0.3, 0]);
+    assert.equal(tracker.markClosed('unknown', 1002), undefined);
+});
+
+test('amend changes the quote of a live order and keeps its fills', () => {
+    const tracker = new OrderTracker();
+    const order = tracker.track('o1', quote, 1000);
+    tracker.applyOrder(update('open', 0.4), 1001);
+
+    tracker.amend('o1', 101, 2, 1002);
+    assert.deepEqual([order.price, order.amount, order.filled, order.remaining, order.state], [101, 2, 0.4, 1.6, 'partially_filled']);
+
+    tracker.markClosed('o1', 1003);
+    tracker.amend('o1', 102, 3, 1004);
+    assert.deepEqual([order.price, order.amount, order.remaining], [101, 2, 0]);
+});
+
+/**
+ * Runs MarketMakerStrategy.syncLadderSlot for an order missing from the open orders.
+ * @param {ccxt.Order | undefined} fetched What fetchOrder returns
+ * @param {number} [tradeFilled=0] Amount already filled according to our trades
+ * @returns {Promise<{ slot: import('../orders.js').TrackedOrder, cleared: boolean }>}
+ */
+async function syncMissingSlot(fetched, tradeFilled = 0) {
+    const orderTracker = new OrderTracker();
+    const slot = orderTracker.track('o1', quote, 1000);
+    orderTracker.applyOrder(update('open', 0), 1000);
+    if (tradeFilled > 0) orderTracker.applyTrade({ order: 'o1', amount: tradeFilled, price: 100 }, 1000);
+    let cleared = false;
+    const strategy = {
+        orderTracker,
+        exchangeService: { fetchOrder: async () => fetched },
+        now: () => 2000,
+        amountPrecision: 3,
+        setLadderSlot: (side, level, value) => {
+            cleared = value === null;
+        },
+    };
+    await MarketMakerStrategy.prototype.syncLadderSlot.call(strategy, 'buy', 0, slot, undefined);
+    return { slot, cleared };
+}
+
+test('keeps a ladder slot whose order fetchOrder still shows as resting', async () => {
+    const open = await syncMissingSlot(update('open', 0));
+    assert.deepEqual([open.slot.state, open.cleared], ['open', false]);
+
+    const partial = await syncMissingSlot(update('open', 0.5));
+    assert.deepEqual([partial.slot.state, partial.slot.remaining, partial.cleared], ['partially_filled', 0.5, false]);
+});
+
+test('clears a ladder slot once fetchOrder shows the order final or cannot find it', async () => {
+    const cancelled = await syncMissingSlot(update('canceled', 0.2));
+    assert.deepEqual([cancelled.slot.state, cancelled.cleared], ['cancelled', true]);
+
+    const notFound = await syncMissingSlot(undefined, 1);
+    assert.deepEqual([notFound.slot.state, notFound.cleared], ['filled', true]);
+
+    const unknown = await syncMissingSlot(undefined);
+    assert.deepEqual([unknown.slot.state, unknown.cleared], ['cancelled', true]);
+});
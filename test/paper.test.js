@@ -0,0 +1,63 @@
+// test/paper.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PaperExchangeService } from '../paper.js';
+
+const config = {
+    symbol: 'BTC/USDT',
+    minNotionalValue: 5,
+    orderBookDepthLevels: 5,
+    paperInitialBalance: 10000,
+    paperInitialPosition: 0,
+    paperMakerFee: 0.0002,
+    paperTakerFee: 0.0005,
+};
+
+const book = { bids: [[99, 1]], asks: [[101, 1]] };
+
+test('live polling does not fill orders with trades printed before they were placed', async () => {
+    const paper = new PaperExchangeService(config);
+    const placedAt = Date.now();
+    /** @type {object[]} */
+    let publicTrades = [];
+    paper.marketDataService = {
+        fetchOrderBook: async () => book,
+        fetchTrades: async () => publicTrades,
+    };
+    paper.lastPublicTradeTimestamp = placedAt - 10_000;
+    paper.setOrderBook(book);
+    const bid = await paper.createLimitBuyOrder(1, 98);
+
+    // A poll returns trades from the whole interval since the previous one
+    publicTrades = [{ id: 'before', timestamp: placedAt - 5_000, side: 'sell', price: 97, amount: 1 }];
+    await paper.pollLiveData();
+    assert.equal((await paper.fetchOrder(bid.id)).filled, 0);
+
+    publicTrades = [{ id: 'after', timestamp: Date.now() + 1, side: 'sell', price: 97, amount: 1 }];
+    await paper.pollLiveData();
+    assert.equal((await paper.fetchOrder(bid.id)).filled, 1);
+});
+
+test('file replay matches recorded trades against orders on the replay clock', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paper-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const dataFile = path.join(dir, 'data.jsonl');
+    const start = Date.parse('2020-01-01T00:00:00Z');
+    fs.writeFileSync(dataFile, [
+        { type: 'orderbook', timestamp: start, ...book },
+        { type: 'trade', timestamp: start + 100, side: 'sell', price: 97, amount: 1 },
+    ].map(event => JSON.stringify(event)).join('\n') + '\n');
+
+    const paper = new PaperExchangeService({ ...config, paperDataFile: dataFile });
+    await paper.initialize();
+    await paper.refreshMarketData(true);
+    const bid = await paper.createLimitBuyOrder(1, 98);
+    assert.equal((await paper.fetchOrder(bid.id)).filled, 0);
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await paper.refreshMarketData(true);
+    assert.equal((await paper.fetchOrder(bid.id)).filled, 1);
+});
@@ -0,0 +1,146 @@
+// test/risk.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { RiskManager } from '../risk.js';
+
+const riskScript = fileURLToPath(new URL('../risk.js', import.meta.url));
+
+/** @type {import('../risk.js').RiskLimits} Every breaker off */
+const noLimits = {
+    maxSessionLoss: 0,
+    maxDrawdown: 0,
+    maxFillsPerMinute: 0,
+    maxConsecutiveSameSideFills: 0,
+    maxPositionGrowthPerMinute: 0,
+    action: 'halt',
+    flattenOnTrip: false,
+    cooldownSeconds: 60,
+    cooldownSpreadMultiplier: 3,
+};
+
+/**
+ * @param {import('node:test').TestContext} t
+ * @returns {string} Risk state file in a temporary directory removed after the test
+ */
+function tempStateFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'risk-BTC_USDT.json');
+}
+
+test('trips on session loss measured from the first PnL of the session', () => {
+    const risk = new RiskManager({ ...noLimits, maxSessionLoss: 10 }, undefined);
+    risk.recordPnl(100);
+    risk.recordPnl(91);
+    assert.equal(risk.evaluate(1000), undefined);
+
+    risk.recordPnl(90);
+    assert.deepEqual(risk.evaluate(2000), { action: 'halt', reason: 'session loss 10.00 >= 10' });
+    assert.equal(risk.getStatus(2000), 'tripped');
+    // Reported once, not on every later cycle
+    assert.equal(risk.evaluate(3000), undefined);
+});
+
+test('trips on drawdown from the session peak', () => {
+    const risk = new RiskManager({ ...noLimits, maxDrawdown: 5 }, undefined);
+    risk.recordPnl(0);
+    risk.recordPnl(20);
+    risk.recordPnl(16);
+    assert.equal(risk.evaluate(1000), undefined);
+
+    risk.recordPnl(15);
+    assert.match(risk.evaluate(2000)?.reason ?? '', /^drawdown 5\.00 from peak/);
+});
+
+test('trips on too many fills within a minute', () => {
+    const risk = new RiskManager({ ...noLimits, maxFillsPerMinute: 2 }, undefined);
+    risk.recordFill({ timestamp: 0, side: 'buy' });
+    risk.recordFill({ timestamp: 30_000, side: 'sell' });
+    risk.recordFill({ timestamp: 61_000, side: 'buy' });
+    // The first fill has left the window
+    assert.equal(risk.evaluate(61_000), undefined);
+
+    risk.recordFill({ timestamp: 62_000, side: 'sell' });
+    assert.match(risk.evaluate(62_000)?.reason ?? '', /^3 fills in the last minute/);
+});
+
+test('trips on a run of fills on the same side', () => {
+    const risk = new RiskManager({ ...noLimits, maxConsecutiveSameSideFills: 2 }, undefined);
+    for (const side of ['buy', 'buy', 'sell', 'sell']) risk.recordFill({ timestamp: 0, side });
+    assert.equal(risk.evaluate(0), undefined);
+
+    risk.recordFill({ timestamp: 0, side: 'sell' });
+    assert.match(risk.evaluate(0)?.reason ?? '', /^3 consecutive sell fills/);
+});
+
+test('trips on position growth within a minute', () => {
+    const risk = new RiskManager({ ...noLimits, maxPositionGrowthPerMinute: 1 }, undefined);
+    risk.recordPosition(0, 0);
+    risk.recordPosition(30_000, -1);
+    assert.equal(risk.evaluate(30_000), undefined);
+
+    // Positions more than a minute old no longer count: growth is measured from -1, then from -1.5
+    risk.recordPosition(90_000, -1.5);
+    assert.equal(risk.evaluate(90_000), undefined);
+    risk.recordPosition(100_000, -2.5);
+    assert.equal(risk.evaluate(100_000), undefined);
+    risk.recordPosition(110_000, -2.75);
+    assert.match(risk.evaluate(110_000)?.reason ?? '', /^position grew by 1\.25000000/);
+});
+
+test('widens spreads during a cool-down and quotes normally once it expires', () => {
+    const risk = new RiskManager({ ...noLimits, maxConsecutiveSameSideFills: 1, action: 'cooldown' }, undefined);
+    risk.recordFill({ timestamp: 0, side: 'buy' });
+    risk.recordFill({ timestamp: 500, side: 'buy' });
+    assert.equal(risk.evaluate(1000)?.action, 'cooldown');
+
+    assert.equal(risk.getSpreadMultiplier(60_999), 3);
+    assert.equal(risk.getStatus(60_999), 'cooldown');
+    assert.equal(risk.getSpreadMultiplier(61_000), 1);
+    assert.equal(risk.getStatus(61_000), 'ok');
+    // The fills that caused the cool-down do not trigger it again
+    assert.equal(risk.evaluate(62_000), undefined);
+});
+
+test('a trip persists across restarts until reset', (t) => {
+    const filePath = tempStateFile(t);
+    const risk = new RiskManager({ ...noLimits, maxSessionLoss: 10 }, filePath);
+    risk.recordPnl(0);
+    risk.recordPnl(-10);
+    risk.evaluate(1000);
+
+    const restarted = new RiskManager({ ...noLimits, maxSessionLoss: 10 }, filePath);
+    assert.equal(restarted.getStatus(2000), 'tripped');
+    assert.equal(restarted.state.reason, 'session loss 10.00 >= 10');
+
+    restarted.reset();
+    assert.equal(new RiskManager(noLimits, filePath).getStatus(3000), 'ok');
+});
+
+test('picks up a reset made by the CLI while running, with a fresh session baseline', (t) => {
+    const filePath = tempStateFile(t);
+    const risk = new RiskManager({ ...noLimits, maxSessionLoss: 10 }, filePath);
+    risk.recordPnl(0);
+    risk.recordPnl(-10);
+    risk.evaluate(1000);
+
+    const result = spawnSync(process.execPath, [riskScript, 'reset', '--dir', path.dirname(filePath)], { encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stderr);
+
+    assert.equal(risk.getStatus(2000), 'ok');
+    risk.recordPnl(-15);
+    assert.equal(risk.evaluate(3000), undefined);
+});
+
+test('treats an unreadable state file as tripped', (t) => {
+    const filePath = tempStateFile(t);
+    fs.writeFileSync(filePath, '{ not json');
+
+    const risk = new RiskManager(noLimits, filePath);
+    assert.equal(risk.getStatus(0), 'tripped');
+});
@@ -0,0 +1,109 @@
+// test/simulator.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulatedClock, SimulatedExchangeService } from '../simulator.js';
+import { inTimeOrder } from '../backtest.js';
+
+/**
+ * Futures simulator at clock time 1000 with a 99/101 book.
+ * @returns {SimulatedExchangeService}
+ */
+function createSimulator() {
+    const simulator = new SimulatedExchangeService(
+        { symbol: 'BTC/USDT', minNotionalValue: 5 },
+        { clock: new SimulatedClock(1000), initialQuoteBalance: 10000, makerFee: 0.0002, takerFee: 0.0005 },
+    );
+    simulator.setOrderBook({ bids: [[99, 1], [98, 2]], asks: [[101, 1], [102, 2]] });
+    return simulator;
+}
+
+const trade = (timestamp, side, price, amount) => ({ timestamp, side, price, amount });
+
+test('fills resting orders at their own price when a trade prints through them, best price first', async () => {
+    const simulator = createSimulator();
+    const high = await simulator.createLimitBuyOrder(1, 98.5);
+    const low = await simulator.createLimitBuyOrder(1, 98);
+
+    const fills = simulator.processMarketTrade(trade(1000, 'sell', 98, 1.5));
+
+    assert.deepEqual(fills.map(fill => [fill.order, fill.price, fill.amount, fill.takerOrMaker]), [
+        [high.id, 98.5, 1, 'maker'],
+        [low.id, 98, 0.5, 'maker'],
+    ]);
+    assert.equal((await simulator.fetchOrder(high.id)).status, 'closed');
+    assert.equal((await simulator.fetchOrder(low.id)).remaining, 0.5);
+    assert.equal(simulator.positionSize, 1.5);
+    assert.ok(Math.abs(fills[0].fee - 98.5 * 0.0002) < 1e-12);
+});
+
+test('does not fill on trades that do not reach the order price or come from the same side', async () => {
+    const simulator = createSimulator();
+    const bid = await simulator.createLimitBuyOrder(1, 98);
+
+    assert.deepEqual(simulator.processMarketTrade(trade(1000, 'sell', 98.5, 1)), []);
+    assert.deepEqual(simulator.processMarketTrade(trade(1000, 'buy', 97, 1)), []);
+    assert.equal((await simulator.fetchOrder(bid.id)).filled, 0);
+});
+
+test('fills the crossing part of an order against the book as a taker and rests the remainder', async () => {
+    const simulator = createSimulator();
+    const order = await simulator.createLimitBuyOrder(2, 101.5);
+
+    const fills = simulator.fills.filter(fill => fill.order === order.id);
+    assert.deepEqual(fills.map(fill => [fill.price, fill.amount, fill.takerOrMaker]), [[101, 1, 'taker']]);
+    assert.equal((await simulator.fetchOrder(order.id)).status, 'open');
+    assert.equal((await simulator.fetchOrder(order.id)).remaining, 1);
+});
+
+test('skips trades printed before the order was placed', async () => {
+    const simulator = createSimulator();
+    simulator.clock.set(5000);
+    const bid = await simulator.createLimitBuyOrder(1, 98);
+
+    assert.deepEqual(simulator.processMarketTrade(trade(4999, 'sell', 97, 1)), []);
+    assert.equal((await simulator.fetchOrder(bid.id)).filled, 0);
+
+    assert.equal(simulator.processMarketTrade(trade(5000, 'sell', 97, 1)).length, 1);
+    assert.equal((await simulator.fetchOrder(bid.id)).filled, 1);
+});
+
+test('skips trades printed before an order was moved to its current price', async () => {
+    const simulator = createSimulator();
+    const bid = await simulator.createLimitBuyOrder(1, 97);
+    simulator.clock.set(2000);
+    await simulator.editOrder(bid.id, 'limit', 'buy', 1, 98.5);
+
+    assert.deepEqual(simulator.processMarketTrade(trade(1500, 'sell', 98, 1)), []);
+    assert.equal(simulator.processMarketTrade(trade(2000, 'sell', 98, 1)).length, 1);
+});
+
+test('inTimeOrder sorts events within the window and keeps the input order of equal timestamps', async () => {
+    const events = [
+        { type: 'orderbook', timestamp: 3000 },
+        { type: 'trade', timestamp: 1000, id: 'a' },
+        { type: 'trade', timestamp: 2000, id: 'b' },
+        { type: 'trade', timestamp: 2000, id: 'c' },
+        { type: 'ticker' },
+        { type: 'orderbook', timestamp: 4000 },
+    ];
+    const ordered = [];
+    for await (const event of inTimeOrder(events, 5000)) ordered.push(event);
+
+    assert.deepEqual(ordered.map(event => event.id ?? event.timestamp), ['a', 'b', 'c', 3000, 4000]);
+});
+
+test('inTimeOrder drops and reports events older than one already released', async () => {
+    const events = [
+        { timestamp: 1000 },
+        { timestamp: 5000 },
+        { timestamp: 3500 },
+        { timestamp: 500 },
+        { timestamp: 6000 },
+    ];
+    const late = [];
+    const ordered = [];
+    for await (const event of inTimeOrder(events, 2000, event => late.push(event.timestamp))) ordered.push(event.timestamp);
+
+    assert.deepEqual(ordered, [1000, 3500, 5000, 6000]);
+    assert.deepEqual(late, [500]);
+});
@@ -0,0 +1,120 @@
+// test/stream.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExchangeService } from '../exchange.js';
+import { configureLogger } from '../logger.js';
+import { FakeWsExchange } from './fake-ws-exchange.js';
+
+configureLogger({ level: 'WARN' });
+
+/** Lets the watch loops process what was pushed. */
+const settle = (ms = 10) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Streaming service on the fake WebSocket exchange. The market is set directly because
+ * initialize() loads it over the network; REST calls fail unless a test stubs them.
+ * @param {FakeWsExchange} wsExchange
+ * @returns {ExchangeService}
+ */
+function createStreamingService(wsExchange) {
+    const service = new ExchangeService({
+        exchangeId: 'binance',
+        symbol: 'BTC/USDT',
+        defaultMarketType: 'spot',
+        orderBookDepthLevels: 5,
+        streamStaleMs: 60000,
+    }, { wsExchange });
+    service.market = { id: 'BTCUSDT', symbol: 'BTC/USDT', base: 'BTC', quote: 'USDT', type: 'spot', spot: true, contract: false };
+    for (const method of ['fetchOrderBook', 'fetchOpenOrders', 'fetchOrder', 'fetchMyTrades']) {
+        service.exchange[method] = async () => {
+            throw new Error(`unexpected REST call ${method}`);
+        };
+    }
+    return service;
+}
+
+const book = (bid, ask) => ({ bids: [[bid, 1], [bid - 1, 2]], asks: [[ask, 1], [ask + 1, 2]], timestamp: Date.now() });
+const order = (id, status, filled = 0) => ({ id, status, side: 'buy', price: 100, amount: 1, filled, remaining: 1 - filled });
+
+test('serves the order book from the stream and passes every update to listeners', async (t) => {
+    const ws = new FakeWsExchange();
+    const service = createStreamingService(ws);
+    t.after(() => service.stopStreaming());
+    const mids = [];
+    service.onOrderBook(orderBook => mids.push((orderBook.bids[0][0] + orderBook.asks[0][0]) / 2));
+    service.startStreaming();
+
+    ws.push('orderBook', book(100, 101));
+    await settle();
+    ws.push('orderBook', book(102, 103));
+    await settle();
+
+    const orderBook = await service.fetchOrderBook(1);
+    assert.deepEqual(orderBook.bids, [[102, 1]]);
+    assert.deepEqual(orderBook.asks, [[103, 1]]);
+    assert.deepEqual(mids, [100.5, 102.5]);
+});
+
+test('seeds open orders over REST, then follows order updates', async (t) => {
+    const ws = new FakeWsExchange();
+    const service = createStreamingService(ws);
+    t.after(() => service.stopStreaming());
+    let seedCalls = 0;
+    service.exchange.fetchOpenOrders = async () => {
+        seedCalls++;
+        return [order('resting', 'open')];
+    };
+    service.startStreaming();
+
+    ws.push('orders', [order('new', 'open')]);
+    await settle();
+    assert.deepEqual((await service.fetchOpenOrders()).map(o => o.id).sort(), ['new', 'resting']);
+
+    ws.push('orders', [order('resting', 'closed', 1)]);
+    await settle();
+    assert.deepEqual((await service.fetchOpenOrders()).map(o => o.id), ['new']);
+    assert.equal((await service.fetchOrder('resting')).status, 'closed');
+    assert.equal(seedCalls, 1);
+});
+
+test('serves own trades received while connected and older ones over REST', async (t) => {
+    const ws = new FakeWsExchange();
+    const service = createStreamingService(ws);
+    t.after(() => service.stopStreaming());
+    const restTrades = [{ id: 'old', timestamp: 1, side: 'buy', price: 100, amount: 1 }];
+    service.exchange.fetchMyTrades = async () => restTrades;
+    service.startStreaming();
+
+    const now = Date.now();
+    ws.push('myTrades', [{ id: 't1', timestamp: now, side: 'sell', price: 101, amount: 0.5 }]);
+    await settle();
+    ws.push('myTrades', [{ id: 't1', timestamp: now, side: 'sell', price: 101, amount: 0.5 }, { id: 't2', timestamp: now + 1, side: 'buy', price: 100, amount: 0.5 }]);
+    await settle();
+
+    assert.deepEqual((await service.fetchMyTrades(now)).map(trade => trade.id), ['t1', 't2']);
+    assert.equal(await service.fetchMyTrades(1), restTrades);
+});
+
+test('falls back to REST while the socket is down and resumes after reconnecting', async (t) => {
+    const ws = new FakeWsExchange();
+    const service = createStreamingService(ws);
+    t.after(() => service.stopStreaming());
+    const restBook = book(90, 91);
+    service.exchange.fetchOrderBook = async () => restBook;
+    service.startStreaming();
+
+    ws.push('orderBook', book(100, 101));
+    await settle();
+    assert.deepEqual((await service.fetchOrderBook(1)).bids, [[100, 1]]);
+
+    ws.drop('orderBook');
+    await settle();
+    assert.equal(service.streamState.channels.orderBook.connected, false);
+    assert.equal(await service.fetchOrderBook(1), restBook);
+
+    // The loop resubscribes after a 1 s backoff
+    ws.push('orderBook', book(104, 105));
+    await settle(1200);
+    assert.equal(ws.watchCalls.orderBook >= 3, true);
+    assert.deepEqual((await service.fetchOrderBook(1)).bids, [[104, 1]]);
+});
@@ -0,0 +1,81 @@
+// test/volatility.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VolatilityEstimator } from '../volatility.js';
+
+/**
+ * @param {number | undefined} actual
+ * @param {number} expected
+ */
+function assertClose(actual, expected) {
+    assert.ok(actual !== undefined && Math.abs(actual - expected) <= Math.abs(expected) * 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+test('reports nothing until enough samples have been taken', () => {
+    const estimator = new VolatilityEstimator({ model: 'ewma', windowSeconds: 600, minSamples: 3 });
+    estimator.addSample(1000, 100);
+    estimator.addSample(2000, 101);
+    assert.equal(estimator.variancePerSecond(), undefined);
+    assert.equal(estimator.volatility(60), undefined);
+
+    estimator.addSample(3000, 100);
+    assert.notEqual(estimator.variancePerSecond(), undefined);
+});
+
+test('ewma variance is per second, whatever the sample spacing', () => {
+    const logReturn = 0.001;
+    const everySecond = new VolatilityEstimator({ model: 'ewma', windowSeconds: 600, minSamples: 2 });
+    const everyFourSeconds = new VolatilityEstimator({ model: 'ewma', windowSeconds: 600, minSamples: 2 });
+    for (let i = 0; i < 20; i++) {
+        everySecond.addSample(i * 1000, 100 * Math.exp((i % 2) * logReturn));
+        // Four times the time per step: twice the log return for the same variance per second
+        everyFourSeconds.addSample(i * 4000, 100 * Math.exp((i % 2) * 2 * logReturn));
+    }
+
+    assertClose(everySecond.variancePerSecond(), logReturn ** 2);
+    assertClose(everyFourSeconds.variancePerSecond(), logReturn ** 2);
+    assertClose(everySecond.volatility(100), Math.sqrt(logReturn ** 2 * 100));
+});
+
+test('ewma weights recent returns more heavily', () => {
+    const estimator = new VolatilityEstimator({ model: 'ewma', windowSeconds: 600, ewmaLambda: 0.5, minSamples: 2 });
+    estimator.addSample(0, 100);
+    estimator.addSample(1000, 100);
+    estimator.addSample(2000, 100 * Math.exp(0.01));
+
+    assertClose(estimator.variancePerSecond(), 0.5 * 0 + 0.5 * 0.01 ** 2);
+});
+
+test('drops samples outside the window and ignores stale or invalid ones', () => {
+    const estimator = new VolatilityEstimator({ model: 'ewma', windowSeconds: 10, minSamples: 2 });
+    estimator.addSample(0, 100);
+    estimator.addSample(5000, 200);
+    estimator.addSample(5000, 300);
+    estimator.addSample(4000, 300);
+    estimator.addSample(6000, 0);
+    estimator.addSample(15000, 200);
+
+    assert.deepEqual(estimator.samples, [{ timestamp: 5000, price: 200 }, { timestamp: 15000, price: 200 }]);
+    assert.equal(estimator.variancePerSecond(), 0);
+});
+
+test('parkinson averages the high/low range of completed buckets only', () => {
+    const estimator = new VolatilityEstimator({ model: 'parkinson', windowSeconds: 600, bucketSeconds: 60, minSamples: 2 });
+    const range = 0.002;
+    for (const bucketStart of [0, 60_000]) {
+        estimator.addSample(bucketStart + 1000, 100);
+        estimator.addSample(bucketStart + 30_000, 100 * Math.exp(range));
+        estimator.addSample(bucketStart + 50_000, 100);
+    }
+    // The bucket still filling is left out, however wide its range
+    estimator.addSample(120_000, 150);
+
+    assertClose(estimator.variancePerSecond(), (range ** 2) / (4 * Math.LN2) / 60);
+});
+
+test('parkinson reports nothing before the first bucket completes', () => {
+    const estimator = new VolatilityEstimator({ model: 'parkinson', windowSeconds: 600, bucketSeconds: 60, minSamples: 2 });
+    estimator.addSample(1000, 100);
+    estimator.addSample(2000, 101);
+    assert.equal(estimator.variancePerSecond(), undefined);
+});
@@ -1,13 +1,16 @@
 // src/utils.js
+import fs from 'fs';
+import path from 'path';
 import ccxt from 'ccxt'; // ccxt 可能仍然需要导入以访问其错误类型
+import { logger } from './logger.js';
 
 /**
- * 记录日志
- * @param {'INFO' | 'WARN' | 'ERROR'} level 日志级别
+ * 记录日志 (根日志器；低于 LOG_LEVEL 的级别被忽略)
+ * @param {'DEBUG' | 'INFO' | 'WARN' | 'ERROR'} level 日志级别
  * @param {...any} message 日志消息
  */
 export function log(level, ...message) {
-    console.log(`[${new Date().toISOString()}] [${level}]`, ...message);
+    logger.log(level, ...message);
 }
 
 /**
@@ -107,4 +110,84 @@ export function getPrecision(market) {
         stepSize: stepSize,
         minAmount: minAmount
     };
-}
\ No newline at end of file
+}
+/**
+ * 将交易对转换为可用作文件/目录名的字符串 (非字母数字替换为 '-')
+ * @param {string} symbol 统一交易对, 如 BTC/USDT:USDT
+ * @returns {string} 如 BTC-USDT-USDT
+ */
+export function symbolToDirName(symbol) {
+    return symbol.replace(/[^A-Za-z0-9]+/g, '-');
+}
+
+/**
+ * 原子地写入 JSON 文件 (先写临时文件再重命名)，进程中途崩溃不会留下半个文件
+ * @param {string} filePath 目标文件路径
+ * @param {any} data 可 JSON 序列化的数据
+ */
+export function writeJsonAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * 读取 JSON 文件，不存在时返回 undefined
+ * @param {string} filePath 文件路径
+ * @returns {any | undefined} 解析后的数据
+ */
+export function readJsonIfExists(filePath) {
+    if (!fs.existsSync(filePath)) return undefined;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * 向 JSONL 文件追加记录 (每行一个 JSON 对象)，目录不存在时创建
+ * @param {string} filePath 文件路径
+ * @param {any[]} records 可 JSON 序列化的记录
+ */
+export function appendJsonLines(filePath, records) {
+    if (records.length === 0) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+}
+
+/**
+ * 读取 JSONL 文件的全部记录，不存在时返回空数组
+ * @param {string} filePath 文件路径
+ * @returns {any[]} 解析后的记录
+ */
+export function readJsonLines(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+let clientOrderIdSequence = 0;
+
+/**
+ * 生成带机器人实例前缀的 clientOrderId，格式: <实例ID>-<b|s><层索引>-<唯一后缀>
+ * 例如 lb1-b0-lq3x8k2a5。长度不超过 36 个字符 (Binance 限制)。
+ * @param {string} instanceId 机器人实例 ID (仅字母数字)
+ * @param {'buy' | 'sell'} side 买卖方向
+ * @param {number} level 挂单层索引
+ * @returns {string} clientOrderId
+ */
+export function buildClientOrderId(instanceId, side, level) {
+    clientOrderIdSequence = (clientOrderIdSequence + 1) % 1296; // 两位 36 进制
+    const unique = Date.now().toString(36) + clientOrderIdSequence.toString(36).padStart(2, '0');
+    return `${instanceId}-${side === 'buy' ? 'b' : 's'}${level}-${unique}`;
+}
+
+/**
+ * 解析由 buildClientOrderId 生成的 clientOrderId
+ * @param {string} instanceId 机器人实例 ID
+ * @param {string | undefined} clientOrderId 订单的 clientOrderId
+ * @returns {{side: 'buy' | 'sell', level: number} | null} 不属于该实例时返回 null
+ */
+export function parseClientOrderId(instanceId, clientOrderId) {
+    if (!clientOrderId) return null;
+    const match = /^([A-Za-z0-9]+)-([bs])(\d+)-[0-9a-z]+$/.exec(clientOrderId);
+    if (!match || match[1] !== instanceId) return null;
+    return { side: match[2] === 'b' ? 'buy' : 'sell', level: Number(match[3]) };
+}
@@ -0,0 +1,121 @@
+// src/volatility.js
+
+/**
+ * @typedef {'ewma' | 'parkinson'} VolatilityModel
+ */
+
+/**
+ * Estimates short-term volatility of the mid price from samples taken once per strategy cycle.
+ *
+ * Both models report a per-second variance of log returns, so samples may be irregularly spaced
+ * (cycles that take longer than INTERVAL, skipped cycles):
+ * - ewma:      exponentially weighted r^2 / dt over consecutive samples in the window
+ * - parkinson: (ln(high / low))^2 / (4 ln 2) per completed time bucket, averaged over the window
+ *
+ * Timestamps come from the caller so backtests stay deterministic on the simulated clock.
+ */
+export class VolatilityEstimator {
+    /** @type {VolatilityModel} */
+    model;
+    /** @type {number} */
+    windowMs;
+    /** @type {number} */
+    ewmaLambda;
+    /** @type {number} */
+    bucketMs;
+    /** @type {number} */
+    minSamples;
+    /** @type {Array<{ timestamp: number, price: number }>} Samples inside the window, oldest first */
+    samples = [];
+
+    /**
+     * @param {object} options
+     * @param {VolatilityModel} options.model
+     * @param {number} options.windowSeconds Rolling window of mid samples
+     * @param {number} [options.ewmaLambda=0.94] EWMA decay per sample (ewma only)
+     * @param {number} [options.bucketSeconds=60] High/low bucket length (parkinson only)
+     * @param {number} [options.minSamples=10] Samples required before an estimate is reported
+     */
+    constructor({ model, windowSeconds, ewmaLambda = 0.94, bucketSeconds = 60, minSamples = 10 }) {
+        this.model = model;
+        this.windowMs = windowSeconds * 1000;
+        this.ewmaLambda = ewmaLambda;
+        this.bucketMs = bucketSeconds * 1000;
+        this.minSamples = minSamples;
+    }
+
+    /**
+     * @param {number} timestamp Milliseconds
+     * @param {number} price Mid price
+     */
+    addSample(timestamp, price) {
+        if (!(price > 0)) return;
+        const last = this.samples[this.samples.length - 1];
+        if (last && timestamp <= last.timestamp) return;
+        this.samples.push({ timestamp, price });
+        const cutoff = timestamp - this.windowMs;
+        while (this.samples.length > 0 && this.samples[0].timestamp < cutoff) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * @returns {number | undefined} Variance of log returns per second, or undefined while warming up
+     */
+    variancePerSecond() {
+        if (this.samples.length < this.minSamples) return undefined;
+        return this.model === 'parkinson' ? this.parkinsonVariance() : this.ewmaVariance();
+    }
+
+    /**
+     * @param {number} horizonSeconds
+     * @returns {number | undefined} Standard deviation of log returns over the horizon
+     */
+    volatility(horizonSeconds) {
+        const variance = this.variancePerSecond();
+        return variance === undefined ? undefined : Math.sqrt(variance * horizonSeconds);
+    }
+
+    /**
+     * @returns {number | undefined}
+     */
+    ewmaVariance() {
+        let variance;
+        for (let i = 1; i < this.samples.length; i++) {
+            const dtSeconds = (this.samples[i].timestamp - this.samples[i - 1].timestamp) / 1000;
+            const logReturn = Math.log(this.samples[i].price / this.samples[i - 1].price);
+            const observation = (logReturn * logReturn) / dtSeconds;
+            variance = variance === undefined
+                ? observation
+                : this.ewmaLambda * variance + (1 - this.ewmaLambda) * observation;
+        }
+        return variance;
+    }
+
+    /**
+     * @returns {number | undefined} Undefined until at least one bucket has completed
+     */
+    parkinsonVariance() {
+        const newestBucket = Math.floor(this.samples[this.samples.length - 1].timestamp / this.bucketMs);
+        /** @type {Map<number, { high: number, low: number }>} */
+        const buckets = new Map();
+        for (const { timestamp, price } of this.samples) {
+            const bucket = Math.floor(timestamp / this.bucketMs);
+            if (bucket === newestBucket) continue; // still filling
+            const range = buckets.get(bucket);
+            if (range) {
+                range.high = Math.max(range.high, price);
+                range.low = Math.min(range.low, price);
+            } else {
+                buckets.set(bucket, { high: price, low: price });
+            }
+        }
+        if (buckets.size === 0) return undefined;
+        let sum = 0;
+        for (const { high, low } of buckets.values()) {
+            const logRange = Math.log(high / low);
+            sum += (logRange * logRange) / (4 * Math.LN2);
+        }
+        return sum / buckets.size / (this.bucketMs / 1000);
+    }
+}